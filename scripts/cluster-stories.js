@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { redis } = require('../src/services/redisService');
+const { assignStory } = require('../src/services/storyService');
+
+// Assign stories to articles stored before story clustering existed, oldest first so each
+// story's representative is its earliest article
+async function main() {
+  try {
+    console.log('Clustering stored articles into stories...');
+
+    const keys = await redis.keys('news:*');
+    const articles = [];
+
+    for (const key of keys) {
+      const article = await redis.json.get(key);
+      if (article && !article.storyId && Array.isArray(article.vector) && article.vector.length > 0) {
+        articles.push(article);
+      }
+    }
+
+    articles.sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    console.log(`Found ${articles.length} articles without a story`);
+
+    for (const article of articles) {
+      const storyId = await assignStory(article);
+      await redis.json.set(`news:${article.id}`, '$.storyId', storyId);
+    }
+
+    console.log(`✅ Assigned stories to ${articles.length} articles`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Story clustering failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
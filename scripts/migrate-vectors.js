@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+const { migrateVectors } = require('../src/services/vectorMigrationService');
+
+// Re-embed articles stored with another embedding model or dimension and move idx:news to a
+// freshly built index (see vectorMigrationService). Pass --dry-run to only count them.
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    console.log(dryRun ? 'Checking stored embeddings...' : 'Migrating stored embeddings...');
+
+    const report = await migrateVectors({
+      dryRun,
+      onProgress: (done, total) => {
+        if (done % 25 === 0 || done === total) {
+          console.log(`Re-embedded ${done}/${total}`);
+        }
+      }
+    });
+
+    const { provider, model, dimensions } = report.target;
+    console.log(`Active embedding model: ${provider}/${model} (${dimensions} dimensions)`);
+    console.log(`${report.mismatched} of ${report.scanned} articles need re-embedding`);
+
+    if (!dryRun) {
+      console.log(`Re-embedded ${report.reembedded}, failed ${report.failed.length}${report.failed.length > 0 ? ` (${report.failed.join(', ')})` : ''}`);
+      console.log(`Search index: ${report.previousIndex || '(none)'} -> ${report.stagingIndex} -> ${report.newIndex} (${report.indexedDocs} documents, ${report.indexingFailures} indexing failures)`);
+      console.log('✅ Vector migration completed');
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('Vector migration failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
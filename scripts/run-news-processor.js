@@ -1,16 +1,21 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const { processNews } = require('../src/services/newsProcessor');
+const { runLocked } = require('../src/services/newsProcessor');
 
 async function main() {
   try {
     console.log('Starting news processing...');
     console.log('Time:', new Date().toISOString());
     
-    await processNews();
+    // Skipped (not failed) while a scheduled or admin-triggered run holds the ingestion lock
+    const run = await runLocked({ trigger: 'script' });
+    if (!run) {
+      process.exit(0);
+    }
     
     console.log('News processing completed successfully');
+    console.log(`Run ${run.id}: stored ${run.totals.stored}, duplicates ${run.totals.duplicates}, failed ${run.totals.failed}`);
     console.log('Time:', new Date().toISOString());
     process.exit(0);
   } catch (error) {
@@ -3,7 +3,7 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const specs = require('./config/swagger');
-const { createSearchIndex } = require('./services/redisService');
+const { ensureSearchIndex } = require('./services/searchIndexManager');
 const newsRoutes = require('./routes/newsRoutes');
 const metadataRoutes = require('./routes/metadataRoutes');
 const userRoutes = require('./routes/userRoutes');
@@ -32,8 +32,8 @@ app.use(logger);
 // Handle preflight requests
 app.options('*', cors(corsOptions));
 
-// Initialize search index on startup
-createSearchIndex();
+// Create the search index, or rebuild it next to the live one if the schema changed
+ensureSearchIndex();
 
 // Custom Swagger UI endpoint for Vercel compatibility
 app.get('/api-docs', (req, res) => {
@@ -0,0 +1,57 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+// News sources per topic. Override with NEWS_SOURCES_FILE (path to a JSON file) or
+// NEWS_SOURCES (inline JSON) using the same shape:
+// {
+//   "default": [{ "type": "newsapi" }],
+//   "topics": {
+//     "Technology AI": [
+//       { "type": "newsapi" },
+//       { "type": "rss", "url": "https://example.com/tech.rss", "name": "Example Tech" }
+//     ],
+//     "World news": [{ "type": "fixture", "dir": "fixtures/news/world" }]
+//   }
+// }
+const DEFAULT_SOURCES = {
+  default: [{ type: 'newsapi' }],
+  topics: {}
+};
+
+let cachedConfig = null;
+
+function loadSourcesConfig() {
+  if (cachedConfig) return cachedConfig;
+
+  let config = DEFAULT_SOURCES;
+  try {
+    if (process.env.NEWS_SOURCES_FILE) {
+      const filePath = path.resolve(process.cwd(), process.env.NEWS_SOURCES_FILE);
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } else if (process.env.NEWS_SOURCES) {
+      config = JSON.parse(process.env.NEWS_SOURCES);
+    }
+  } catch (error) {
+    console.error('Invalid news sources configuration, falling back to NewsAPI:', error.message);
+    config = DEFAULT_SOURCES;
+  }
+
+  cachedConfig = {
+    default: config.default && config.default.length > 0 ? config.default : DEFAULT_SOURCES.default,
+    topics: config.topics || {}
+  };
+  return cachedConfig;
+}
+
+// Sources for a topic, falling back to the default list
+function getSourcesForTopic(topic) {
+  const config = loadSourcesConfig();
+  return config.topics[topic] || config.default;
+}
+
+module.exports = {
+  DEFAULT_SOURCES,
+  loadSourcesConfig,
+  getSourcesForTopic
+};
@@ -31,11 +31,65 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        AdminApiKey: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'ADMIN_API_KEY sent as a bearer token'
+        }
+      },
+      parameters: {
+        DateFrom: {
+          in: 'query',
+          name: 'from',
+          schema: { type: 'string' },
+          description: 'Only articles published at or after this time (ISO 8601 date/time or epoch milliseconds)',
+          example: '2026-10-01'
+        },
+        DateTo: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string' },
+          description: 'Only articles published at or before this time (ISO 8601 date/time or epoch milliseconds); a plain date or year (YYYY) includes the whole day or year',
+          example: '2026-10-19'
+        },
+        DateSince: {
+          in: 'query',
+          name: 'since',
+          schema: { type: 'string', pattern: '^\\d+[mhdw]$' },
+          description: 'Only articles published within this period before now (minutes, hours, days or weeks); replaces from',
+          example: '24h'
+        },
+        Cursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'Opaque cursor from `pagination.nextCursor` of the previous page, instead of `page`. On lists sorted newest or oldest first it continues right after the last article seen, even when newer articles have been added since'
+        },
+        PageCursor: {
+          in: 'query',
+          name: 'cursor',
+          schema: { type: 'string' },
+          description: 'Opaque cursor from `pagination.nextCursor` of the previous page, instead of `page`. On this list the cursor stands for the next page number, so items added in between can shift the pages'
+        },
+        ArticleView: {
+          in: 'query',
+          name: 'view',
+          schema: { type: 'string', enum: ['card', 'detail', 'full'] },
+          description: 'Article fields to return: card (list fields; the default for lists), detail (everything but the embedding vector; the default for a single article) or full (including the vector)'
+        },
+        ArticleFields: {
+          in: 'query',
+          name: 'fields',
+          schema: { type: 'string' },
+          description: 'Comma-separated article fields to return instead of a view (`id` is always included). Scores and other ranking metadata are always returned',
+          example: 'title,summary,source,publishedAt'
         }
       },
       schemas: {
         Article: {
           type: 'object',
+          description: 'Stored article. Responses return a view of it: lists default to the card fields (id, title, summary, description, sentiment, keywords, source, author, url, urlToImage, publishedAt, publishedAtTs, storyId), a single article to everything but vector',
           properties: {
             id: {
               type: 'string',
@@ -53,6 +107,32 @@ const options = {
               type: 'string',
               description: 'Article content'
             },
+            fullContent: {
+              type: 'string',
+              nullable: true,
+              description: 'Main body text extracted from the article page (paragraphs separated by blank lines)'
+            },
+            storyId: {
+              type: 'string',
+              nullable: true,
+              description: 'Story (cluster of articles about the same event) this article belongs to'
+            },
+            alternateSources: {
+              type: 'array',
+              description: 'Near-duplicate versions of this story from other outlets',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  title: { type: 'string' },
+                  source: { type: 'object' },
+                  url: { type: 'string' },
+                  publishedAt: { type: 'string', format: 'date-time' },
+                  similarity: { type: 'number' },
+                  linkedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
             url: {
               type: 'string',
               description: 'Original article URL'
@@ -66,6 +146,14 @@ const options = {
               format: 'date-time',
               description: 'Publication date'
             },
+            publishedAtTs: {
+              type: 'integer',
+              description: 'Publication date in epoch milliseconds (sorting and date filters)'
+            },
+            createdAtTs: {
+              type: 'integer',
+              description: 'Time the article was stored, in epoch milliseconds'
+            },
             source: {
               type: 'string',
               description: 'News source'
@@ -77,7 +165,38 @@ const options = {
             sentiment: {
               type: 'string',
               enum: ['positive', 'negative', 'neutral'],
-              description: 'Article sentiment analysis'
+              nullable: true,
+              description: 'Article sentiment analysis (null when analysisStatus is failed)'
+            },
+            analysisStatus: {
+              type: 'string',
+              enum: ['ok', 'failed'],
+              description: 'failed when the model gave no valid summary/sentiment/keywords after the repair retries'
+            },
+            analysis: {
+              type: 'object',
+              description: 'Prompt template version and model used for the analysis',
+              properties: {
+                prompt: { type: 'string', example: 'summarize_article' },
+                promptVersion: { type: 'number', example: 1 },
+                provider: { type: 'string', example: 'gemini' },
+                model: { type: 'string', example: 'gemini-2.5-flash-lite' },
+                analyzedAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            embedding: {
+              type: 'object',
+              description: 'Embedding provider, model and dimension of the article vector',
+              properties: {
+                provider: { type: 'string', example: 'gemini' },
+                model: { type: 'string', example: 'gemini-embedding-001' },
+                dimensions: { type: 'number', example: 768 }
+              }
+            },
+            vector: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Embedding vector; only returned with view=full or fields=vector'
             },
             score: {
               type: 'number',
@@ -85,6 +204,213 @@ const options = {
             }
           }
         },
+        Topic: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Topic identifier (slug of the query)'
+            },
+            query: {
+              type: 'string',
+              description: 'Query string sent to the news sources'
+            },
+            label: {
+              type: 'string',
+              description: 'Display label shown in the UI'
+            },
+            pageSize: {
+              type: 'number',
+              description: 'Articles to fetch per source on each run'
+            },
+            enabled: {
+              type: 'boolean',
+              description: 'Whether the topic is ingested and listed'
+            },
+            schedule: {
+              type: 'string',
+              description: 'Cron expression for scheduled ingestion'
+            },
+            sources: {
+              type: 'array',
+              items: {
+                type: 'object'
+              },
+              description: 'Optional source adapters overriding the configured defaults'
+            }
+          }
+        },
+        Story: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Story identifier'
+            },
+            title: {
+              type: 'string',
+              description: 'Title of the representative article'
+            },
+            representativeId: {
+              type: 'string',
+              description: 'ID of the article that represents the story'
+            },
+            memberIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'IDs of all articles in the story'
+            },
+            memberCount: {
+              type: 'integer'
+            },
+            firstSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Publish time of the earliest article'
+            },
+            lastSeenAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Publish time of the latest article'
+            },
+            representative: {
+              type: 'object',
+              description: 'Card fields of the representative article (in story lists)'
+            }
+          }
+        },
+        StorySummary: {
+          type: 'object',
+          properties: {
+            storyId: {
+              type: 'string',
+              nullable: true
+            },
+            articleIds: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Articles the summary was generated from'
+            },
+            summary: {
+              type: 'string',
+              description: 'Consolidated summary of the event'
+            },
+            agreements: {
+              type: 'array',
+              description: 'Points the sources agree on',
+              items: {
+                type: 'object',
+                properties: {
+                  point: { type: 'string' },
+                  articleIds: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            },
+            differences: {
+              type: 'array',
+              description: 'Points where the sources differ',
+              items: {
+                type: 'object',
+                properties: {
+                  point: { type: 'string' },
+                  articleIds: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            },
+            citations: {
+              type: 'array',
+              description: 'The cited articles',
+              items: {
+                type: 'object',
+                properties: {
+                  articleId: { type: 'string' },
+                  title: { type: 'string' },
+                  source: { type: 'object' },
+                  url: { type: 'string' },
+                  publishedAt: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            generatedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            cached: {
+              type: 'boolean',
+              description: 'Whether the summary came from the cache'
+            }
+          }
+        },
+        IngestionRun: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Run identifier'
+            },
+            status: {
+              type: 'string',
+              enum: ['running', 'completed', 'failed'],
+              description: 'Run status'
+            },
+            trigger: {
+              type: 'string',
+              description: 'What started the run (cron, startup, script, http, manual)'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            finishedAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            durationMs: {
+              type: 'number'
+            },
+            topics: {
+              type: 'object',
+              description: 'Per-topic fetched/filtered/duplicates/stored/failed counts, keyed by topic ID'
+            },
+            totals: {
+              type: 'object',
+              description: 'Counts summed over all topics, plus queued/retried/deadLettered'
+            },
+            gemini: {
+              type: 'object',
+              description: 'LLM summary/embedding API calls, LLM cache hits and errors during the run'
+            },
+            error: {
+              type: 'string',
+              description: 'Error message if the run failed'
+            }
+          }
+        },
+        SearchHighlights: {
+          type: 'object',
+          nullable: true,
+          description: 'Fragments with the query\'s words wrapped in <mark></mark> (other text HTML-escaped); null when the words are not in the article text',
+          properties: {
+            title: {
+              type: 'string',
+              nullable: true,
+              description: 'Highlighted title, or null when no query word is in it',
+              example: 'Central bank holds <mark>rates</mark> steady'
+            },
+            snippet: {
+              type: 'string',
+              nullable: true,
+              description: 'Excerpts around the matches from the best-matching of summary, description and content',
+              example: 'The bank kept <mark>rates</mark> unchanged for a third meeting … '
+            },
+            snippetField: {
+              type: 'string',
+              nullable: true,
+              enum: ['summary', 'description', 'content'],
+              description: 'Field the snippet was taken from'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -101,21 +427,46 @@ const options = {
         Pagination: {
           type: 'object',
           properties: {
-            page: {
+            currentPage: {
               type: 'number',
-              description: 'Current page number'
+              nullable: true,
+              description: 'Current page number (null when the page was requested with a cursor)'
             },
-            limit: {
+            totalPages: {
               type: 'number',
-              description: 'Items per page'
+              description: 'Total number of pages'
             },
-            total: {
+            totalCount: {
               type: 'number',
               description: 'Total number of items'
             },
-            totalPages: {
+            limit: {
               type: 'number',
-              description: 'Total number of pages'
+              description: 'Items per page'
+            },
+            sort: {
+              type: 'string',
+              enum: ['newest', 'oldest', 'relevance', 'views', 'trending'],
+              description: 'Sort order of the list, kept in the links (lists with a `sort` parameter only)'
+            },
+            hasNext: { type: 'boolean' },
+            hasPrev: { type: 'boolean' },
+            nextPage: { type: 'number', nullable: true },
+            prevPage: { type: 'number', nullable: true },
+            nextCursor: {
+              type: 'string',
+              nullable: true,
+              description: 'Opaque cursor for the next page (pass as `cursor`), null on the last page'
+            },
+            links: {
+              type: 'object',
+              properties: {
+                first: { type: 'string' },
+                last: { type: 'string' },
+                next: { type: 'string', nullable: true, description: 'Next page, by cursor when this page was requested with one' },
+                prev: { type: 'string', nullable: true },
+                nextCursor: { type: 'string', nullable: true, description: 'Next page by cursor' }
+              }
             }
           }
         }
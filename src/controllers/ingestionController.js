@@ -0,0 +1,165 @@
+require('dotenv').config();
+const {
+  getQueueStats,
+  listRetryItems,
+  listDeadLetters,
+  getDeadLetter,
+  requeueDeadLetter,
+  discardDeadLetter
+} = require('../services/ingestionQueue');
+const { listRuns, getRun } = require('../services/ingestionRunService');
+const { getTopic } = require('../services/topicService');
+const { startLockedRun } = require('../services/newsProcessor');
+const { getPaginationParams, createPaginatedResponse } = require('../utils/pagination');
+
+// Queue depth, pending/retrying/dead-lettered counts and the next items waiting to retry
+async function getQueueStatusHandler(req, res) {
+  try {
+    const [stats, retrying] = await Promise.all([
+      getQueueStats(),
+      listRetryItems(50, 0)
+    ]);
+
+    res.json({
+      stats,
+      retrying,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching ingestion queue status:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion queue status' });
+  }
+}
+
+// List dead-lettered items (with pagination)
+async function listDeadLettersHandler(req, res) {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const result = await listDeadLetters(limit, offset);
+
+    res.json(createPaginatedResponse(result.items, result.totalCount, page, limit, req));
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to list dead letters' });
+  }
+}
+
+async function getDeadLetterHandler(req, res) {
+  try {
+    const item = await getDeadLetter(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json(item);
+  } catch (error) {
+    console.error('Error fetching dead letter:', error);
+    res.status(500).json({ error: 'Failed to fetch dead letter' });
+  }
+}
+
+// Put a dead-lettered item back on the queue
+async function requeueDeadLetterHandler(req, res) {
+  try {
+    const item = await requeueDeadLetter(req.params.id);
+    if (!item) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ message: 'Item requeued successfully', item });
+  } catch (error) {
+    console.error('Error requeueing dead letter:', error);
+    res.status(500).json({ error: 'Failed to requeue dead letter' });
+  }
+}
+
+// Permanently drop a dead-lettered item
+async function discardDeadLetterHandler(req, res) {
+  try {
+    const discarded = await discardDeadLetter(req.params.id);
+    if (!discarded) {
+      return res.status(404).json({ error: 'Dead letter not found' });
+    }
+    res.json({ message: 'Item discarded successfully', id: req.params.id });
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({ error: 'Failed to discard dead letter' });
+  }
+}
+
+// Start an ingestion run (optionally for a subset of topics). Responds 202 with the run id to
+// poll, or waits for the run to finish with `wait: true` (for hosts that stop work after the response).
+async function triggerRunHandler(req, res) {
+  try {
+    const { topicIds = null } = req.body || {};
+    const wait = (req.body && req.body.wait === true) || req.query.wait === 'true';
+
+    if (topicIds !== null) {
+      if (!Array.isArray(topicIds) || topicIds.some(id => typeof id !== 'string' || id.length === 0)) {
+        return res.status(400).json({ error: 'topicIds must be an array of topic IDs' });
+      }
+
+      const topics = await Promise.all(topicIds.map(id => getTopic(id)));
+      const unknown = topicIds.filter((id, index) => !topics[index]);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown topics: ${unknown.join(', ')}` });
+      }
+    }
+
+    const { run, done, activeRunId } = await startLockedRun({ topicIds, trigger: 'http' });
+    if (!run) {
+      return res.status(409).json({ error: 'An ingestion run is already in progress', runId: activeRunId });
+    }
+
+    if (wait) {
+      return res.json(await done);
+    }
+
+    done.catch(error => console.error(`Ingestion run ${run.id} failed:`, error.message));
+    res.status(202).json({
+      message: 'Ingestion run started',
+      runId: run.id,
+      status: run.status,
+      statusUrl: `/api/admin/ingestion/runs/${run.id}`
+    });
+  } catch (error) {
+    console.error('Error starting ingestion run:', error);
+    res.status(500).json({ error: 'Failed to start ingestion run' });
+  }
+}
+
+// List ingestion runs, most recent first (with pagination)
+async function listRunsHandler(req, res) {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    const result = await listRuns(limit, offset);
+
+    res.json(createPaginatedResponse(result.runs, result.totalCount, page, limit, req));
+  } catch (error) {
+    console.error('Error listing ingestion runs:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to list ingestion runs' });
+  }
+}
+
+// Full report for one ingestion run
+async function getRunHandler(req, res) {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Ingestion run not found' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error fetching ingestion run:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion run' });
+  }
+}
+
+module.exports = {
+  triggerRun: triggerRunHandler,
+  listRuns: listRunsHandler,
+  getRun: getRunHandler,
+  getQueueStatus: getQueueStatusHandler,
+  listDeadLetters: listDeadLettersHandler,
+  getDeadLetter: getDeadLetterHandler,
+  requeueDeadLetter: requeueDeadLetterHandler,
+  discardDeadLetter: discardDeadLetterHandler
+};
@@ -0,0 +1,111 @@
+const { getKeyPoolStatus } = require('../services/llm');
+const { getCacheStats, purgeCache } = require('../services/llmCacheService');
+const { startBackfill, getBackfill } = require('../services/analysisBackfillService');
+const { getActiveVersions } = require('../prompts');
+
+// API key pools of the active LLM provider: per-key remaining tokens, backoff and 429 counts
+async function getKeyPoolsHandler(req, res) {
+  try {
+    res.json({
+      ...getKeyPoolStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching LLM key pool status:', error);
+    res.status(500).json({ error: 'Failed to fetch LLM key pool status' });
+  }
+}
+
+// LLM cache hit/miss counters and TTLs
+async function getCacheStatsHandler(req, res) {
+  try {
+    res.json({
+      ...(await getCacheStats()),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching LLM cache stats:', error);
+    res.status(500).json({ error: 'Failed to fetch LLM cache stats' });
+  }
+}
+
+// Purge cached generations and/or embeddings (?kind=generation|embedding, ?resetStats=true)
+async function purgeCacheHandler(req, res) {
+  try {
+    const { kind, resetStats } = req.query;
+    const deleted = await purgeCache({ kind: kind || null, resetStats: resetStats === 'true' });
+
+    res.json({
+      message: 'LLM cache purged',
+      kind: kind || 'all',
+      deleted,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error purging LLM cache:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to purge LLM cache' });
+  }
+}
+
+// Active version of every prompt template
+async function getPromptVersionsHandler(req, res) {
+  res.json({ prompts: getActiveVersions() });
+}
+
+// Start re-analyzing articles with an outdated analysis (see analysisBackfillService).
+// Body: { limit, includeModelChanges, dryRun }
+async function startBackfillHandler(req, res) {
+  try {
+    const { limit = 500, includeModelChanges = false, dryRun = false } = req.body || {};
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+      return res.status(400).json({ error: 'limit must be an integer between 1 and 5000' });
+    }
+    if (typeof includeModelChanges !== 'boolean' || typeof dryRun !== 'boolean') {
+      return res.status(400).json({ error: 'includeModelChanges and dryRun must be booleans' });
+    }
+
+    const result = await startBackfill({ limit, includeModelChanges, dryRun });
+    if (result.dryRun) {
+      return res.json(result.dryRun);
+    }
+    if (!result.job) {
+      return res.status(409).json({ error: 'An analysis backfill is already running', jobId: result.activeJobId });
+    }
+
+    result.done.catch(error => console.error(`Analysis backfill ${result.job.id} failed:`, error.message));
+    res.status(202).json({
+      message: 'Analysis backfill started',
+      jobId: result.job.id,
+      status: result.job.status,
+      targetVersion: result.job.targetVersion,
+      statusUrl: `/api/admin/analysis/backfill/${result.job.id}`
+    });
+  } catch (error) {
+    console.error('Error starting analysis backfill:', error);
+    res.status(500).json({ error: 'Failed to start analysis backfill' });
+  }
+}
+
+// Progress and outcome of one backfill job
+async function getBackfillHandler(req, res) {
+  try {
+    const job = await getBackfill(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Analysis backfill not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching analysis backfill:', error);
+    res.status(500).json({ error: 'Failed to fetch analysis backfill' });
+  }
+}
+
+module.exports = {
+  getKeyPools: getKeyPoolsHandler,
+  getLlmCacheStats: getCacheStatsHandler,
+  purgeLlmCache: purgeCacheHandler,
+  getPromptVersions: getPromptVersionsHandler,
+  startBackfill: startBackfillHandler,
+  getBackfill: getBackfillHandler
+};
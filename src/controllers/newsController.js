@@ -4,7 +4,6 @@ const {
   searchArticlesByTopic, 
   searchArticlesBySentiment, 
   getAllArticles,
-  createSearchIndex,
   findSimilarArticles,
   getSimilarArticleCacheStats,
   clearSimilarArticleCache,
@@ -31,27 +30,42 @@ const {
   clearSpecificCacheTypes,
   getCacheStatistics
 } = require('../services/redisService');
+const { listTopics } = require('../services/topicService');
+const { listStories, getStory, getCollapsedFeed } = require('../services/storyService');
+const { getMultiSourceSummary } = require('../services/storySummaryService');
+const { getSearchIndexStatus } = require('../services/searchIndexManager');
+const { getSearchMode, rankedSearch } = require('../services/hybridSearchService');
+const { parseFacets, getSearchFacets } = require('../services/facetService');
+const { getSuggestions, recordSearchQuery } = require('../services/suggestionService');
+const { getSearchHighlights } = require('../services/highlightService');
 const { getPaginationParams, createPaginatedResponse } = require('../utils/pagination');
+const { getDateRangeParams, hasDateRange } = require('../utils/dateRange');
+const { getProjectionParams, projectArticle, projectArticles } = require('../utils/projection');
+const { getSortParam, isKeysetSort } = require('../utils/sort');
 
 // Get news by topic (with pagination)
 async function getNewsByTopic(req, res) {
   try {
     const { topic } = req.params;
-    const { page, limit, offset } = getPaginationParams(req);
+    const sort = getSortParam(req, ['newest', 'oldest', 'relevance', 'views', 'trending']);
+    const { page, limit, offset, cursor } = getPaginationParams(req, { keyset: isKeysetSort(sort) ? sort : null });
+    const dateRange = getDateRangeParams(req);
+    const fields = getProjectionParams(req);
     
-    const result = await searchArticlesByTopic(topic, limit, offset);
+    const result = await searchArticlesByTopic(topic, limit, offset, dateRange, cursor, sort);
     const response = createPaginatedResponse(
-      result.articles, 
+      projectArticles(result.articles, fields), 
       result.totalCount, 
       page, 
       limit, 
-      req
+      req,
+      { sort, cursor, hasMore: result.hasMore, last: result.last }
     );
     
     res.json(response);
   } catch (error) {
     console.error('Error fetching news by topic:', error);
-    res.status(500).json({ error: 'Failed to fetch news' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch news' });
   }
 }
 
@@ -59,21 +73,25 @@ async function getNewsByTopic(req, res) {
 async function getNewsBySentiment(req, res) {
   try {
     const { sentiment } = req.params;
-    const { page, limit, offset } = getPaginationParams(req);
+    const sort = getSortParam(req, ['newest', 'oldest', 'views', 'trending']);
+    const { page, limit, offset, cursor } = getPaginationParams(req, { keyset: isKeysetSort(sort) ? sort : null });
+    const dateRange = getDateRangeParams(req);
+    const fields = getProjectionParams(req);
     
-    const result = await searchArticlesBySentiment(sentiment, limit, offset);
+    const result = await searchArticlesBySentiment(sentiment, limit, offset, dateRange, cursor, sort);
     const response = createPaginatedResponse(
-      result.articles, 
+      projectArticles(result.articles, fields), 
       result.totalCount, 
       page, 
       limit, 
-      req
+      req,
+      { sort, cursor, hasMore: result.hasMore, last: result.last }
     );
     
     res.json(response);
   } catch (error) {
     console.error('Error fetching news by sentiment:', error);
-    res.status(500).json({ error: 'Failed to fetch news' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch news' });
   }
 }
 
@@ -81,26 +99,81 @@ async function getNewsBySentiment(req, res) {
 async function searchNewsHandler(req, res) {
   try {
     const { q, sentiment, source, topic } = req.query;
-    const { page, limit, offset } = getPaginationParams(req);
-    
-    // Use the comprehensive search function from redisService
-    const result = await searchNews(
-      { q, sentiment, source, topic },
-      { page, limit, offset }
-    );
+    const mode = getSearchMode(req.query.mode);
+    // semantic/hybrid results are ranked by relevance only; keyword results are newest first by
+    // default, and relevance needs text to score (q or topic)
+    const sort = mode !== 'keyword'
+      ? getSortParam(req, ['relevance'])
+      : getSortParam(req, q || topic
+        ? ['newest', 'oldest', 'relevance', 'views', 'trending']
+        : ['newest', 'oldest', 'views', 'trending']);
+    const { page, limit, offset, cursor } = getPaginationParams(req, { keyset: isKeysetSort(sort) ? sort : null });
+    const dateRange = getDateRangeParams(req);
+    const facetNames = parseFacets(req.query.facets);
+    const fields = getProjectionParams(req);
+    const filters = { q, sentiment, source, topic, dateRange };
+    
+    // keyword: the comprehensive search function from redisService (in the sort order);
+    // semantic/hybrid: relevance-ranked
+    const result = mode === 'keyword'
+      ? await searchNews(filters, { page, limit, offset, cursor, sort })
+      : await rankedSearch(filters, { limit, offset }, { mode, explain: req.query.explain === 'true' });
+
+    // Matched words in the title and the best-matching excerpt; a highlighting error should not
+    // cost the results
+    let highlights = null;
+    if (q && req.query.highlight !== 'false') {
+      try {
+        highlights = await getSearchHighlights(q, result.articles.map(article => article.id));
+      } catch (error) {
+        console.error('Error highlighting search results:', error.message);
+      }
+    }
+
+    const articles = result.articles.map(article => {
+      const projected = projectArticle(article, fields);
+      return highlights
+        ? { ...projected, highlights: highlights.get(article.id) || null }
+        : projected;
+    });
     
     const response = createPaginatedResponse(
-      result.articles, 
+      articles, 
       result.totalCount, 
       page, 
       limit, 
-      req
+      req,
+      { sort, cursor, hasMore: result.hasMore, last: result.last }
     );
+
+    // Facet counts for the filter sidebar, reflecting the active search
+    if (facetNames.length > 0) {
+      response.facets = await getSearchFacets(filters, facetNames, mode === 'keyword' ? {} : { ids: result.ids });
+    }
+
+    // Queries that find something feed the autocomplete suggestions
+    if (q && result.totalCount > 0) {
+      recordSearchQuery(q).catch(error => {
+        console.error('Error recording search query:', error.message);
+      });
+    }
     
     res.json(response);
   } catch (error) {
     console.error('Error searching news:', error);
-    res.status(500).json({ error: 'Failed to search news' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to search news' });
+  }
+}
+
+// Autocomplete suggestions for a search prefix
+async function suggestHandler(req, res) {
+  try {
+    const { prefix, limit } = req.query;
+    const suggestions = await getSuggestions(typeof prefix === 'string' ? prefix : '', limit);
+    res.json({ prefix, suggestions });
+  } catch (error) {
+    console.error('Error getting search suggestions:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to get suggestions' });
   }
 }
 
@@ -113,6 +186,7 @@ async function getArticleById(req, res) {
     const ipAddress = req.ip || req.connection.remoteAddress;
     
     console.log(`Article view request - ID: ${id}, User: ${userId}, IP: ${ipAddress}`);
+    const fields = getProjectionParams(req, 'detail');
     
     const key = `news:${id}`;
     const article = await redis.json.get(key);
@@ -145,7 +219,7 @@ async function getArticleById(req, res) {
     console.log(metrics);
     // Return article with metrics
     const response = {
-      ...article,
+      ...projectArticle(article, fields),
       metrics: {
         totalViews: metrics.totalViews,
         uniqueViews: metrics.uniqueViews,
@@ -158,7 +232,7 @@ async function getArticleById(req, res) {
     res.json(response);
   } catch (error) {
     console.error('Error fetching article:', error);
-    res.status(500).json({ error: 'Failed to fetch article' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch article' });
   }
 }
 
@@ -168,10 +242,11 @@ async function getSimilarArticles(req, res) {
     console.log(req.params);
     const { id } = req.params;
     const { page, limit, offset } = getPaginationParams(req);
+    const fields = getProjectionParams(req);
     
     const result = await findSimilarArticles(id, limit, offset);
     const response = createPaginatedResponse(
-      result.articles, 
+      projectArticles(result.articles, fields), 
       result.totalCount, 
       page, 
       limit, 
@@ -181,7 +256,7 @@ async function getSimilarArticles(req, res) {
     res.json(response);
   } catch (error) {
     console.error('Error fetching similar articles:', error);
-    res.status(500).json({ error: 'Failed to fetch similar articles' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch similar articles' });
   }
 }
 
@@ -189,38 +264,119 @@ async function getSimilarArticles(req, res) {
 async function getAllNews(req, res) {
   try {
     console.log("Getting paginated news articles");
-    const { page, limit, offset } = getPaginationParams(req);
+    const collapse = req.query.collapse === 'story';
+    if (collapse && req.query.sort !== undefined) {
+      return res.status(400).json({ error: 'collapse=story cannot be combined with sort' });
+    }
+    // The collapsed feed is ordered by story activity, so it is paged by page number only
+    const sort = collapse ? null : getSortParam(req, ['newest', 'oldest', 'views', 'trending']);
+    const { page, limit, offset, cursor } = getPaginationParams(req, { keyset: isKeysetSort(sort) ? sort : null });
+    const dateRange = getDateRangeParams(req);
+    const fields = getProjectionParams(req);
+
+    if (collapse && hasDateRange(dateRange)) {
+      return res.status(400).json({ error: 'collapse=story cannot be combined with from, to or since' });
+    }
     
-    const result = await getAllArticles(limit, offset);
+    // collapse=story returns one representative article per story
+    const result = collapse
+      ? await getCollapsedFeed(limit, offset)
+      : await getAllArticles(limit, offset, dateRange, cursor, sort);
     const response = createPaginatedResponse(
-      result.articles, 
+      projectArticles(result.articles, fields), 
       result.totalCount, 
       page, 
       limit, 
-      req
+      req,
+      { sort, cursor, hasMore: result.hasMore, last: result.last }
     );
     
     res.json(response);
   } catch (error) {
     console.error('Error fetching news:', error);
-    res.status(500).json({ error: 'Failed to fetch news' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch news' });
   }
 }
 
-// Get available topics
+// List stories (clusters of articles about the same event), most recently active first
+async function getStoriesHandler(req, res) {
+  try {
+    const { page, limit, offset } = getPaginationParams(req);
+    
+    const result = await listStories(limit, offset);
+    const response = createPaginatedResponse(
+      result.stories,
+      result.totalCount,
+      page,
+      limit,
+      req
+    );
+    
+    res.json(response);
+  } catch (error) {
+    console.error('Error fetching stories:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch stories' });
+  }
+}
+
+// Get a story with all of its articles
+async function getStoryHandler(req, res) {
+  try {
+    const story = await getStory(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+    res.json(story);
+  } catch (error) {
+    console.error('Error fetching story:', error);
+    res.status(500).json({ error: 'Failed to fetch story' });
+  }
+}
+
+// Multi-source summary of a story's articles (cached; refresh=true regenerates it, admins only)
+async function getStorySummaryHandler(req, res) {
+  try {
+    const summary = await getMultiSourceSummary({
+      storyId: req.params.id,
+      refresh: req.query.refresh === 'true'
+    });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error generating story summary:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to generate story summary' });
+  }
+}
+
+// Multi-source summary of a set of articles ({ articleIds }) or a story ({ storyId })
+async function summarizeArticlesHandler(req, res) {
+  try {
+    const { articleIds, storyId, refresh = false } = req.body || {};
+
+    if (!storyId && (!Array.isArray(articleIds) || articleIds.some(id => typeof id !== 'string' || id.length === 0))) {
+      return res.status(400).json({ error: 'articleIds (array of article IDs) or storyId is required' });
+    }
+
+    const summary = await getMultiSourceSummary({
+      storyId: storyId || null,
+      articleIds: articleIds || [],
+      refresh: refresh === true
+    });
+    res.json(summary);
+  } catch (error) {
+    console.error('Error generating multi-source summary:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to generate summary' });
+  }
+}
+
+// Get available topics (labels of the enabled ingestion topics)
 async function getTopics(req, res) {
-  const topics = [
-    'India',
-    'Technology', 
-    'Politics',
-    'World',
-    'Sports',
-    'Business',
-    'Entertainment',
-    'Science',
-    'Health'
-  ];
-  res.json(topics);
+  try {
+    const topics = await listTopics({ enabledOnly: true });
+    res.json(topics.map(topic => topic.label));
+  } catch (error) {
+    console.error('Error fetching topics:', error);
+    res.status(500).json({ error: 'Failed to fetch topics' });
+  }
 }
 
 // Get available sentiments
@@ -347,10 +503,11 @@ async function getPersonalizedNewsHandler(req, res) {
   try {
     const { userId } = req.params;
     const { page, limit, offset } = getPaginationParams(req);
+    const fields = getProjectionParams(req);
     
     const result = await getPersonalizedNews(userId, limit, offset);
     const response = createPaginatedResponse(
-      result.articles,
+      projectArticles(result.articles, fields),
       result.totalCount,
       page,
       limit,
@@ -360,7 +517,7 @@ async function getPersonalizedNewsHandler(req, res) {
     res.json(response);
   } catch (error) {
     console.error('Error fetching personalized news:', error);
-    res.status(500).json({ error: 'Failed to fetch personalized news' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch personalized news' });
   }
 }
 
@@ -370,11 +527,12 @@ async function getPersonalizedNewsSearchHandler(req, res) {
     const { userId } = req.params;
     const { q, sentiment, source } = req.query;
     const { page, limit, offset } = getPaginationParams(req);
+    const fields = getProjectionParams(req);
     
     const result = await getPersonalizedNewsSearch(userId, limit, offset, q, sentiment, source);
     
     const response = createPaginatedResponse(
-      result.articles, 
+      projectArticles(result.articles, fields), 
       result.totalCount, 
       page, 
       limit, 
@@ -390,7 +548,7 @@ async function getPersonalizedNewsSearchHandler(req, res) {
     res.json(response);
   } catch (error) {
     console.error('Error fetching personalized search results:', error);
-    res.status(500).json({ error: 'Failed to fetch personalized search results' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch personalized search results' });
   }
 }
 
@@ -455,7 +613,8 @@ async function getUserArticleHistoryHandler(req, res) {
 async function getTrendingArticlesHandler(req, res) {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const trendingArticles = await getTrendingArticles(limit);
+    const fields = getProjectionParams(req);
+    const trendingArticles = projectArticles(await getTrendingArticles(limit), fields);
     
     res.json({
       trendingArticles,
@@ -464,13 +623,25 @@ async function getTrendingArticlesHandler(req, res) {
     });
   } catch (error) {
     console.error('Error fetching trending articles:', error);
-    res.status(500).json({ error: 'Failed to fetch trending articles' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to fetch trending articles' });
   }
 }
 
 // Health check
 async function healthCheck(req, res) {
-  res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  let searchIndex;
+  try {
+    searchIndex = await getSearchIndexStatus();
+  } catch (error) {
+    console.error('Error getting search index status:', error);
+    searchIndex = { error: error.message };
+  }
+
+  res.json({
+    status: searchIndex.indexName ? 'OK' : 'DEGRADED',
+    timestamp: new Date().toISOString(),
+    searchIndex
+  });
 }
 
 // Clear all cache except user data
@@ -532,9 +703,14 @@ module.exports = {
   getNewsByTopic,
   getNewsBySentiment,
   searchNews: searchNewsHandler,
+  suggest: suggestHandler,
   getArticleById,
   getSimilarArticles,
   getAllNews,
+  getStories: getStoriesHandler,
+  getStory: getStoryHandler,
+  getStorySummary: getStorySummaryHandler,
+  summarizeArticles: summarizeArticlesHandler,
   getTopics,
   getSentiments,
   getSources,
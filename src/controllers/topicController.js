@@ -0,0 +1,91 @@
+require('dotenv').config();
+const {
+  validateTopic,
+  listTopics,
+  getTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic
+} = require('../services/topicService');
+
+// List all ingestion topics (enabled and disabled)
+async function listTopicsHandler(req, res) {
+  try {
+    const topics = await listTopics();
+    res.json({ topics, count: topics.length });
+  } catch (error) {
+    console.error('Error listing topics:', error);
+    res.status(500).json({ error: 'Failed to list topics' });
+  }
+}
+
+// Get a single ingestion topic
+async function getTopicHandler(req, res) {
+  try {
+    const topic = await getTopic(req.params.id);
+    if (!topic) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+    res.json(topic);
+  } catch (error) {
+    console.error('Error fetching topic:', error);
+    res.status(500).json({ error: 'Failed to fetch topic' });
+  }
+}
+
+// Create an ingestion topic
+async function createTopicHandler(req, res) {
+  try {
+    const errors = validateTopic(req.body || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const topic = await createTopic(req.body);
+    res.status(201).json({ message: 'Topic created successfully', topic });
+  } catch (error) {
+    console.error('Error creating topic:', error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to create topic' });
+  }
+}
+
+// Update an ingestion topic (partial updates allowed)
+async function updateTopicHandler(req, res) {
+  try {
+    const errors = validateTopic(req.body || {}, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; ') });
+    }
+
+    const topic = await updateTopic(req.params.id, req.body);
+    if (!topic) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+    res.json({ message: 'Topic updated successfully', topic });
+  } catch (error) {
+    console.error('Error updating topic:', error);
+    res.status(500).json({ error: 'Failed to update topic' });
+  }
+}
+
+// Delete an ingestion topic
+async function deleteTopicHandler(req, res) {
+  try {
+    const deleted = await deleteTopic(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Topic not found' });
+    }
+    res.json({ message: 'Topic deleted successfully', id: req.params.id });
+  } catch (error) {
+    console.error('Error deleting topic:', error);
+    res.status(500).json({ error: 'Failed to delete topic' });
+  }
+}
+
+module.exports = {
+  listTopics: listTopicsHandler,
+  getTopic: getTopicHandler,
+  createTopic: createTopicHandler,
+  updateTopic: updateTopicHandler,
+  deleteTopic: deleteTopicHandler
+};
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+// Bearer token check for admin endpoints (they trigger work, change configuration or expose
+// ingestion internals such as source credentials):
+// "Authorization: Bearer <ADMIN_API_KEY>"
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+const adminAuth = (req, res, next) => {
+  const apiKey = process.env.ADMIN_API_KEY;
+
+  if (!apiKey) {
+    return res.status(503).json({ error: 'Admin authentication is not configured' });
+  }
+
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (!match || !safeEqual(match[1].trim(), apiKey)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
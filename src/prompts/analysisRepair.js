@@ -0,0 +1,16 @@
+// Follow-up sent when a summarize_article response fails validation.
+// Variables: originalPrompt, errors (one "- error" per line), previousResponse
+module.exports = {
+  name: 'analysis_repair',
+  versions: {
+    1: `{{originalPrompt}}
+
+Your previous response was not valid:
+{{errors}}
+
+Previous response:
+{{previousResponse}}
+
+Respond again with only the corrected JSON object, no explanations or markdown.`
+  }
+};
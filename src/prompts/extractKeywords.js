@@ -0,0 +1,19 @@
+// Keyword extraction (geminiService.extractKeywords).
+// Variables: title, description, content
+module.exports = {
+  name: 'extract_keywords',
+  versions: {
+    1: `Extract 5-8 most important keywords from this news article. Focus on:
+- Main topics/subjects
+- Key entities (people, places, organizations)
+- Important concepts or technologies
+- Current events or trends mentioned
+
+Title: {{title}}
+Description: {{description}}
+Content: {{content}}
+
+Return only the keywords as a JSON array, no explanations:
+["keyword1", "keyword2", "keyword3", ...]`
+  }
+};
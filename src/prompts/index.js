@@ -0,0 +1,53 @@
+// Prompt templates as named, versioned artifacts. Each template module keeps every version it
+// has shipped; to change a prompt, add a new version instead of editing an old one. The
+// highest version is the active one. Articles record the prompt version they were analyzed
+// with, and the analysis backfill re-runs articles analyzed with an older version.
+const templates = [
+  require('./summarizeArticle'),
+  require('./analysisRepair'),
+  require('./storySummary'),
+  require('./extractKeywords')
+];
+
+const registry = new Map(templates.map(template => [template.name, template]));
+
+function getTemplate(name) {
+  const template = registry.get(name);
+  if (!template) {
+    throw new Error(`Unknown prompt template "${name}"`);
+  }
+  return template;
+}
+
+function getActiveVersion(name) {
+  return Math.max(...Object.keys(getTemplate(name).versions).map(Number));
+}
+
+// Render a template with {{variable}} placeholders. Resolves to { name, version, text };
+// `version` defaults to the active one. Values are inserted as-is (no nested substitution).
+function renderPrompt(name, variables = {}, version = getActiveVersion(name)) {
+  const template = getTemplate(name).versions[version];
+  if (!template) {
+    throw new Error(`Prompt template "${name}" has no version ${version}`);
+  }
+
+  const text = template.replace(/\{\{(\w+)\}\}/g, (placeholder, variable) => {
+    if (!(variable in variables)) {
+      throw new Error(`Prompt template "${name}" v${version} needs "${variable}"`);
+    }
+    return String(variables[variable] ?? '');
+  });
+
+  return { name, version, text };
+}
+
+// Active version of every template, e.g. { summarize_article: 1, ... }
+function getActiveVersions() {
+  return Object.fromEntries(templates.map(template => [template.name, getActiveVersion(template.name)]));
+}
+
+module.exports = {
+  renderPrompt,
+  getActiveVersion,
+  getActiveVersions
+};
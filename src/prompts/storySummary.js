@@ -0,0 +1,25 @@
+// Multi-source story summary with citations (geminiService.summarizeStory).
+// Variables: sources (the reports, each starting with its article id in square brackets)
+module.exports = {
+  name: 'story_summary',
+  versions: {
+    1: `You are a news editor combining several reports about the same event into one neutral overview.
+
+Reports (each starts with its article id in square brackets):
+
+{{sources}}
+
+Do the following:
+1. Write a consolidated summary of the event in 3-5 sentences, using facts from all reports.
+2. List the key points the reports agree on.
+3. List where the reports differ (conflicting figures, claims, framing or details only some report).
+Cite the article ids that support every point. Only use ids from the reports above.
+
+Respond in strict JSON format like this:
+{
+  "summary": "...",
+  "agreements": [{ "point": "...", "articleIds": ["...", "..."] }],
+  "differences": [{ "point": "...", "articleIds": ["..."] }]
+}`
+  }
+};
@@ -0,0 +1,23 @@
+// Article summary, sentiment and keywords (geminiService.summarizeAndAnalyze).
+// Variables: title, content
+module.exports = {
+  name: 'summarize_article',
+  versions: {
+    1: `You are an intelligent assistant helping categorize news articles.
+  
+Given the following news content, do the following:
+1. Summarize it in 2-3 sentences.
+2. Determine its sentiment (positive, negative, or neutral).
+3. Generate 10-15 relevant keywords or key phrases for search and categorization. These keywords should reflect the *topic*, *context*, and *implications*, even if they are *not directly mentioned* in the article. Include related people, events, organizations, or terms.
+
+Title: {{title}}
+Content: {{content}}
+
+Respond in strict JSON format like this:
+{
+  "summary": "...",
+  "sentiment": "...",
+  "keywords": ["...", "...", "..."]
+}`
+  }
+};
@@ -9,6 +9,32 @@ const {
   clearSpecificCacheTypes,
   getCacheStatistics
 } = require('../controllers/newsController');
+const {
+  listTopics,
+  getTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic
+} = require('../controllers/topicController');
+const adminAuth = require('../middleware/adminAuth');
+const {
+  triggerRun,
+  listRuns,
+  getRun,
+  getQueueStatus,
+  listDeadLetters,
+  getDeadLetter,
+  requeueDeadLetter,
+  discardDeadLetter
+} = require('../controllers/ingestionController');
+const {
+  getKeyPools,
+  getLlmCacheStats,
+  purgeLlmCache,
+  getPromptVersions,
+  startBackfill,
+  getBackfill
+} = require('../controllers/llmController');
 
 /**
  * @swagger
@@ -199,4 +225,862 @@ router.post('/clear-specific-cache-types', clearSpecificCacheTypes);
  */
 router.get('/cache-statistics', getCacheStatistics);
 
+/**
+ * @swagger
+ * /api/admin/topics:
+ *   get:
+ *     summary: List ingestion topics
+ *     description: Retrieve every topic in the ingestion registry, including disabled ones
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Ingestion topics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 topics:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Topic'
+ *                 count:
+ *                   type: number
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create an ingestion topic
+ *     description: Add a topic to the registry used by the news processor and /api/metadata/topics
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: "Technology AI"
+ *               label:
+ *                 type: string
+ *                 example: "Technology"
+ *               pageSize:
+ *                 type: number
+ *                 default: 8
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               schedule:
+ *                 type: string
+ *                 default: "*\/15 * * * *"
+ *               sources:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       201:
+ *         description: Topic created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 topic:
+ *                   $ref: '#/components/schemas/Topic'
+ *       400:
+ *         description: Invalid topic data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Topic already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/topics', adminAuth, listTopics);
+router.post('/topics', adminAuth, createTopic);
+
+/**
+ * @swagger
+ * /api/admin/topics/{id}:
+ *   get:
+ *     summary: Get an ingestion topic
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Topic details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Topic'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update an ingestion topic
+ *     description: Update any of query, label, pageSize, enabled, schedule or sources
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Topic'
+ *     responses:
+ *       200:
+ *         description: Topic updated
+ *       400:
+ *         description: Invalid topic data
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete an ingestion topic
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Topic ID
+ *     responses:
+ *       200:
+ *         description: Topic deleted
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Topic not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/topics/:id', adminAuth, getTopic);
+router.put('/topics/:id', adminAuth, updateTopic);
+router.delete('/topics/:id', adminAuth, deleteTopic);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/run:
+ *   post:
+ *     summary: Start an ingestion run
+ *     description: Fetches and processes news for all enabled topics (or the given subset). Only one run can hold the ingestion lock at a time. Returns the run id to poll at /api/admin/ingestion/runs/{id}, or the finished run report when wait is true.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: wait
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Wait for the run to finish and return its report
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               topicIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Topic IDs to process (defaults to all enabled topics)
+ *               wait:
+ *                 type: boolean
+ *                 description: Same as the wait query parameter
+ *     responses:
+ *       200:
+ *         description: Finished run report (when wait is true)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionRun'
+ *       202:
+ *         description: Run started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 runId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 statusUrl:
+ *                   type: string
+ *       400:
+ *         description: Invalid or unknown topic IDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another ingestion run is in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                 runId:
+ *                   type: string
+ *                   description: ID of the run holding the lock
+ */
+router.post('/ingestion/run', adminAuth, triggerRun);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/runs:
+ *   get:
+ *     summary: List ingestion runs
+ *     description: Ingestion run history, most recent first
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: Ingestion runs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/IngestionRun'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ingestion/runs', adminAuth, listRuns);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/runs/{id}:
+ *   get:
+ *     summary: Get an ingestion run report
+ *     description: Start/end time, per-topic counts and Gemini usage for one run
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Run ID
+ *     responses:
+ *       200:
+ *         description: Run report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/IngestionRun'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Ingestion run not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ingestion/runs/:id', adminAuth, getRun);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/queue:
+ *   get:
+ *     summary: Get ingestion queue status
+ *     description: Queue depth, in-flight (pending) items, items waiting to retry and dead-letter count
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Ingestion queue status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 stats:
+ *                   type: object
+ *                   properties:
+ *                     queued:
+ *                       type: number
+ *                     pending:
+ *                       type: number
+ *                     retrying:
+ *                       type: number
+ *                     deadLettered:
+ *                       type: number
+ *                     maxAttempts:
+ *                       type: number
+ *                 retrying:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   description: Next items waiting for their backoff to elapse
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ingestion/queue', adminAuth, getQueueStatus);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/dead-letters:
+ *   get:
+ *     summary: List dead-lettered ingestion items
+ *     description: Articles that failed processing on every attempt, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: Dead-lettered items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ingestion/dead-letters', adminAuth, listDeadLetters);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/dead-letters/{id}:
+ *   get:
+ *     summary: Get a dead-lettered item
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Item ID (the article ID it would be stored under)
+ *     responses:
+ *       200:
+ *         description: Dead-lettered item with its error history
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Dead letter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Discard a dead-lettered item
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item discarded
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Dead letter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/ingestion/dead-letters/:id', adminAuth, getDeadLetter);
+router.delete('/ingestion/dead-letters/:id', adminAuth, discardDeadLetter);
+
+/**
+ * @swagger
+ * /api/admin/ingestion/dead-letters/{id}/requeue:
+ *   post:
+ *     summary: Requeue a dead-lettered item
+ *     description: Put the item back on the ingestion queue with a fresh attempt budget
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Item requeued
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Dead letter not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/ingestion/dead-letters/:id/requeue', adminAuth, requeueDeadLetter);
+
+/**
+ * @swagger
+ * /api/admin/llm/key-pools:
+ *   get:
+ *     summary: Get LLM API key pool status
+ *     description: Per-key remaining requests (minute and day token buckets), rate-limit backoff and 429/quota error counts for the active LLM provider. Keys are masked.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Key pool status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 provider:
+ *                   type: string
+ *                   example: gemini
+ *                 pools:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: gemini-summary
+ *                       requestsPerMinute:
+ *                         type: number
+ *                         nullable: true
+ *                       requestsPerDay:
+ *                         type: number
+ *                         nullable: true
+ *                       keys:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             index:
+ *                               type: number
+ *                             key:
+ *                               type: string
+ *                               example: "…a1b2"
+ *                             minuteTokens:
+ *                               type: number
+ *                               nullable: true
+ *                             dayTokens:
+ *                               type: number
+ *                               nullable: true
+ *                             backoffUntil:
+ *                               type: string
+ *                               format: date-time
+ *                               nullable: true
+ *                             available:
+ *                               type: boolean
+ *                             requests:
+ *                               type: number
+ *                             rateLimitErrors:
+ *                               type: number
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/llm/key-pools', adminAuth, getKeyPools);
+
+/**
+ * @swagger
+ * /api/admin/llm/cache:
+ *   get:
+ *     summary: Get LLM cache statistics
+ *     description: Hit/miss counters, hit rate and TTL for cached LLM generations and embeddings
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: LLM cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 generation:
+ *                   type: object
+ *                   properties:
+ *                     hits:
+ *                       type: number
+ *                     misses:
+ *                       type: number
+ *                     hitRate:
+ *                       type: number
+ *                       nullable: true
+ *                     ttlSeconds:
+ *                       type: number
+ *                 embedding:
+ *                   type: object
+ *                   description: Same fields as generation
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Purge the LLM cache
+ *     description: Delete cached LLM generations and/or embeddings, so the next request for each input calls the model again
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [generation, embedding]
+ *         description: Only purge this kind of entry (default both)
+ *       - in: query
+ *         name: resetStats
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also reset the hit/miss counters
+ *     responses:
+ *       200:
+ *         description: Cache purged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 kind:
+ *                   type: string
+ *                 deleted:
+ *                   type: number
+ *                 timestamp:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid kind
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/llm/cache', adminAuth, getLlmCacheStats);
+router.delete('/llm/cache', adminAuth, purgeLlmCache);
+
+/**
+ * @swagger
+ * /api/admin/llm/prompts:
+ *   get:
+ *     summary: Get active prompt template versions
+ *     description: The prompt template versions new analyses use; articles analyzed with an older summarize_article version are picked up by the analysis backfill
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Active version per prompt template
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prompts:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: number
+ *                   example: { summarize_article: 2, analysis_repair: 1, story_summary: 1, extract_keywords: 1 }
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/llm/prompts', adminAuth, getPromptVersions);
+
+/**
+ * @swagger
+ * /api/admin/analysis/backfill:
+ *   post:
+ *     summary: Re-analyze articles with an outdated analysis
+ *     description: |
+ *       Starts a background job that re-runs summary, sentiment and keyword analysis for articles analyzed with an older
+ *       summarize_article prompt version, stored before prompt versioning, or whose analysis failed. Calls go through the
+ *       LLM key pools (and `ANALYSIS_BACKFILL_DELAY_MS` between articles). Only one job runs at a time.
+ *       Requires `Authorization: Bearer <ADMIN_API_KEY>`.
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 default: 500
+ *                 maximum: 5000
+ *                 description: Maximum number of articles to re-analyze
+ *               includeModelChanges:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also re-analyze articles analyzed by a different provider or model
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Only report which articles are outdated
+ *     responses:
+ *       200:
+ *         description: Dry run result (scanned, outdated, articleIds)
+ *       202:
+ *         description: Backfill started; poll statusUrl for progress
+ *       400:
+ *         description: Invalid options
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A backfill is already running (its id is returned as jobId)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/analysis/backfill', adminAuth, startBackfill);
+
+/**
+ * @swagger
+ * /api/admin/analysis/backfill/{id}:
+ *   get:
+ *     summary: Get an analysis backfill job
+ *     description: Status, target prompt version and scanned/outdated/processed/reanalyzed/failed counts for one job
+ *     tags: [Admin]
+ *     security:
+ *       - AdminApiKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Backfill job
+ *       401:
+ *         description: Missing or invalid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Analysis backfill not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/analysis/backfill/:id', adminAuth, getBackfill);
+
 module.exports = router; 
\ No newline at end of file
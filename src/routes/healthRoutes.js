@@ -11,7 +11,9 @@ const {
  * /api/health:
  *   get:
  *     summary: Health check
- *     description: Check the health status of the API server
+ *     description: |
+ *       Check the health status of the API server. `searchIndex` reports the index behind the
+ *       `idx:news` alias; `status` is `DEGRADED` while no index is live.
  *     tags: [Health]
  *     responses:
  *       200:
@@ -23,17 +25,61 @@ const {
  *               properties:
  *                 status:
  *                   type: string
- *                   example: "healthy"
+ *                   enum: [OK, DEGRADED]
+ *                   example: "OK"
  *                 timestamp:
  *                   type: string
  *                   format: date-time
  *                   description: Current server timestamp
- *                 uptime:
- *                   type: number
- *                   description: Server uptime in seconds
- *                 version:
- *                   type: string
- *                   description: API version
+ *                 searchIndex:
+ *                   type: object
+ *                   description: Search index lifecycle state (`error` only if it could not be read)
+ *                   properties:
+ *                     alias:
+ *                       type: string
+ *                       example: "idx:news"
+ *                     indexName:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Versioned index the alias points at
+ *                       example: "idx:news_3f9a1c2b7d4e_1760860800000"
+ *                     schemaHash:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Hash of the schema the live index was built with
+ *                     desiredSchemaHash:
+ *                       type: string
+ *                       description: Hash of the schema this server version expects
+ *                     dimensions:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Vector length of the live index
+ *                     desiredDimensions:
+ *                       type: integer
+ *                       description: Vector length of the active embedding model (differs until `npm run vectors:migrate` has run)
+ *                     upToDate:
+ *                       type: boolean
+ *                     numDocs:
+ *                       type: integer
+ *                       nullable: true
+ *                     indexing:
+ *                       type: boolean
+ *                     percentIndexed:
+ *                       type: number
+ *                       nullable: true
+ *                     indexingFailures:
+ *                       type: integer
+ *                       nullable: true
+ *                     switchedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     build:
+ *                       type: object
+ *                       nullable: true
+ *                       description: Index currently being built ({ indexName, schemaHash, startedAt })
+ *                     error:
+ *                       type: string
  *       500:
  *         description: API is unhealthy
  *         content:
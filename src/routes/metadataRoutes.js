@@ -13,7 +13,7 @@ const {
  * /api/metadata/topics:
  *   get:
  *     summary: Get available topics
- *     description: Retrieve list of available news topics/categories
+ *     description: Retrieve the labels of the enabled ingestion topics (managed via /api/admin/topics)
  *     tags: [Metadata]
  *     responses:
  *       200:
@@ -6,13 +6,26 @@ const {
   getNewsByTopic,
   getNewsBySentiment,
   searchNews,
+  suggest,
   getArticleById,
   getSimilarArticles,
   getAllNews,
+  getStories,
+  getStory,
+  getStorySummary,
+  summarizeArticles,
   getArticleMetrics,
   getUserArticleHistory,
   getTrendingArticles
 } = require('../controllers/newsController');
+const adminAuth = require('../middleware/adminAuth');
+
+// Regenerating a cached summary costs an LLM call, so only admins may force it; everyone else
+// gets the cached summary
+const adminAuthForRefresh = (req, res, next) => {
+  const refresh = req.query.refresh === 'true' || (req.body && req.body.refresh === true);
+  return refresh ? adminAuth(req, res, next) : next();
+};
 
 /**
  * @swagger
@@ -38,9 +51,21 @@ const {
  *         name: sort
  *         schema:
  *           type: string
- *           enum: [latest, oldest, relevance]
- *           default: latest
- *         description: Sort order for articles
+ *           enum: [newest, oldest, views, trending]
+ *           default: newest
+ *         description: Sort order - newest or oldest published first, most viewed (views), or trending (most views today, then yesterday; adds todayViews and yesterdayViews). `latest` is accepted for newest. Cannot be combined with collapse
+ *       - in: query
+ *         name: collapse
+ *         schema:
+ *           type: string
+ *           enum: [story]
+ *         description: Collapse the feed by story - one representative article per story, with a story object ({ id, articleCount, lastSeenAt }). Cannot be combined with a date range
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/DateSince'
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: List of news articles
@@ -55,6 +80,12 @@ const {
  *                     $ref: '#/components/schemas/Article'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid date range or sort
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Internal server error
  *         content:
@@ -90,6 +121,19 @@ router.get('/', getAllNews);
  *           type: integer
  *           default: 20
  *         description: Number of articles per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, relevance, views, trending]
+ *           default: newest
+ *         description: Sort order - newest or oldest published first, relevance to the topic, most viewed (views), or trending (most views today, then yesterday)
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/DateSince'
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: List of news articles for the specified topic
@@ -104,6 +148,12 @@ router.get('/', getAllNews);
  *                     $ref: '#/components/schemas/Article'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid date range or sort
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Topic not found
  *         content:
@@ -140,6 +190,19 @@ router.get('/topic/:topic', getNewsByTopic);
  *           type: integer
  *           default: 20
  *         description: Number of articles per page
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, views, trending]
+ *           default: newest
+ *         description: Sort order - newest or oldest published first, most viewed (views), or trending (most views today, then yesterday)
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/DateSince'
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: List of news articles with the specified sentiment
@@ -155,7 +218,7 @@ router.get('/topic/:topic', getNewsByTopic);
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
  *       400:
- *         description: Invalid sentiment value
+ *         description: Invalid sentiment value, date range or sort
  *         content:
  *           application/json:
  *             schema:
@@ -168,7 +231,10 @@ router.get('/sentiment/:sentiment', getNewsBySentiment);
  * /api/news/search:
  *   get:
  *     summary: Search news articles
- *     description: Search news articles by keywords with advanced filtering
+ *     description: |
+ *       Search news articles by keywords with advanced filtering. `mode=keyword` (default) lists
+ *       matches newest first; `semantic` ranks by embedding similarity to `q`; `hybrid` merges the
+ *       keyword (BM25) and vector rankings with reciprocal rank fusion.
  *     tags: [News]
  *     parameters:
  *       - in: query
@@ -200,18 +266,43 @@ router.get('/sentiment/:sentiment', getNewsBySentiment);
  *           type: string
  *           enum: [positive, negative, neutral]
  *         description: Filter by sentiment
+ *       - $ref: '#/components/parameters/DateFrom'
+ *       - $ref: '#/components/parameters/DateTo'
+ *       - $ref: '#/components/parameters/DateSince'
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [keyword, semantic, hybrid]
+ *           default: keyword
+ *         description: Ranking method
  *       - in: query
- *         name: dateFrom
+ *         name: sort
  *         schema:
  *           type: string
- *           format: date
- *         description: Filter by start date (YYYY-MM-DD)
+ *           enum: [newest, oldest, relevance, views, trending]
+ *         description: Sort order of keyword results - newest (the default) or oldest published first, relevance (needs q or topic), most viewed (views), or trending (most views today, then yesterday). semantic and hybrid results are only sorted by relevance
+ *       - in: query
+ *         name: explain
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: With semantic or hybrid mode, add each result's score breakdown (`searchScore` - mode, rrf, keyword { rank, contribution }, semantic { rank, contribution, similarity })
  *       - in: query
- *         name: dateTo
+ *         name: facets
  *         schema:
  *           type: string
- *           format: date
- *         description: Filter by end date (YYYY-MM-DD)
+ *           example: source,sentiment,date
+ *         description: Comma-separated facets to count for this search (source, sentiment, keywords, category, date), or `all`
+ *       - in: query
+ *         name: highlight
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Add `highlights` (title and best-matching excerpt with the query's words marked) to each result when `q` is given
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/Cursor'
  *     responses:
  *       200:
  *         description: Search results
@@ -223,14 +314,44 @@ router.get('/sentiment/:sentiment', getNewsBySentiment);
  *                 articles:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/Article'
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Article'
+ *                       - type: object
+ *                         properties:
+ *                           highlights:
+ *                             $ref: '#/components/schemas/SearchHighlights'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
  *                 query:
  *                   type: string
  *                   description: The search query used
+ *                 facets:
+ *                   type: object
+ *                   description: |
+ *                     Present when `facets` is requested. source, sentiment, keywords and category are
+ *                     lists of { value, count }, most frequent first; date is a list of { value, label, count }
+ *                     for the past hour, 24 hours, week and 30 days, where `value` is the matching `since`.
+ *                     Each facet ignores its own filter. A facet that could not be computed is null.
+ *                   additionalProperties:
+ *                     type: array
+ *                     nullable: true
+ *                     items:
+ *                       type: object
+ *                       properties:
+ *                         value:
+ *                           type: string
+ *                         label:
+ *                           type: string
+ *                         count:
+ *                           type: integer
  *       400:
- *         description: Invalid search parameters
+ *         description: Invalid search parameters (date range, mode, fields, or missing q for semantic/hybrid)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: Semantic search unavailable (the query could not be embedded)
  *         content:
  *           application/json:
  *             schema:
@@ -238,6 +359,62 @@ router.get('/sentiment/:sentiment', getNewsBySentiment);
  */
 router.get('/search', searchNews);
 
+/**
+ * @swagger
+ * /api/news/suggest:
+ *   get:
+ *     summary: Search suggestions
+ *     description: |
+ *       Autocomplete for the search box. Suggestions come from article keywords, named entities
+ *       in article descriptions and queries that were searched repeatedly with results, ranked by
+ *       frequency with recency decay. When exact prefix matches don't fill `limit`, fuzzy matches
+ *       (one typo) follow for prefixes of three or more characters.
+ *     tags: [News]
+ *     parameters:
+ *       - in: query
+ *         name: prefix
+ *         required: true
+ *         schema:
+ *           type: string
+ *           maxLength: 60
+ *         description: Text typed so far
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *         description: Maximum number of suggestions
+ *     responses:
+ *       200:
+ *         description: Suggestions, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 prefix:
+ *                   type: string
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       text:
+ *                         type: string
+ *                         example: "Federal Reserve"
+ *                       fuzzy:
+ *                         type: boolean
+ *                         description: Matched with a typo allowance
+ *       400:
+ *         description: Missing or too long prefix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/suggest', suggest);
+
 /**
  * @swagger
  * /api/news/trending:
@@ -259,6 +436,8 @@ router.get('/search', searchNews);
  *           enum: [1h, 24h, 7d]
  *           default: 24h
  *         description: Time period for trending calculation
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
  *     responses:
  *       200:
  *         description: List of trending articles
@@ -283,6 +462,195 @@ router.get('/search', searchNews);
  */
 router.get('/trending', getTrendingArticles);
 
+/**
+ * @swagger
+ * /api/news/stories:
+ *   get:
+ *     summary: Get stories
+ *     description: Clusters of articles about the same event, most recently active first, each with its representative article
+ *     tags: [News]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of stories per page
+ *       - $ref: '#/components/parameters/PageCursor'
+ *     responses:
+ *       200:
+ *         description: List of stories
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Story'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stories', getStories);
+
+/**
+ * @swagger
+ * /api/news/stories/{id}:
+ *   get:
+ *     summary: Get a story
+ *     description: A story with all of its member articles, newest first
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Story ID
+ *     responses:
+ *       200:
+ *         description: Story with its articles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Story'
+ *                 - type: object
+ *                   properties:
+ *                     articles:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Article'
+ *       404:
+ *         description: Story not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stories/:id', getStory);
+
+/**
+ * @swagger
+ * /api/news/stories/{id}/summary:
+ *   get:
+ *     summary: Get a multi-source story summary
+ *     description: One AI-synthesized summary of the story's articles, noting where sources agree and differ, with citations to article IDs. Cached, and regenerated once new articles join the story.
+ *     tags: [News]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Story ID
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Regenerate instead of using the cached summary (requires the admin API key)
+ *     security:
+ *       - {}
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Story summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StorySummary'
+ *       400:
+ *         description: Story has fewer than two articles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: refresh was requested without a valid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Story not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stories/:id/summary', adminAuthForRefresh, getStorySummary);
+
+/**
+ * @swagger
+ * /api/news/summary:
+ *   post:
+ *     summary: Summarize several articles together
+ *     description: One AI-synthesized summary of the given articles (2-20) or story, noting where sources agree and differ, with citations to article IDs. Cached per set of articles.
+ *     tags: [News]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               articleIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Articles to summarize
+ *               storyId:
+ *                 type: string
+ *                 description: Summarize a story instead of explicit articles
+ *               refresh:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Regenerate instead of using the cached summary (requires the admin API key)
+ *     security:
+ *       - {}
+ *       - AdminApiKey: []
+ *     responses:
+ *       200:
+ *         description: Multi-source summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StorySummary'
+ *       400:
+ *         description: Missing, too few or too many articles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: refresh was requested without a valid admin API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Article or story not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/summary', adminAuthForRefresh, summarizeArticles);
+
 /**
  * @swagger
  * /api/news/{id}:
@@ -297,6 +665,8 @@ router.get('/trending', getTrendingArticles);
  *         schema:
  *           type: string
  *         description: Article ID
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
  *     responses:
  *       200:
  *         description: Article details
@@ -328,11 +698,20 @@ router.get('/:id', getArticleById);
  *           type: string
  *         description: Article ID to find similar articles for
  *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 5
  *         description: Number of similar articles to return
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: List of similar articles
@@ -341,12 +720,12 @@ router.get('/:id', getArticleById);
  *             schema:
  *               type: object
  *               properties:
- *                 articles:
+ *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Article'
- *                 originalArticle:
- *                   $ref: '#/components/schemas/Article'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       404:
  *         description: Article not found
  *         content:
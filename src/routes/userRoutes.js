@@ -220,6 +220,9 @@ router.put('/:userId/preferences', updateUserPreferences);
  *           type: integer
  *           default: 20
  *         description: Number of articles per page
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: Personalized news articles
@@ -275,6 +278,9 @@ router.get('/:userId/personalized-news', getPersonalizedNews);
  *           type: integer
  *           default: 20
  *         description: Number of articles per page
+ *       - $ref: '#/components/parameters/ArticleView'
+ *       - $ref: '#/components/parameters/ArticleFields'
+ *       - $ref: '#/components/parameters/PageCursor'
  *     responses:
  *       200:
  *         description: Search results from personalized news
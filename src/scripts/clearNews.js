@@ -28,6 +28,8 @@ async function clearAllNews() {
       ...(await redis.keys('temp:*')),
       ...(await redis.keys('user:*')),
       ...(await redis.keys('topic:*')),
+      ...(await redis.keys('story:*')),
+      ...(await redis.keys('stories')),
       ...(await redis.keys('source:*'))
     ];
 
@@ -0,0 +1,216 @@
+require('dotenv').config();
+const { redis } = require('./redisService');
+const { summarizeAndAnalyze } = require('./geminiService');
+const { getProvider } = require('./llm');
+const { getActiveVersion } = require('../prompts');
+const { getModelInputText } = require('./newsProcessor');
+const { acquireLock, releaseLock, extendLock, getLockHolder } = require('./lockService');
+
+// Re-analysis of articles whose analysis is outdated: analyzed with an older summarize_article
+// prompt version, never stamped (stored before prompt versioning), or failed. With
+// includeModelChanges, articles analyzed by another provider/model count too. Jobs run one at a
+// time under the analysis_backfill lock; each is a JSON document at analysis_backfill:{id},
+// indexed by start time in analysis_backfills. Calls go through the LLM key pools like ingestion.
+const JOB_KEY_PREFIX = 'analysis_backfill:';
+const JOB_INDEX_KEY = 'analysis_backfills';
+const MAX_JOBS = 50;
+const MAX_RECORDED_ERRORS = 50;
+const BACKFILL_LOCK = 'analysis_backfill';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+// Pause between articles, leaving key pool capacity for ingestion
+const BACKFILL_DELAY_MS = parseInt(process.env.ANALYSIS_BACKFILL_DELAY_MS) || 1000;
+const ANALYSIS_PROMPT = 'summarize_article';
+const SCAN_BATCH_SIZE = 200;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function isOutdated(stamp, status, { includeModelChanges }) {
+  if (status === 'failed' || !stamp) return true;
+  if (stamp.prompt !== ANALYSIS_PROMPT || stamp.promptVersion < getActiveVersion(ANALYSIS_PROMPT)) return true;
+
+  if (includeModelChanges) {
+    const provider = getProvider();
+    return stamp.provider !== provider.name || stamp.model !== provider.models.generate;
+  }
+  return false;
+}
+
+// Scan news:* for outdated articles. Resolves to { scanned, ids } with at most `limit` ids.
+async function findOutdatedArticles({ limit, includeModelChanges = false }) {
+  let scanned = 0;
+  const ids = [];
+
+  for await (const keys of redis.scanIterator({ MATCH: 'news:*', TYPE: 'ReJSON-RL', COUNT: SCAN_BATCH_SIZE })) {
+    if (keys.length === 0) continue;
+
+    const [stamps, statuses] = await Promise.all([
+      redis.json.mGet(keys, '$.analysis'),
+      redis.json.mGet(keys, '$.analysisStatus')
+    ]);
+
+    keys.forEach((key, index) => {
+      scanned++;
+      const stamp = stamps[index] && stamps[index][0];
+      const status = statuses[index] && statuses[index][0];
+      if (ids.length < limit && isOutdated(stamp, status, { includeModelChanges })) {
+        ids.push(key.substring('news:'.length));
+      }
+    });
+
+    if (ids.length >= limit) break;
+  }
+
+  return { scanned, ids };
+}
+
+async function saveJob(job) {
+  await redis.json.set(`${JOB_KEY_PREFIX}${job.id}`, '$', job);
+}
+
+// Re-run summarizeAndAnalyze on one stored article. Resolves to 'reanalyzed', 'failed' or
+// 'missing'; a failed analysis leaves the article unchanged.
+async function reanalyzeArticle(id) {
+  const key = `news:${id}`;
+  const article = await redis.json.get(key);
+  if (!article) return 'missing';
+
+  const result = await summarizeAndAnalyze(article.title, getModelInputText(article));
+  if (result.analysisStatus !== 'ok') return 'failed';
+
+  const pipeline = redis.multi();
+  pipeline.json.set(key, '$.summary', result.summary);
+  pipeline.json.set(key, '$.sentiment', result.sentiment);
+  pipeline.json.set(key, '$.keywords', result.keywords);
+  pipeline.json.set(key, '$.analysisStatus', result.analysisStatus);
+  pipeline.json.set(key, '$.analysisErrors', []);
+  pipeline.json.set(key, '$.analysis', result.analysis);
+  pipeline.json.set(key, '$.updated_at', new Date().toISOString());
+  await pipeline.exec();
+
+  return 'reanalyzed';
+}
+
+async function runJob(job, ids) {
+  for (const id of ids) {
+    try {
+      const outcome = await reanalyzeArticle(id);
+      job[outcome]++;
+      if (outcome === 'failed') {
+        job.errors.push({ articleId: id, message: 'Analysis still invalid after repair attempts' });
+      }
+    } catch (error) {
+      job.failed++;
+      job.errors.push({ articleId: id, message: error.message });
+      console.error(`Error re-analyzing article ${id}:`, error.message);
+    }
+    job.errors = job.errors.slice(-MAX_RECORDED_ERRORS);
+    job.processed++;
+
+    if (job.processed % 10 === 0) {
+      await saveJob(job);
+    }
+    await delay(BACKFILL_DELAY_MS);
+  }
+}
+
+async function pruneJobs() {
+  const stale = await redis.zRange(JOB_INDEX_KEY, 0, -(MAX_JOBS + 1));
+  if (stale.length === 0) return;
+
+  await redis.del(stale.map(id => `${JOB_KEY_PREFIX}${id}`));
+  await redis.zRem(JOB_INDEX_KEY, stale);
+}
+
+// Start a backfill job. Resolves to { job, done } (`done` settles with the finished job), to
+// { job: null, activeJobId } if a job is already running, or, with dryRun, to { dryRun } listing
+// what would be re-analyzed.
+async function startBackfill({ limit = 500, includeModelChanges = false, dryRun = false } = {}) {
+  const targetVersion = getActiveVersion(ANALYSIS_PROMPT);
+
+  if (dryRun) {
+    const { scanned, ids } = await findOutdatedArticles({ limit, includeModelChanges });
+    return { dryRun: { prompt: ANALYSIS_PROMPT, targetVersion, scanned, outdated: ids.length, articleIds: ids } };
+  }
+
+  const jobId = `backfill_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  if (!(await acquireLock(BACKFILL_LOCK, jobId, LOCK_TTL_MS))) {
+    return { job: null, activeJobId: await getLockHolder(BACKFILL_LOCK) };
+  }
+
+  const heartbeat = setInterval(() => {
+    extendLock(BACKFILL_LOCK, jobId, LOCK_TTL_MS).catch(error => {
+      console.error(`Error extending analysis backfill lock for job ${jobId}:`, error.message);
+    });
+  }, LOCK_TTL_MS / 3);
+
+  const release = async () => {
+    clearInterval(heartbeat);
+    try {
+      await releaseLock(BACKFILL_LOCK, jobId);
+    } catch (error) {
+      console.error(`Error releasing analysis backfill lock for job ${jobId}:`, error.message);
+    }
+  };
+
+  const job = {
+    id: jobId,
+    status: 'running',
+    prompt: ANALYSIS_PROMPT,
+    targetVersion,
+    options: { limit, includeModelChanges },
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    scanned: 0,
+    outdated: 0,
+    processed: 0,
+    reanalyzed: 0,
+    failed: 0,
+    missing: 0,
+    errors: [],
+    error: null
+  };
+
+  try {
+    await saveJob(job);
+    await redis.zAdd(JOB_INDEX_KEY, { score: Date.now(), value: job.id });
+  } catch (error) {
+    await release();
+    throw error;
+  }
+
+  const done = (async () => {
+    try {
+      const { scanned, ids } = await findOutdatedArticles({ limit, includeModelChanges });
+      job.scanned = scanned;
+      job.outdated = ids.length;
+      console.log(`Analysis backfill ${job.id}: re-analyzing ${ids.length} of ${scanned} articles (${ANALYSIS_PROMPT} v${targetVersion})`);
+
+      await runJob(job, ids);
+      job.status = 'completed';
+    } catch (error) {
+      console.error(`Analysis backfill ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+    }
+
+    job.finishedAt = new Date().toISOString();
+    await saveJob(job);
+    await pruneJobs();
+    console.log(`Analysis backfill ${job.id} ${job.status}: ${job.reanalyzed} re-analyzed, ${job.failed} failed`);
+    return job;
+  })().finally(release);
+
+  return { job, done };
+}
+
+async function getBackfill(id) {
+  return await redis.json.get(`${JOB_KEY_PREFIX}${id}`);
+}
+
+module.exports = {
+  findOutdatedArticles,
+  startBackfill,
+  getBackfill
+};
@@ -0,0 +1,301 @@
+require('dotenv').config();
+const axios = require('axios');
+const { decodeEntities } = require('./sources/normalize');
+const { sourceRequestOptions } = require('./sources/sourceUrl');
+
+// Full-text extraction for the ingestion pipeline. NewsAPI truncates `content` to ~200
+// characters, so fetchFullContent downloads the article page and extractMainContent keeps
+// the main body text: a small readability-style pass that drops boilerplate (navigation,
+// sidebars, comments, share widgets), scores containers by the paragraphs they hold and
+// returns the best one's paragraphs. extractMainContent only works on an HTML string, so it
+// can be checked against saved pages (see test-article-extraction.js).
+const EXTRACTION_ENABLED = process.env.ARTICLE_EXTRACTION_ENABLED !== 'false';
+const FETCH_TIMEOUT_MS = parseInt(process.env.ARTICLE_EXTRACTION_TIMEOUT_MS) || 10000;
+const MAX_HTML_BYTES = 2 * 1024 * 1024; // 2 MB
+const MIN_CONTENT_LENGTH = 250; // Shorter results are usually paywalls or index pages
+const MIN_PARAGRAPH_LENGTH = 25;
+
+const VOID_TAGS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+// Elements that never hold article text
+const REMOVED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'form', 'button', 'select', 'textarea',
+  'nav', 'header', 'footer', 'aside', 'figure', 'figcaption', 'menu', 'dialog'
+]);
+// Text blocks that make up the extracted body
+const TEXT_BLOCK_TAGS = new Set(['p', 'pre', 'blockquote', 'li', 'h2', 'h3', 'h4', 'h5', 'h6']);
+// Elements that implicitly close an open <p>
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'footer', 'form', 'h1', 'h2', 'h3',
+  'h4', 'h5', 'h6', 'header', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+const TAG_WEIGHTS = { article: 10, main: 5, div: 5, section: 3, blockquote: 3, td: 3, pre: 3, ul: -3, ol: -3 };
+
+const UNLIKELY_PATTERN = /comment|sidebar|footer|footnote|masthead|nav|menu|share|social|related|recommend|promo|sponsor|advert|\bads?\b|cookie|consent|newsletter|subscribe|signup|popup|modal|breadcrumb|outbrain|taboola/i;
+const MAYBE_PATTERN = /article|body|content|entry|main|post|story|text/i;
+const POSITIVE_PATTERN = /article|body|content|entry|main|page|post|story|text|blog/i;
+const NEGATIVE_PATTERN = /comment|sidebar|footer|nav|menu|share|social|related|promo|sponsor|advert|\bads?\b|widget|meta|caption|byline/i;
+const BOILERPLATE_PATTERN = /^(advertisement|sponsored|read more|continue reading|related( stories| articles)?:?|share this( article)?:?)$/i;
+
+function getAttribute(node, name) {
+  const match = node.attrs.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? (match[1] || match[2] || match[3] || '') : '';
+}
+
+// Build a minimal element tree: { tag, attrs, children, parent } with text nodes as strings.
+// Tolerates the usual real-world HTML: unclosed <p>, stray closing tags, void elements.
+function parseHtml(html) {
+  const root = { tag: 'root', attrs: '', children: [], parent: null };
+  let current = root;
+
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!doctype[^>]*>|<\?[^>]*>/gi, '')
+    .replace(/<(script|style|noscript|template|svg)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+  const tokenPattern = /<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)|</g;
+  let match;
+
+  while ((match = tokenPattern.exec(cleaned)) !== null) {
+    const [token, closing, rawTag, attrs, text] = match;
+
+    if (!rawTag) {
+      current.children.push(text !== undefined ? text : token);
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      // Close the nearest open element with this tag; unmatched closing tags are ignored
+      let node = current;
+      while (node !== root && node.tag !== tag) node = node.parent;
+      if (node !== root) current = node.parent;
+      continue;
+    }
+
+    if (current.tag === 'p' && BLOCK_TAGS.has(tag)) {
+      current = current.parent;
+    }
+
+    const element = { tag, attrs: attrs || '', children: [], parent: current };
+    current.children.push(element);
+
+    if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(element.attrs)) {
+      current = element;
+    }
+  }
+
+  return root;
+}
+
+function getRawText(node) {
+  if (typeof node === 'string') return node;
+  if (node.tag === 'br') return '\n';
+
+  const text = node.children.map(getRawText).join('');
+  return BLOCK_TAGS.has(node.tag) || node.tag === 'li' ? ` ${text} ` : text;
+}
+
+function getText(node) {
+  return decodeEntities(getRawText(node)).replace(/\s+/g, ' ').trim();
+}
+
+// Share of a node's text that sits inside links (navigation lists are mostly links)
+function getLinkDensity(node, textLength = getText(node).length) {
+  if (textLength === 0) return 0;
+
+  let linkLength = 0;
+  const visit = child => {
+    if (typeof child === 'string') return;
+    if (child.tag === 'a') {
+      linkLength += getText(child).length;
+    } else {
+      child.children.forEach(visit);
+    }
+  };
+  node.children.forEach(visit);
+
+  return linkLength / textLength;
+}
+
+function getClassAndId(node) {
+  return `${getAttribute(node, 'class')} ${getAttribute(node, 'id')}`;
+}
+
+function isHidden(node) {
+  return /(?:^|\s)hidden(?:\s|=|$)/i.test(node.attrs) ||
+    getAttribute(node, 'aria-hidden') === 'true' ||
+    /display\s*:\s*none|visibility\s*:\s*hidden/i.test(getAttribute(node, 'style'));
+}
+
+function isUnlikelyCandidate(node) {
+  if (['body', 'article', 'main'].includes(node.tag)) return false;
+
+  const classAndId = getClassAndId(node);
+  return UNLIKELY_PATTERN.test(classAndId) && !MAYBE_PATTERN.test(classAndId);
+}
+
+// Drop boilerplate subtrees in place
+function removeBoilerplate(node) {
+  node.children = node.children.filter(child =>
+    typeof child === 'string' ||
+    !(REMOVED_TAGS.has(child.tag) || isHidden(child) || isUnlikelyCandidate(child))
+  );
+  node.children.forEach(child => {
+    if (typeof child !== 'string') removeBoilerplate(child);
+  });
+}
+
+function getElements(node, elements = []) {
+  for (const child of node.children) {
+    if (typeof child !== 'string') {
+      elements.push(child);
+      getElements(child, elements);
+    }
+  }
+  return elements;
+}
+
+function hasBlockChildren(node) {
+  return node.children.some(child => typeof child !== 'string' && (BLOCK_TAGS.has(child.tag) || child.tag === 'li'));
+}
+
+// Paragraph-like elements: <p>, <pre>, and <div>s used as paragraphs (text only, no blocks inside)
+function isParagraph(node) {
+  return node.tag === 'p' || node.tag === 'pre' || (node.tag === 'div' && !hasBlockChildren(node));
+}
+
+function getInitialScore(node) {
+  const classAndId = getClassAndId(node);
+  let score = TAG_WEIGHTS[node.tag] || 0;
+
+  if (NEGATIVE_PATTERN.test(classAndId)) score -= 25;
+  if (POSITIVE_PATTERN.test(classAndId)) score += 25;
+
+  return score;
+}
+
+// Score containers by the paragraphs they hold (parent gets the full paragraph score,
+// grandparent half) and return the best one with its score
+function findTopCandidate(root) {
+  const scores = new Map();
+
+  const addScore = (node, score) => {
+    if (!node || node === root) return;
+    if (!scores.has(node)) scores.set(node, getInitialScore(node));
+    scores.set(node, scores.get(node) + score);
+  };
+
+  for (const element of getElements(root)) {
+    if (!isParagraph(element)) continue;
+
+    const text = getText(element);
+    if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+    const score = 1 + (text.split(',').length - 1) + Math.min(3, Math.floor(text.length / 100));
+    addScore(element.parent, score);
+    addScore(element.parent && element.parent.parent, score / 2);
+  }
+
+  let topCandidate = null;
+  let topScore = 0;
+
+  for (const [node, score] of scores) {
+    const adjustedScore = score * (1 - getLinkDensity(node));
+    scores.set(node, adjustedScore);
+    if (adjustedScore > topScore) {
+      topCandidate = node;
+      topScore = adjustedScore;
+    }
+  }
+
+  return { topCandidate, topScore, scores };
+}
+
+// The top candidate plus siblings that look like part of the same article
+function selectContentNodes(topCandidate, topScore, scores) {
+  const parent = topCandidate.parent;
+  if (!parent) return [topCandidate];
+
+  const threshold = Math.max(10, topScore * 0.2);
+
+  return parent.children.filter(sibling => {
+    if (typeof sibling === 'string') return false;
+    if (sibling === topCandidate) return true;
+    if ((scores.get(sibling) || 0) >= threshold) return true;
+
+    if (sibling.tag === 'p') {
+      const text = getText(sibling);
+      return text.length > 80 && getLinkDensity(sibling, text.length) < 0.25;
+    }
+    return false;
+  });
+}
+
+// Emit the text blocks under `node` in document order
+function collectParagraphs(node, paragraphs) {
+  if (typeof node === 'string') return;
+
+  const isTextBlock = TEXT_BLOCK_TAGS.has(node.tag) || (node.tag === 'div' && !hasBlockChildren(node));
+  if (isTextBlock && !hasBlockChildren(node)) {
+    const text = getText(node);
+    const isHeading = /^h[2-6]$/.test(node.tag);
+    const minLength = isHeading || node.tag === 'li' ? 2 : MIN_PARAGRAPH_LENGTH;
+
+    if (text.length >= minLength && !BOILERPLATE_PATTERN.test(text) && getLinkDensity(node, text.length) < 0.5) {
+      paragraphs.push(node.tag === 'li' ? `- ${text}` : text);
+    }
+    return;
+  }
+
+  node.children.forEach(child => collectParagraphs(child, paragraphs));
+}
+
+// Extract the main article text from a page. Returns paragraphs separated by blank lines,
+// or null when no block of article-like text is found.
+function extractMainContent(html) {
+  if (!html || typeof html !== 'string') return null;
+
+  const root = parseHtml(html);
+  removeBoilerplate(root);
+
+  const { topCandidate, topScore, scores } = findTopCandidate(root);
+  if (!topCandidate) return null;
+
+  const paragraphs = [];
+  for (const node of selectContentNodes(topCandidate, topScore, scores)) {
+    collectParagraphs(node, paragraphs);
+  }
+
+  const content = paragraphs.join('\n\n');
+  return content.length >= MIN_CONTENT_LENGTH ? content : null;
+}
+
+// Download an article page and extract its main text (null if the page has none). Article URLs
+// come from third-party feeds, so they get the same private-address guards as source URLs.
+async function fetchFullContent(url) {
+  const response = await axios.get(url, sourceRequestOptions(url, {
+    timeout: FETCH_TIMEOUT_MS,
+    maxContentLength: MAX_HTML_BYTES,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (compatible; NewsHub/1.0)',
+      Accept: 'text/html,application/xhtml+xml'
+    }
+  }));
+
+  const contentType = response.headers['content-type'] || '';
+  if (contentType && !/html/i.test(contentType)) {
+    return null;
+  }
+
+  return extractMainContent(response.data);
+}
+
+module.exports = {
+  EXTRACTION_ENABLED,
+  extractMainContent,
+  fetchFullContent
+};
@@ -42,6 +42,9 @@ async function clearAllCacheExceptUser() {
       // Article-related caches (from image: all_articles, news)
       { pattern: 'news:*', name: 'Article Data', description: 'Individual article data' },
       { pattern: 'all_articles:*', name: 'All Articles Cache', description: 'Cached all articles results' },
+      { pattern: 'story:*', name: 'Story Clusters', description: 'Story documents grouping articles about the same event' },
+      { pattern: 'stories', name: 'Story Index', description: 'Stories ordered by last activity' },
+      { pattern: 'story_summary:*', name: 'Story Summaries', description: 'Cached multi-source story summaries' },
       
       // Article metrics and views (from image: article_daily_views, article_engagement, article_last_viewed, article_unique_views, article_views)
       { pattern: 'article_daily_views:*', name: 'Article Daily Views', description: 'Daily view tracking for articles' },
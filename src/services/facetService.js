@@ -0,0 +1,139 @@
+require('dotenv').config();
+const { redis, articleTextClause, dateRangeClause, PUBLIC_ARTICLES_CLAUSE } = require('./redisService');
+const { matchTags, and, toQuery } = require('../utils/queryBuilder');
+
+// Facet counts for a search, computed with FT.AGGREGATE over the articles the search matches.
+// Each facet ignores its own filter (source counts are taken without the source filter, date
+// counts without the date range), so the UI can offer the other values with their counts.
+// For semantic/hybrid searches, whose results are not a query, facets count the ranked results.
+const FACET_LIMIT = parseInt(process.env.SEARCH_FACET_LIMIT) || 20;
+const FIELD_FACETS = {
+  source: { field: 'source' },
+  sentiment: { field: 'sentiment' },
+  keywords: { field: 'keywords', multiValue: true },
+  category: { field: 'category' }
+};
+// Cumulative publish-date buckets; `value` is the matching `since` parameter
+const DATE_BUCKETS = [
+  { value: '1h', label: 'Past hour', ms: 60 * 60 * 1000 },
+  { value: '24h', label: 'Past 24 hours', ms: 24 * 60 * 60 * 1000 },
+  { value: '7d', label: 'Past week', ms: 7 * 24 * 60 * 60 * 1000 },
+  { value: '30d', label: 'Past 30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+];
+const FACETS = [...Object.keys(FIELD_FACETS), 'date'];
+
+// Facet names from the `facets` query parameter: a comma-separated list, or `all`/`true`.
+// Resolves to [] when the parameter is absent; throws with statusCode 400 on unknown names.
+function parseFacets(value) {
+  if (value === undefined || value === '' || value === 'false') return [];
+  if (typeof value !== 'string') {
+    throw Object.assign(new Error('facets must be given once'), { statusCode: 400 });
+  }
+  if (value === 'all' || value === 'true') return FACETS;
+
+  const names = [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !FACETS.includes(name));
+  if (unknown.length > 0) {
+    throw Object.assign(new Error(`Unknown facets: ${unknown.join(', ')} (available: ${FACETS.join(', ')})`), { statusCode: 400 });
+  }
+  return names;
+}
+
+// The search's query without the filter named `skip`
+function searchClause({ q, topic, sentiment, source, dateRange }, skip) {
+  return and(
+    articleTextClause(q),
+    topic ? articleTextClause(topic) : '',
+    skip === 'sentiment' ? '' : matchTags('sentiment', sentiment),
+    skip === 'source' ? '' : matchTags('source', source),
+    skip === 'date' ? '' : dateRangeClause(dateRange),
+    PUBLIC_ARTICLES_CLAUSE
+  );
+}
+
+// [{ value, count }] for the most frequent values of a TAG field, most frequent first
+async function countByField(query, { field, multiValue = false }) {
+  const steps = [];
+  let property = field;
+
+  if (multiValue) {
+    // DIALECT 3 loads the whole JSON array ('["a","b"]'); split it so GROUPBY counts each value
+    steps.push({ type: 'APPLY', expression: `split(@${field}, ",", "[]\\" ")`, AS: 'value' });
+    property = 'value';
+  }
+
+  steps.push(
+    { type: 'GROUPBY', properties: `@${property}`, REDUCE: { type: 'COUNT', AS: 'count' } },
+    { type: 'SORTBY', BY: { BY: '@count', DIRECTION: 'DESC' }, MAX: FACET_LIMIT }
+  );
+
+  const result = await redis.ft.aggregate('idx:news', query, {
+    LOAD: [`@${field}`],
+    STEPS: steps,
+    DIALECT: multiValue ? 3 : 2
+  });
+
+  return result.results
+    .filter(row => row[property] !== null && row[property] !== undefined && String(row[property]) !== '')
+    .map(row => ({ value: String(row[property]), count: parseInt(row.count) }));
+}
+
+// [{ value, label, count }] per DATE_BUCKETS entry
+async function countByDate(query) {
+  const now = Date.now();
+  // Number of buckets an article falls in: 4 = past hour ... 0 = older than the widest bucket
+  const expression = DATE_BUCKETS.map(bucket => `(@publishedAtTs >= ${now - bucket.ms})`).join(' + ');
+
+  const result = await redis.ft.aggregate('idx:news', query, {
+    LOAD: ['@publishedAtTs'],
+    STEPS: [
+      { type: 'APPLY', expression, AS: 'recency' },
+      { type: 'GROUPBY', properties: '@recency', REDUCE: { type: 'COUNT', AS: 'count' } }
+    ]
+  });
+
+  const counts = new Array(DATE_BUCKETS.length + 1).fill(0);
+  for (const row of result.results) {
+    const recency = parseInt(row.recency);
+    if (recency >= 0 && recency <= DATE_BUCKETS.length) {
+      counts[recency] += parseInt(row.count);
+    }
+  }
+
+  return DATE_BUCKETS.map(({ value, label }, index) => ({
+    value,
+    label,
+    count: counts.slice(DATE_BUCKETS.length - index).reduce((sum, count) => sum + count, 0)
+  }));
+}
+
+// Counts for the facets named in `names`. With `ids` (the results of a semantic or hybrid
+// search) only those articles are counted. A facet that fails is logged and returned as null.
+async function getSearchFacets(filters, names, { ids = null } = {}) {
+  const facets = {};
+
+  await Promise.all(names.map(async name => {
+    try {
+      if (ids && ids.length === 0) {
+        facets[name] = [];
+        return;
+      }
+
+      const query = toQuery(ids ? matchTags('article_id', ids) : searchClause(filters, name));
+      facets[name] = name === 'date'
+        ? await countByDate(query)
+        : await countByField(query, FIELD_FACETS[name]);
+    } catch (error) {
+      console.error(`Error computing ${name} facet:`, error.message);
+      facets[name] = null;
+    }
+  }));
+
+  return facets;
+}
+
+module.exports = {
+  FACETS,
+  parseFacets,
+  getSearchFacets
+};
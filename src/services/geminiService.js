@@ -1,268 +1,302 @@
 require('dotenv').config();
-const { GoogleGenAI } = require('@google/genai');
-const axios = require('axios');
-
-// Initialize separate clients for different operations
-const aiSummary = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY_SUMMARY || process.env.GEMINI_API_KEY });
-const aiSummary2 = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY_SUMMARY2 || process.env.GEMINI_API_KEY });
-const aiEmbedding = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY_EMBEDDING || process.env.GEMINI_API_KEY });
-
-// Rate limiting variables
-let summaryCallCount = 0;
-let summary2CallCount = 0;
-let embeddingCallCount = 0;
-const RATE_LIMIT_DELAY = 1000; // 1 second between calls
-const MAX_CALLS_PER_MINUTE = 20;
-let currentSummaryKey = 1; // 1 for first key, 2 for second key
-
-// Helper function to add delay between API calls
-function delay(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+const { getProvider } = require('./llm');
+const { isStopWord } = require('./llm/textUtils');
+const { getCachedGeneration, cacheGeneration, getCachedEmbedding, cacheEmbedding } = require('./llmCacheService');
+const { renderPrompt } = require('../prompts');
+
+// Summaries, keywords and embeddings for the pipeline. The model behind them is the configured
+// LLM provider (LLM_PROVIDER: gemini, openai or offline, see ./llm).
+
+// Cumulative API usage for ingestion run reports (callers diff snapshots)
+const MAX_RECORDED_ERRORS = 200;
+const apiUsage = {
+  summaryCalls: 0,
+  embeddingCalls: 0,
+  summaryCacheHits: 0,
+  embeddingCacheHits: 0,
+  errors: []
+};
+
+function recordApiError(operation, error) {
+  apiUsage.errors.push({
+    operation,
+    message: error?.message || String(error),
+    at: Date.now()
+  });
+  if (apiUsage.errors.length > MAX_RECORDED_ERRORS) {
+    apiUsage.errors.shift();
+  }
 }
 
-// Rate limiter for summary operations with key rotation
-async function rateLimitedSummaryCall(callFunction) {
-  // Check if current key is at rate limit
-  const currentCount = currentSummaryKey === 1 ? summaryCallCount : summary2CallCount;
-  
-      if (currentCount >= MAX_CALLS_PER_MINUTE) {
-      // Try switching to the other key
-      if (currentSummaryKey === 1 && summary2CallCount < MAX_CALLS_PER_MINUTE) {
-        console.log(`Summary API key 1 at limit (${summaryCallCount}/${MAX_CALLS_PER_MINUTE}), switching to key 2...`);
-        currentSummaryKey = 2;
-      } else if (currentSummaryKey === 2 && summaryCallCount < MAX_CALLS_PER_MINUTE) {
-        console.log(`Summary API key 2 at limit (${summary2CallCount}/${MAX_CALLS_PER_MINUTE}), switching to key 1...`);
-        currentSummaryKey = 1;
-      } else {
-        console.log(`Both summary API keys at rate limit (Key1: ${summaryCallCount}/${MAX_CALLS_PER_MINUTE}, Key2: ${summary2CallCount}/${MAX_CALLS_PER_MINUTE}), waiting...`);
-        await delay(60000); // Wait 1 minute
-        summaryCallCount = 0;
-        summary2CallCount = 0;
-      }
-    }
-  
-  await delay(RATE_LIMIT_DELAY);
-  
-  // Increment the appropriate counter
-  if (currentSummaryKey === 1) {
-    summaryCallCount++;
-  } else {
-    summary2CallCount++;
+// Snapshot of call counters plus errors recorded since `sinceMs`
+function getApiUsage(sinceMs = 0) {
+  return {
+    summaryCalls: apiUsage.summaryCalls,
+    embeddingCalls: apiUsage.embeddingCalls,
+    summaryCacheHits: apiUsage.summaryCacheHits,
+    embeddingCacheHits: apiUsage.embeddingCacheHits,
+    errors: apiUsage.errors.filter(error => error.at >= sinceMs)
+  };
+}
+
+// Parse a JSON model response, removing a markdown code block if present
+function parseJsonResponse(text) {
+  let jsonText = text.trim();
+  if (jsonText.startsWith('```json')) {
+    jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (jsonText.startsWith('```')) {
+    jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+  return JSON.parse(jsonText);
+}
+
+// Cached responses are keyed by the template name and version (see ../prompts), so a new
+// prompt version never reuses responses to the old one
+function generationCacheContext(prompt) {
+  const provider = getProvider();
+  return { provider: provider.name, model: provider.models.generate, task: prompt.name, version: prompt.version };
+}
+
+// Provider calls, counted for run reports. Rate limiting happens in the provider's key pools.
+// `prompt` is a rendered template ({ name, version, text }). Resolves to { text, cached }; the
+// caller stores a response with rememberGeneration once it has validated it.
+async function generate(prompt, { task, input }) {
+  const cached = await getCachedGeneration(generationCacheContext(prompt), prompt.text);
+  if (cached !== null) {
+    apiUsage.summaryCacheHits++;
+    return { text: cached, cached: true };
   }
-  
-  return await callFunction();
+
+  apiUsage.summaryCalls++;
+  const text = await getProvider().generate(prompt.text, { task, input });
+  return { text, cached: false };
 }
 
-// Rate limiter for embedding operations
-async function rateLimitedEmbeddingCall(callFunction) {
-  if (embeddingCallCount >= MAX_CALLS_PER_MINUTE) {
-    console.log('Embedding API rate limit reached, waiting...');
-    await delay(60000); // Wait 1 minute
-    embeddingCallCount = 0;
+async function rememberGeneration(prompt, response) {
+  if (!response.cached) {
+    await cacheGeneration(generationCacheContext(prompt), prompt.text, response.text);
   }
-  
-  await delay(RATE_LIMIT_DELAY);
-  embeddingCallCount++;
-  return await callFunction();
 }
 
-async function summarizeAndAnalyze(title, content) {
-  const prompt = `You are an intelligent assistant helping categorize news articles.
-  
-Given the following news content, do the following:
-1. Summarize it in 2-3 sentences.
-2. Determine its sentiment (positive, negative, or neutral).
-3. Generate 10-15 relevant keywords or key phrases for search and categorization. These keywords should reflect the *topic*, *context*, and *implications*, even if they are *not directly mentioned* in the article. Include related people, events, organizations, or terms.
-
-Title: ${title}
-Content: ${content}
-
-Respond in strict JSON format like this:
-{
-  "summary": "...",
-  "sentiment": "...",
-  "keywords": ["...", "...", "..."]
-}`;
-
-  return await rateLimitedSummaryCall(async () => {
-    try {
-      // Use the appropriate API key based on current rotation
-      const aiClient = currentSummaryKey === 1 ? aiSummary : aiSummary2;
-      console.log(`Using summary API key ${currentSummaryKey} for article processing`);
-      const response = await aiClient.models.generateContent({
-        model: "gemini-2.5-flash-lite", // Updated to 2.5 flash-lite
-        contents: prompt,
-      });
-
-      let text = response.text.trim();
-
-      // Remove markdown code block if present
-      if (text.startsWith('```json')) {
-        text = text.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (text.startsWith('```')) {
-        text = text.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-
-      return JSON.parse(text);
-    } catch (e) {
-      console.error('Error calling Gemini Summary API:', e);
-      return { summary: '', sentiment: 'neutral', keywords: [] };
-    }
-  });
+// Provider, model and dimension behind generateEmbedding; stored on articles with their vector
+function getEmbeddingModelInfo() {
+  const provider = getProvider();
+  return { provider: provider.name, model: provider.models.embedding, dimensions: provider.dimensions };
 }
 
-// Generate an embedding vector using the dedicated embedding API key
-async function generateEmbedding(text) {
-  return await rateLimitedEmbeddingCall(async () => {
-    try {
-      const response = await aiEmbedding.models.embedContent({
-        model: 'gemini-embedding-001',
-        contents: text,
-        outputDimensionality: 768
-      });
-
-      return response.embeddings[0].values;
-    } catch (e) {
-      console.error('Error generating embedding with primary method:', e);
-      // Fallback to direct API call if needed
-      return await generateEmbeddingDirect(text);
+async function embed(text) {
+  const provider = getProvider();
+  const context = getEmbeddingModelInfo();
+
+  const cached = await getCachedEmbedding(context, text);
+  if (cached !== null) {
+    apiUsage.embeddingCacheHits++;
+    return cached;
+  }
+
+  apiUsage.embeddingCalls++;
+  const vector = await provider.embed(text);
+  if (Array.isArray(vector) && vector.length > 0) {
+    await cacheEmbedding(context, text, vector);
+  }
+  return vector;
+}
+
+// Expected shape of the summarizeAndAnalyze response
+const ANALYSIS_SCHEMA = {
+  summary: { minLength: 20, maxLength: 1500 },
+  sentiments: ['positive', 'negative', 'neutral'],
+  keywords: { min: 3, max: 20, maxLength: 100 }
+};
+const ANALYSIS_REPAIR_ATTEMPTS = parseInt(process.env.ANALYSIS_REPAIR_ATTEMPTS) || 2;
+
+// Check a parsed analysis against ANALYSIS_SCHEMA. Returns { value, errors }: `value` is the
+// normalized analysis (trimmed, sentiment lowercased, duplicate keywords dropped) when valid.
+function validateAnalysis(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) {
+    return { value: null, errors: ['response must be a JSON object'] };
+  }
+
+  const errors = [];
+  const summary = typeof result.summary === 'string' ? result.summary.trim() : '';
+  const sentiment = typeof result.sentiment === 'string' ? result.sentiment.trim().toLowerCase() : '';
+  const keywords = Array.isArray(result.keywords)
+    ? [...new Set(result.keywords.filter(k => typeof k === 'string').map(k => k.trim()).filter(Boolean))]
+    : null;
+
+  if (typeof result.summary !== 'string') {
+    errors.push('"summary" must be a string');
+  } else if (summary.length < ANALYSIS_SCHEMA.summary.minLength || summary.length > ANALYSIS_SCHEMA.summary.maxLength) {
+    errors.push(`"summary" must be ${ANALYSIS_SCHEMA.summary.minLength}-${ANALYSIS_SCHEMA.summary.maxLength} characters (got ${summary.length})`);
+  }
+
+  if (!ANALYSIS_SCHEMA.sentiments.includes(sentiment)) {
+    errors.push(`"sentiment" must be one of ${ANALYSIS_SCHEMA.sentiments.join(', ')}`);
+  }
+
+  if (!keywords) {
+    errors.push('"keywords" must be an array of strings');
+  } else {
+    if (keywords.length < ANALYSIS_SCHEMA.keywords.min || keywords.length > ANALYSIS_SCHEMA.keywords.max) {
+      errors.push(`"keywords" must have ${ANALYSIS_SCHEMA.keywords.min}-${ANALYSIS_SCHEMA.keywords.max} distinct non-empty strings (got ${keywords.length})`);
+    }
+    if (keywords.some(k => k.length > ANALYSIS_SCHEMA.keywords.maxLength)) {
+      errors.push(`each keyword must be at most ${ANALYSIS_SCHEMA.keywords.maxLength} characters`);
     }
+  }
+
+  return errors.length > 0
+    ? { value: null, errors }
+    : { value: { summary, sentiment, keywords }, errors };
+}
+
+function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  return renderPrompt('analysis_repair', {
+    originalPrompt: originalPrompt.text,
+    errors: errors.map(error => `- ${error}`).join('\n'),
+    previousResponse
   });
 }
 
-// Fallback direct API call for embeddings
-async function generateEmbeddingDirect(text) {
+// One analysis request: { text, value, errors }, where text is null if the request failed.
+// Only valid responses are cached.
+async function requestAnalysis(prompt, input) {
+  let response;
   try {
-    const url = 'https://generativelanguage.googleapis.com/v1beta/models/embedding-001:embedContent?key=' + process.env.GEMINI_API_KEY_EMBEDDING;
-    const body = {
-      content: { parts: [{ text }] }
-    };
-    const response = await axios.post(url, body);
-    
-    const embedding = response.data.embedding.values;
-    
-    if (!Array.isArray(embedding)) {
-      console.error('Expected array, got:', typeof embedding);
-      return [];
-    }
-    
-    return embedding;
+    response = await generate(prompt, { task: 'summarize', input });
   } catch (e) {
-    console.error('Error generating embedding with direct API:', e?.response?.data || e);
-    return [];
+    console.error('Error calling summary API:', e);
+    recordApiError('summarize', e);
+    return { text: null, value: null, errors: [`request failed: ${e.message}`] };
+  }
+
+  const { text } = response;
+  let parsed;
+  try {
+    parsed = parseJsonResponse(text);
+  } catch (e) {
+    return { text, value: null, errors: [`response is not valid JSON: ${e.message}`] };
+  }
+
+  const result = validateAnalysis(parsed);
+  if (result.value) {
+    await rememberGeneration(prompt, response);
   }
+  return { text, ...result };
 }
 
-// Extract keywords from news content using the summary API key
-async function extractKeywords(title, description = '', content = '') {
-  const prompt = `Extract 5-8 most important keywords from this news article. Focus on:
-- Main topics/subjects
-- Key entities (people, places, organizations)
-- Important concepts or technologies
-- Current events or trends mentioned
-
-Title: ${title}
-Description: ${description}
-Content: ${content}
-
-Return only the keywords as a JSON array, no explanations:
-["keyword1", "keyword2", "keyword3", ...]`;
-
-  return await rateLimitedSummaryCall(async () => {
-    try {
-      // Use the appropriate API key based on current rotation
-      const aiClient = currentSummaryKey === 1 ? aiSummary : aiSummary2;
-      console.log(`Using summary API key ${currentSummaryKey} for keyword extraction`);
-      const response = await aiClient.models.generateContent({
-        model: "gemini-2.5-flash-lite", // Updated to 2.5 flash-lite
-        contents: prompt,
-      });
-      
-      const text = response.text;
-      
-      // Clean up the response - remove markdown code blocks if present
-      let jsonText = text.trim();
-      if (jsonText.startsWith('```json')) {
-        jsonText = jsonText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (jsonText.startsWith('```')) {
-        jsonText = jsonText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      
-      const keywords = JSON.parse(jsonText);
-      
-      // Validate that it's an array of strings
-      if (Array.isArray(keywords) && keywords.every(k => typeof k === 'string')) {
-        console.log('Extracted keywords:', keywords);
-        return keywords;
-      } else {
-        throw new Error('Invalid keywords format');
-      }
-    } catch (e) {
-      console.error('Error extracting keywords:', e);
-      // Fallback: extract basic keywords from title
-      const fallbackKeywords = title
-        .toLowerCase()
-        .replace(/[^\w\s]/g, '')
-        .split(/\s+/)
-        .filter(word => word.length > 3 && !isStopWord(word))
-        .slice(0, 5);
-      
-      console.log('Using fallback keywords:', fallbackKeywords);
-      return fallbackKeywords;
+// Summary, sentiment and keywords for an article. The response is validated against
+// ANALYSIS_SCHEMA and invalid output gets up to ANALYSIS_REPAIR_ATTEMPTS repair prompts.
+// Resolves to { summary, sentiment, keywords, analysisStatus: 'ok', analysis }, or, when the
+// responses stayed invalid, { summary: '', sentiment: null, keywords: [], analysisStatus: 'failed', analysisErrors, analysis }.
+// Throws when a request fails (provider outage, exhausted keys): there is nothing to repair, and
+// the caller's retry (the ingestion queue's backoff) should run instead.
+// `analysis` records the prompt version and model used, for storing on the article.
+async function summarizeAndAnalyze(title, content) {
+  const prompt = renderPrompt('summarize_article', { title, content });
+  const provider = getProvider();
+  const analysis = {
+    prompt: prompt.name,
+    promptVersion: prompt.version,
+    provider: provider.name,
+    model: provider.models.generate,
+    analyzedAt: new Date().toISOString()
+  };
+
+  let currentPrompt = prompt;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= ANALYSIS_REPAIR_ATTEMPTS; attempt++) {
+    const outcome = await requestAnalysis(currentPrompt, { title, content });
+
+    if (outcome.value) {
+      return { ...outcome.value, analysisStatus: 'ok', analysis };
     }
-  });
+
+    errors = outcome.errors;
+    if (outcome.text === null) {
+      throw new Error(`Analysis request failed for "${title}": ${errors.join('; ')}`);
+    }
+    console.warn(`Invalid analysis for "${title}" (attempt ${attempt + 1}/${ANALYSIS_REPAIR_ATTEMPTS + 1}): ${errors.join('; ')}`);
+    currentPrompt = buildRepairPrompt(prompt, outcome.text, errors);
+  }
+
+  recordApiError('analysis', new Error(`Invalid analysis for "${title}": ${errors.join('; ')}`));
+  return { summary: '', sentiment: null, keywords: [], analysisStatus: 'failed', analysisErrors: errors, analysis };
 }
 
-// Simple stop words for fallback keyword extraction
-function isStopWord(word) {
-  const stopWords = new Set([
-    'the', 'and', 'for', 'with', 'this', 'that', 'have', 'will', 'from', 'they',
-    'been', 'were', 'said', 'each', 'which', 'their', 'time', 'would', 'there',
-    'could', 'other', 'than', 'first', 'very', 'after', 'where', 'most', 'over',
-    'even', 'much', 'make', 'before', 'great', 'back', 'through', 'years', 'should',
-    'well', 'people', 'down', 'just', 'because', 'good', 'those', 'feel', 'seem',
-    'how', 'high', 'too', 'place', 'little', 'world', 'still', 'nation', 'hand',
-    'life', 'tell', 'write', 'become', 'here', 'show', 'house', 'both', 'between',
-    'need', 'mean', 'call', 'develop', 'under', 'last', 'right', 'move', 'thing',
-    'general', 'school', 'never', 'same', 'another', 'begin', 'while', 'number',
-    'part', 'turn', 'real', 'leave', 'might', 'want', 'point', 'form', 'child',
-    'small', 'since', 'against', 'late', 'hard', 'major', 'example', 'hear', 'talk',
-    'report', 'today', 'bring', 'tomorrow', 'carry', 'clear', 'above', 'news', 'article'
-  ]);
-  
-  return stopWords.has(word);
+// Synthesize one summary from several articles about the same event. `articles` are
+// { id, title, source, text }; the response cites article ids. Throws on failure.
+async function summarizeStory(articles) {
+  const sources = articles.map(article => `[${article.id}] ${article.title} (${article.source || 'Unknown source'})
+${article.text}`).join('\n\n');
+
+  const prompt = renderPrompt('story_summary', { sources });
+
+  try {
+    console.log(`Generating story summary (${articles.length} articles)`);
+    const response = await generate(prompt, { task: 'story_summary', input: { articles } });
+
+    const result = parseJsonResponse(response.text);
+    await rememberGeneration(prompt, response);
+    return result;
+  } catch (e) {
+    console.error('Error calling story summary API:', e);
+    recordApiError('story_summary', e);
+    throw e;
+  }
 }
 
-// Reset rate limit counters every minute
-let resetInterval = null;
-
-// Function to start the reset interval
-function startRateLimitReset() {
-  if (!resetInterval) {
-    resetInterval = setInterval(() => {
-      summaryCallCount = 0;
-      summary2CallCount = 0;
-      embeddingCallCount = 0;
-      console.log('Rate limit counters reset');
-    }, 60000);
-    console.log('Rate limit reset interval started');
+// Generate an embedding vector (the provider's `dimensions` long); empty array on failure
+async function generateEmbedding(text) {
+  try {
+    return await embed(text);
+  } catch (e) {
+    console.error('Error generating embedding:', e?.response?.data || e);
+    recordApiError('embedding', e);
+    return [];
   }
 }
 
-// Function to stop the reset interval
-function stopRateLimitReset() {
-  if (resetInterval) {
-    clearInterval(resetInterval);
-    resetInterval = null;
-    console.log('Rate limit reset interval stopped');
+// Extract keywords from news content (uses the summary key pool)
+async function extractKeywords(title, description = '', content = '') {
+  const prompt = renderPrompt('extract_keywords', { title, description, content });
+
+  try {
+    const response = await generate(prompt, { task: 'keywords', input: { title, description, content } });
+    
+    const keywords = parseJsonResponse(response.text);
+    
+    // Validate that it's an array of strings
+    if (Array.isArray(keywords) && keywords.every(k => typeof k === 'string')) {
+      console.log('Extracted keywords:', keywords);
+      await rememberGeneration(prompt, response);
+      return keywords;
+    } else {
+      throw new Error('Invalid keywords format');
+    }
+  } catch (e) {
+    console.error('Error extracting keywords:', e);
+    recordApiError('keywords', e);
+    // Fallback: extract basic keywords from title
+    const fallbackKeywords = title
+      .toLowerCase()
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(word => word.length > 3 && !isStopWord(word))
+      .slice(0, 5);
+    
+    console.log('Using fallback keywords:', fallbackKeywords);
+    return fallbackKeywords;
   }
 }
 
 module.exports = { 
   summarizeAndAnalyze, 
+  validateAnalysis,
+  summarizeStory,
   generateEmbedding, 
+  getEmbeddingModelInfo,
   extractKeywords,
-  generateEmbeddingDirect,
-  startRateLimitReset,
-  stopRateLimitReset
+  getApiUsage
 };
\ No newline at end of file
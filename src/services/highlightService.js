@@ -0,0 +1,79 @@
+require('dotenv').config();
+const { redis, ARTICLE_TEXT_FIELDS } = require('./redisService');
+const { matchText, matchTags, and } = require('../utils/queryBuilder');
+
+// Highlighted fragments for search results, from FT.SEARCH HIGHLIGHT/SUMMARIZE. For the
+// articles of a result page, the title comes back with the query's words marked, and the
+// summary, description and content as short excerpts around the matches; the excerpt with the
+// most matches is the article's snippet. Fragments are HTML-escaped with matches wrapped in
+// <mark></mark>, so they can be rendered as HTML.
+const SNIPPET_FIELDS = ['summary', 'description', 'content'];
+const SNIPPET_FRAGMENTS = parseInt(process.env.SEARCH_SNIPPET_FRAGMENTS) || 2;
+const SNIPPET_WORDS = parseInt(process.env.SEARCH_SNIPPET_WORDS) || 25;
+// Markers RediSearch puts around matches; replaced with <mark> after escaping the text
+const OPEN_MARKER = '\u0002';
+const CLOSE_MARKER = '\u0003';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function toHtml(fragment) {
+  return String(fragment)
+    .replace(/[&<>"']/g, char => HTML_ESCAPES[char])
+    .replace(new RegExp(OPEN_MARKER, 'g'), '<mark>')
+    .replace(new RegExp(CLOSE_MARKER, 'g'), '</mark>');
+}
+
+function countMatches(fragment) {
+  return fragment ? fragment.split(OPEN_MARKER).length - 1 : 0;
+}
+
+// { title, snippet, snippetField } for a highlighted search document. The title is null when
+// the query's words aren't in it, and so is the snippet when they're in none of SNIPPET_FIELDS.
+function toHighlights(value) {
+  let best = null;
+  for (const field of SNIPPET_FIELDS) {
+    const matches = countMatches(value[field]);
+    if (matches > 0 && (!best || matches > best.matches)) {
+      best = { field, matches };
+    }
+  }
+
+  return {
+    title: countMatches(value.title) > 0 ? toHtml(value.title) : null,
+    snippet: best ? toHtml(value[best.field]) : null,
+    snippetField: best ? best.field : null
+  };
+}
+
+// Map of article id -> highlights for the articles `ids` that contain any word of `q`. Articles
+// matched without the words in their text (by keyword tag or semantic similarity) are absent.
+async function getSearchHighlights(q, ids) {
+  const textClause = matchText(ARTICLE_TEXT_FIELDS, q, { any: true });
+  const highlights = new Map();
+  if (!textClause || ids.length === 0) return highlights;
+
+  const results = await redis.ft.search('idx:news', and(matchTags('article_id', ids), textClause), {
+    RETURN: ['article_id', ...ARTICLE_TEXT_FIELDS],
+    SUMMARIZE: {
+      FIELDS: SNIPPET_FIELDS,
+      FRAGS: SNIPPET_FRAGMENTS,
+      LEN: SNIPPET_WORDS,
+      SEPARATOR: ' … '
+    },
+    HIGHLIGHT: {
+      FIELDS: ARTICLE_TEXT_FIELDS,
+      TAGS: { open: OPEN_MARKER, close: CLOSE_MARKER }
+    },
+    LIMIT: { from: 0, size: ids.length }
+  });
+
+  for (const doc of results.documents) {
+    const id = doc.value.article_id || doc.id.substring('news:'.length);
+    highlights.set(id, toHighlights(doc.value));
+  }
+  return highlights;
+}
+
+module.exports = {
+  getSearchHighlights
+};
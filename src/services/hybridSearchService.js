@@ -0,0 +1,141 @@
+require('dotenv').config();
+const { redis, articleTextClause, dateRangeClause, PUBLIC_ARTICLES_CLAUSE } = require('./redisService');
+const { generateEmbedding } = require('./geminiService');
+const { matchTags, and, toQuery, knnQuery } = require('../utils/queryBuilder');
+const { badRequest } = require('../utils/httpError');
+
+// Relevance-ranked search over idx:news. `semantic` ranks articles by vector similarity to the
+// query (KNN); `hybrid` also runs the keyword (BM25) query and merges both rankings with
+// reciprocal rank fusion: score = sum over the rankings of 1 / (SEARCH_RRF_K + rank).
+// Filters (sentiment, source, topic, date range) apply to both queries. Each query fetches up to
+// SEARCH_HYBRID_CANDIDATES results (more when paging further), and pages are cut from the fused
+// list. The default `keyword` mode (newest first) stays in redisService.searchNews.
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+const RRF_K = parseInt(process.env.SEARCH_RRF_K) || 60;
+const CANDIDATES = parseInt(process.env.SEARCH_HYBRID_CANDIDATES) || 100;
+const MAX_CANDIDATES = 1000;
+// KNN neighbours below this cosine similarity are not counted as semantic matches
+const MIN_SIMILARITY = parseFloat(process.env.SEARCH_SEMANTIC_MIN_SIMILARITY) || 0.5;
+
+function articleId(doc) {
+  return doc.value.article_id || doc.id.substring('news:'.length);
+}
+
+function filterClause({ sentiment, source, topic, dateRange }) {
+  return and(
+    matchTags('sentiment', sentiment),
+    matchTags('source', source),
+    topic ? articleTextClause(topic) : '',
+    dateRangeClause(dateRange),
+    PUBLIC_ARTICLES_CLAUSE
+  );
+}
+
+// Article ids by keyword relevance, best first
+async function keywordRanking(q, filter, size) {
+  const results = await redis.ft.search('idx:news', toQuery(and(articleTextClause(q), filter)), {
+    RETURN: ['article_id'],
+    LIMIT: { from: 0, size }
+  });
+  return results.documents.map(doc => ({ id: articleId(doc) }));
+}
+
+// Article ids by vector similarity to `q`, closest first
+async function semanticRanking(q, filter, size) {
+  const vector = await generateEmbedding(q);
+  if (!Array.isArray(vector) || vector.length === 0) {
+    return null;
+  }
+
+  const results = await redis.ft.search('idx:news', knnQuery(filter, size), {
+    PARAMS: { BLOB: Buffer.from(new Float32Array(vector).buffer) },
+    SORTBY: { BY: 'vector_score', DIRECTION: 'ASC' },
+    RETURN: ['article_id', 'vector_score'],
+    LIMIT: { from: 0, size },
+    DIALECT: 2
+  });
+
+  return results.documents
+    .map(doc => ({ id: articleId(doc), similarity: 1 - parseFloat(doc.value.vector_score || 1) }))
+    .filter(match => match.similarity >= MIN_SIMILARITY);
+}
+
+// Merge rankings ({ keyword: [...], semantic: [...] }) into one list sorted by RRF score
+function fuseRankings(rankings) {
+  const fused = new Map();
+
+  for (const [name, ranking] of Object.entries(rankings)) {
+    ranking.forEach((match, index) => {
+      const rank = index + 1;
+      const contribution = 1 / (RRF_K + rank);
+      const entry = fused.get(match.id) || { id: match.id, score: 0, keyword: null, semantic: null };
+
+      entry.score += contribution;
+      entry[name] = { rank, contribution, ...(match.similarity !== undefined ? { similarity: match.similarity } : {}) };
+      fused.set(match.id, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+// Run a semantic or hybrid search. Resolves to { articles, totalCount, ids } - like searchNews,
+// plus the ids of all ranked results; with `explain` each article carries its score breakdown
+// under `searchScore`.
+async function rankedSearch(filters, { limit, offset }, { mode, explain = false }) {
+  const { q } = filters;
+  if (!q || !String(q).trim()) {
+    throw badRequest(`q is required for mode=${mode}`);
+  }
+
+  const size = Math.min(MAX_CANDIDATES, Math.max(CANDIDATES, offset + limit));
+  const filter = filterClause(filters);
+
+  const [keyword, semantic] = await Promise.all([
+    mode === 'hybrid' ? keywordRanking(q, filter, size) : [],
+    semanticRanking(q, filter, size)
+  ]);
+
+  if (semantic === null) {
+    if (mode === 'semantic') {
+      throw Object.assign(new Error('Semantic search is unavailable: the query could not be embedded'), { statusCode: 503 });
+    }
+    console.warn('Hybrid search falling back to keyword ranking: the query could not be embedded');
+  }
+
+  const fused = fuseRankings(mode === 'hybrid' ? { keyword, semantic: semantic || [] } : { semantic });
+  const ids = fused.map(entry => entry.id);
+  const page = fused.slice(offset, offset + limit);
+  if (page.length === 0) {
+    return { articles: [], totalCount: fused.length, ids };
+  }
+
+  const documents = await redis.json.mGet(page.map(entry => `news:${entry.id}`), '$');
+  const articles = [];
+  page.forEach((entry, index) => {
+    const article = documents[index] && documents[index][0];
+    if (!article) return;
+
+    articles.push(explain
+      ? { ...article, searchScore: { mode, rrf: entry.score, keyword: entry.keyword, semantic: entry.semantic } }
+      : article);
+  });
+
+  return { articles, totalCount: fused.length, ids };
+}
+
+// Validated search mode from a query parameter (keyword when omitted)
+function getSearchMode(value) {
+  if (value === undefined || value === '') return 'keyword';
+  if (!SEARCH_MODES.includes(value)) {
+    throw badRequest(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+  return value;
+}
+
+module.exports = {
+  SEARCH_MODES,
+  getSearchMode,
+  fuseRankings,
+  rankedSearch
+};
@@ -0,0 +1,240 @@
+require('dotenv').config();
+const os = require('os');
+const { redis } = require('./redisService');
+// Same id scheme as stored articles (see normalize.js)
+const { getArticleId } = require('./sources/normalize');
+
+// Durable ingestion queue backed by a Redis stream + consumer group.
+// - Work items live in the ingestion:queue stream until a worker acks them.
+// - Failed items are parked in the ingestion:retry sorted set (score = next attempt time)
+//   with exponential backoff, and promoted back onto the stream once due.
+// - Items that exhaust their attempts go to the ingestion:dead hash (keyed by item id)
+//   where admins can inspect, requeue or discard them.
+const QUEUE_STREAM = 'ingestion:queue';
+const CONSUMER_GROUP = 'ingestion-workers';
+const RETRY_SET = 'ingestion:retry';
+const DEAD_LETTER_HASH = 'ingestion:dead';
+
+const MAX_ATTEMPTS = parseInt(process.env.INGESTION_MAX_ATTEMPTS) || 5;
+const BASE_BACKOFF_MS = parseInt(process.env.INGESTION_BACKOFF_MS) || 30000; // 30 seconds
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000; // 6 hours
+const STALE_CLAIM_MS = 10 * 60 * 1000; // Reclaim items a crashed worker left unacked for 10 minutes
+
+const CONSUMER_NAME = `${os.hostname()}-${process.pid}`;
+
+let queueReady = false;
+
+function getBackoffMs(attempts) {
+  return Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * Math.pow(2, attempts - 1));
+}
+
+async function ensureQueue() {
+  if (queueReady) return;
+
+  try {
+    await redis.xGroupCreate(QUEUE_STREAM, CONSUMER_GROUP, '0', { MKSTREAM: true });
+    console.log(`Created consumer group ${CONSUMER_GROUP} on ${QUEUE_STREAM}`);
+  } catch (error) {
+    if (!error.message.includes('BUSYGROUP')) {
+      throw error;
+    }
+  }
+  queueReady = true;
+}
+
+// Add fetched articles to the queue as fresh work items
+async function enqueueArticles(articles, metadata = {}) {
+  await ensureQueue();
+  if (articles.length === 0) return 0;
+
+  const pipeline = redis.multi();
+  for (const article of articles) {
+    const item = {
+      id: getArticleId(article),
+      article,
+      topicId: article.topicId || metadata.topicId || null,
+      runId: metadata.runId || null,
+      attempts: 0,
+      errors: [],
+      enqueuedAt: new Date().toISOString()
+    };
+    pipeline.xAdd(QUEUE_STREAM, '*', { item: JSON.stringify(item) });
+  }
+  await pipeline.exec();
+
+  return articles.length;
+}
+
+// Move retry items whose backoff has elapsed back onto the stream
+async function promoteDueRetries() {
+  await ensureQueue();
+
+  const due = await redis.zRangeByScore(RETRY_SET, 0, Date.now());
+  let promoted = 0;
+
+  for (const member of due) {
+    // zRem succeeds for exactly one worker, so an item is never promoted twice
+    const removed = await redis.zRem(RETRY_SET, member);
+    if (removed === 1) {
+      await redis.xAdd(QUEUE_STREAM, '*', { item: member });
+      promoted++;
+    }
+  }
+
+  if (promoted > 0) {
+    console.log(`Promoted ${promoted} retry items back onto the ingestion queue`);
+  }
+  return promoted;
+}
+
+function parseEntries(messages) {
+  return (messages || [])
+    .filter(Boolean)
+    .map(message => ({ streamId: message.id, item: JSON.parse(message.message.item) }));
+}
+
+// Read up to `count` work items: first any stale ones left by a dead worker, then new ones
+async function readBatch(count) {
+  await ensureQueue();
+
+  const claimed = await redis.xAutoClaim(QUEUE_STREAM, CONSUMER_GROUP, CONSUMER_NAME, STALE_CLAIM_MS, '0-0', {
+    COUNT: count
+  });
+  const entries = parseEntries(claimed.messages);
+
+  if (entries.length < count) {
+    const response = await redis.xReadGroup(
+      CONSUMER_GROUP,
+      CONSUMER_NAME,
+      { key: QUEUE_STREAM, id: '>' },
+      { COUNT: count - entries.length }
+    );
+    if (response && response.length > 0) {
+      entries.push(...parseEntries(response[0].messages));
+    }
+  }
+
+  return entries;
+}
+
+// Mark a work item as done and drop it from the stream
+async function ackItem(streamId) {
+  await redis.multi()
+    .xAck(QUEUE_STREAM, CONSUMER_GROUP, streamId)
+    .xDel(QUEUE_STREAM, streamId)
+    .exec();
+}
+
+// Record a failed attempt: schedule a retry with backoff, or dead-letter the item
+async function failItem(streamId, item, error) {
+  const attempts = item.attempts + 1;
+  const failedItem = {
+    ...item,
+    attempts,
+    errors: [...(item.errors || []), { message: error.message, at: new Date().toISOString() }].slice(-MAX_ATTEMPTS),
+    lastError: error.message
+  };
+
+  const pipeline = redis.multi()
+    .xAck(QUEUE_STREAM, CONSUMER_GROUP, streamId)
+    .xDel(QUEUE_STREAM, streamId);
+
+  if (attempts >= MAX_ATTEMPTS) {
+    failedItem.deadLetteredAt = new Date().toISOString();
+    pipeline.hSet(DEAD_LETTER_HASH, item.id, JSON.stringify(failedItem));
+    console.error(`✗ Dead-lettered "${item.article.title}" after ${attempts} attempts: ${error.message}`);
+  } else {
+    const nextAttemptAt = Date.now() + getBackoffMs(attempts);
+    failedItem.nextAttemptAt = new Date(nextAttemptAt).toISOString();
+    pipeline.zAdd(RETRY_SET, { score: nextAttemptAt, value: JSON.stringify(failedItem) });
+    console.error(`✗ Attempt ${attempts}/${MAX_ATTEMPTS} failed for "${item.article.title}", retrying at ${failedItem.nextAttemptAt}: ${error.message}`);
+  }
+
+  await pipeline.exec();
+  return failedItem;
+}
+
+async function getQueueStats() {
+  await ensureQueue();
+
+  const [length, pending, retrying, deadLettered] = await Promise.all([
+    redis.xLen(QUEUE_STREAM),
+    redis.xPending(QUEUE_STREAM, CONSUMER_GROUP),
+    redis.zCard(RETRY_SET),
+    redis.hLen(DEAD_LETTER_HASH)
+  ]);
+
+  return {
+    queued: length,
+    pending: pending.pending,
+    consumers: pending.consumers || [],
+    retrying,
+    deadLettered,
+    maxAttempts: MAX_ATTEMPTS,
+    baseBackoffMs: BASE_BACKOFF_MS
+  };
+}
+
+async function listRetryItems(limit = 50, offset = 0) {
+  const members = await redis.zRange(RETRY_SET, offset, offset + limit - 1);
+  return members.map(member => JSON.parse(member));
+}
+
+async function listDeadLetters(limit = 50, offset = 0) {
+  const entries = await redis.hVals(DEAD_LETTER_HASH);
+  const items = entries
+    .map(entry => JSON.parse(entry))
+    .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt));
+
+  return { items: items.slice(offset, offset + limit), totalCount: items.length };
+}
+
+async function getDeadLetter(id) {
+  const entry = await redis.hGet(DEAD_LETTER_HASH, id);
+  return entry ? JSON.parse(entry) : null;
+}
+
+// Put a dead-lettered item back on the queue with a fresh attempt budget
+async function requeueDeadLetter(id) {
+  await ensureQueue();
+
+  const item = await getDeadLetter(id);
+  if (!item) return null;
+
+  const requeued = {
+    ...item,
+    attempts: 0,
+    requeuedAt: new Date().toISOString()
+  };
+  delete requeued.deadLetteredAt;
+  delete requeued.nextAttemptAt;
+
+  await redis.multi()
+    .xAdd(QUEUE_STREAM, '*', { item: JSON.stringify(requeued) })
+    .hDel(DEAD_LETTER_HASH, id)
+    .exec();
+
+  return requeued;
+}
+
+async function discardDeadLetter(id) {
+  const removed = await redis.hDel(DEAD_LETTER_HASH, id);
+  return removed === 1;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  getArticleId,
+  getBackoffMs,
+  enqueueArticles,
+  promoteDueRetries,
+  readBatch,
+  ackItem,
+  failItem,
+  getQueueStats,
+  listRetryItems,
+  listDeadLetters,
+  getDeadLetter,
+  requeueDeadLetter,
+  discardDeadLetter
+};
@@ -0,0 +1,131 @@
+require('dotenv').config();
+const { redis } = require('./redisService');
+const { getApiUsage } = require('./geminiService');
+
+// Ingestion run history. Each run is a JSON document at ingestion_run:{id}, indexed by start
+// time in the ingestion_runs sorted set. Only the most recent MAX_RUNS are kept.
+const RUN_KEY_PREFIX = 'ingestion_run:';
+const RUN_INDEX_KEY = 'ingestion_runs';
+const MAX_RUNS = 200;
+
+const EMPTY_TOPIC_STATS = {
+  fetched: 0,
+  filtered: 0,
+  duplicates: 0,
+  stored: 0,
+  failed: 0
+};
+
+// geminiService usage counters diffed into each run report
+const USAGE_COUNTERS = ['summaryCalls', 'embeddingCalls', 'summaryCacheHits', 'embeddingCacheHits'];
+
+function generateRunId() {
+  return `run_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+async function saveRun(run) {
+  await redis.json.set(`${RUN_KEY_PREFIX}${run.id}`, '$', run);
+}
+
+// Create and persist a new run in the "running" state. `id` lets callers reserve the id up front.
+async function startRun({ id = generateRunId(), trigger = 'manual', topicIds = null } = {}) {
+  const startedAtMs = Date.now();
+  const usage = getApiUsage(startedAtMs);
+
+  const run = {
+    id,
+    status: 'running',
+    trigger,
+    requestedTopics: topicIds,
+    startedAt: new Date(startedAtMs).toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    topics: {},
+    totals: { ...EMPTY_TOPIC_STATS, queued: 0, retried: 0, deadLettered: 0 },
+    gemini: { summaryCalls: 0, embeddingCalls: 0, summaryCacheHits: 0, embeddingCacheHits: 0, errors: [] },
+    error: null,
+    // Baseline for the Gemini usage diff, dropped when the run finishes
+    _usageBaseline: Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, usage[counter]]))
+  };
+
+  await saveRun(run);
+  await redis.zAdd(RUN_INDEX_KEY, { score: startedAtMs, value: run.id });
+
+  return run;
+}
+
+// Add to a per-topic counter (fetched, filtered, duplicates, stored, failed) and the totals
+function recordTopicStat(run, topicId, stat, count = 1) {
+  const key = topicId || 'unknown';
+  if (!run.topics[key]) {
+    run.topics[key] = { ...EMPTY_TOPIC_STATS };
+  }
+  run.topics[key][stat] += count;
+  run.totals[stat] += count;
+}
+
+// Mark the run finished (or failed), attach Gemini usage and persist it
+async function finishRun(run, error = null) {
+  const finishedAtMs = Date.now();
+  const usage = getApiUsage(new Date(run.startedAt).getTime());
+  const baseline = run._usageBaseline || {};
+
+  run.status = error ? 'failed' : 'completed';
+  run.error = error ? error.message : null;
+  run.finishedAt = new Date(finishedAtMs).toISOString();
+  run.durationMs = finishedAtMs - new Date(run.startedAt).getTime();
+  run.gemini = {
+    ...Object.fromEntries(USAGE_COUNTERS.map(counter => [counter, usage[counter] - (baseline[counter] || 0)])),
+    errors: usage.errors.map(e => ({ ...e, at: new Date(e.at).toISOString() }))
+  };
+  delete run._usageBaseline;
+
+  await saveRun(run);
+  await pruneRuns();
+
+  return run;
+}
+
+async function pruneRuns() {
+  const stale = await redis.zRange(RUN_INDEX_KEY, 0, -(MAX_RUNS + 1));
+  if (stale.length === 0) return;
+
+  await redis.del(stale.map(id => `${RUN_KEY_PREFIX}${id}`));
+  await redis.zRem(RUN_INDEX_KEY, stale);
+}
+
+// Most recent runs first
+async function listRuns(limit = 10, offset = 0) {
+  const [ids, totalCount] = await Promise.all([
+    redis.zRange(RUN_INDEX_KEY, offset, offset + limit - 1, { REV: true }),
+    redis.zCard(RUN_INDEX_KEY)
+  ]);
+  if (ids.length === 0) return { runs: [], totalCount };
+
+  const runs = await redis.json.mGet(ids.map(id => `${RUN_KEY_PREFIX}${id}`), '$');
+  return {
+    runs: runs
+      .map(result => (Array.isArray(result) ? result[0] : result))
+      .filter(Boolean)
+      .map(({ _usageBaseline, ...run }) => run),
+    totalCount
+  };
+}
+
+async function getRun(id) {
+  const run = await redis.json.get(`${RUN_KEY_PREFIX}${id}`);
+  if (!run) return null;
+
+  const { _usageBaseline, ...publicRun } = run;
+  return publicRun;
+}
+
+module.exports = {
+  generateRunId,
+  startRun,
+  saveRun,
+  recordTopicStat,
+  finishRun,
+  listRuns,
+  getRun
+};
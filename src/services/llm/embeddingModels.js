@@ -0,0 +1,59 @@
+// Vector lengths of the known embedding models. `native` is the length a model returns by default;
+// `flexible` models (Matryoshka-trained) can return shorter vectors on request, and are asked for
+// DEFAULT_DIMENSIONS unless EMBEDDING_DIMENSIONS says otherwise. Fixed-length models always
+// return their native length.
+const DEFAULT_DIMENSIONS = 768;
+
+const EMBEDDING_MODELS = {
+  gemini: {
+    'gemini-embedding-001': { native: 3072, flexible: true },
+    'text-embedding-004': { native: 768, flexible: true },
+    'embedding-001': { native: 768, flexible: false }
+  },
+  openai: {
+    'text-embedding-3-small': { native: 1536, flexible: true },
+    'text-embedding-3-large': { native: 3072, flexible: true },
+    'text-embedding-ada-002': { native: 1536, flexible: false }
+  }
+};
+
+// Whether the model accepts a requested output dimension (unknown models are not asked for one)
+function acceptsDimensions(providerName, model) {
+  const spec = (EMBEDDING_MODELS[providerName] || {})[model];
+  return spec ? spec.flexible : false;
+}
+
+// Vector length `model` will return. `requested` is EMBEDDING_DIMENSIONS (null when unset); a
+// model missing from EMBEDDING_MODELS (e.g. one served locally) needs it set to its native
+// length, since that can't be known in advance.
+function resolveEmbeddingDimensions(providerName, model, requested = null) {
+  const spec = (EMBEDDING_MODELS[providerName] || {})[model];
+
+  if (!spec) {
+    if (!requested) {
+      throw new Error(`Unknown embedding model "${model}": set EMBEDDING_DIMENSIONS to the length of its vectors`);
+    }
+    return requested;
+  }
+
+  if (!spec.flexible) {
+    if (requested && requested !== spec.native) {
+      console.warn(`${model} only returns ${spec.native}-dimension vectors, ignoring EMBEDDING_DIMENSIONS=${requested}`);
+    }
+    return spec.native;
+  }
+
+  const dimensions = requested || Math.min(DEFAULT_DIMENSIONS, spec.native);
+  if (dimensions > spec.native) {
+    console.warn(`${model} returns at most ${spec.native} dimensions, ignoring EMBEDDING_DIMENSIONS=${requested}`);
+    return spec.native;
+  }
+  return dimensions;
+}
+
+module.exports = {
+  DEFAULT_DIMENSIONS,
+  EMBEDDING_MODELS,
+  acceptsDimensions,
+  resolveEmbeddingDimensions
+};
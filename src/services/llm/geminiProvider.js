@@ -0,0 +1,95 @@
+const { GoogleGenAI } = require('@google/genai');
+const axios = require('axios');
+const { createKeyPool, keysFromEnv, isRateLimitError } = require('./keyPool');
+const { acceptsDimensions, resolveEmbeddingDimensions } = require('./embeddingModels');
+
+// Google Gemini. Summary and embedding calls each draw from their own key pool (see keyPool):
+// GEMINI_API_KEYS_SUMMARY / GEMINI_API_KEYS_EMBEDDING take comma-separated keys, the older
+// single-key variables still work, and both fall back to GEMINI_API_KEY.
+const GENERATE_MODEL = process.env.GEMINI_MODEL || 'gemini-2.5-flash-lite';
+const EMBEDDING_MODEL = process.env.GEMINI_EMBEDDING_MODEL || 'gemini-embedding-001';
+
+// Per-key limits; a daily limit of 0 (the default) is not enforced
+const SUMMARY_LIMITS = {
+  requestsPerMinute: parseInt(process.env.GEMINI_SUMMARY_RPM) || 20,
+  requestsPerDay: parseInt(process.env.GEMINI_SUMMARY_RPD) || 0
+};
+const EMBEDDING_LIMITS = {
+  requestsPerMinute: parseInt(process.env.GEMINI_EMBEDDING_RPM) || 20,
+  requestsPerDay: parseInt(process.env.GEMINI_EMBEDDING_RPD) || 0
+};
+
+const clients = new Map();
+
+// Clients are created on first use of each key
+function getClient(apiKey) {
+  if (!clients.has(apiKey)) {
+    clients.set(apiKey, new GoogleGenAI({ apiKey }));
+  }
+  return clients.get(apiKey);
+}
+
+function createGeminiProvider({ dimensions: requestedDimensions }) {
+  const dimensions = resolveEmbeddingDimensions('gemini', EMBEDDING_MODEL, requestedDimensions);
+  // Fixed-length models reject outputDimensionality. The REST body takes it at the top level,
+  // the SDK only reads it from `config`.
+  const dimensionOptions = acceptsDimensions('gemini', EMBEDDING_MODEL) ? { outputDimensionality: dimensions } : {};
+  const summaryKeys = keysFromEnv('GEMINI_API_KEYS_SUMMARY', 'GEMINI_API_KEY_SUMMARY', 'GEMINI_API_KEY_SUMMARY2');
+  const embeddingKeys = keysFromEnv('GEMINI_API_KEYS_EMBEDDING', 'GEMINI_API_KEY_EMBEDDING');
+  const fallbackKeys = keysFromEnv('GEMINI_API_KEY');
+
+  const summaryPool = createKeyPool('gemini-summary', summaryKeys.length > 0 ? summaryKeys : fallbackKeys, SUMMARY_LIMITS);
+  const embeddingPool = createKeyPool('gemini-embedding', embeddingKeys.length > 0 ? embeddingKeys : fallbackKeys, EMBEDDING_LIMITS);
+
+  // Direct REST call, used when the SDK embedding call fails
+  async function embedDirect(text, apiKey) {
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${EMBEDDING_MODEL}:embedContent?key=${apiKey}`;
+    const response = await axios.post(url, {
+      content: { parts: [{ text }] },
+      ...dimensionOptions
+    });
+
+    const embedding = response.data.embedding.values;
+    if (!Array.isArray(embedding)) {
+      throw new Error(`Expected an embedding array, got ${typeof embedding}`);
+    }
+    return embedding;
+  }
+
+  return {
+    name: 'gemini',
+    models: { generate: GENERATE_MODEL, embedding: EMBEDDING_MODEL },
+    dimensions,
+    keyPools: [summaryPool, embeddingPool],
+
+    async generate(prompt) {
+      return await summaryPool.run(async apiKey => {
+        const response = await getClient(apiKey).models.generateContent({
+          model: GENERATE_MODEL,
+          contents: prompt
+        });
+        return response.text;
+      });
+    },
+
+    async embed(text) {
+      return await embeddingPool.run(async apiKey => {
+        try {
+          const response = await getClient(apiKey).models.embedContent({
+            model: EMBEDDING_MODEL,
+            contents: text,
+            config: dimensionOptions
+          });
+          return response.embeddings[0].values;
+        } catch (error) {
+          // A quota error would fail over REST too; let the pool back the key off instead
+          if (isRateLimitError(error)) throw error;
+          console.error('Error generating embedding with the Gemini SDK, retrying over REST:', error.message);
+          return await embedDirect(text, apiKey);
+        }
+      });
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
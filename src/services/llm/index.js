@@ -0,0 +1,59 @@
+require('dotenv').config();
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAiProvider } = require('./openAiProvider');
+const { createOfflineProvider } = require('./offlineProvider');
+
+// LLM provider selection. Every provider implements:
+//   name         - provider id
+//   models       - { generate, embedding } model ids (part of the LLM cache key)
+//   dimensions   - length of the vectors embed() returns (see embeddingModels)
+//   keyPools     - the API key pools the provider draws from (see keyPool), for status reporting
+//   generate(prompt, { task, input }) -> response text
+//   embed(text) -> embedding vector (`dimensions` long)
+// `task` and `input` carry the structured request behind the prompt; the offline provider
+// answers from them, the others only use the prompt.
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiProvider,
+  offline: createOfflineProvider
+};
+
+// Requested vector length; each provider resolves it against its model (null: the model's default)
+const REQUESTED_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS) || null;
+
+let provider = null;
+
+function getProvider() {
+  if (!provider) {
+    const name = (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+    const createProvider = providers[name];
+    if (!createProvider) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(providers).join(', ')})`);
+    }
+
+    provider = createProvider({ dimensions: REQUESTED_DIMENSIONS });
+    console.log(`Using LLM provider: ${provider.name} (${provider.models.embedding}, ${provider.dimensions} dimensions)`);
+  }
+  return provider;
+}
+
+// Length of the active provider's embedding vectors; the search index's vector field uses it
+function getEmbeddingDimensions() {
+  return getProvider().dimensions;
+}
+
+// State of every key pool of the active provider
+function getKeyPoolStatus() {
+  const active = getProvider();
+  return {
+    provider: active.name,
+    pools: active.keyPools.map(pool => pool.getState())
+  };
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  getEmbeddingDimensions,
+  getKeyPoolStatus
+};
@@ -0,0 +1,178 @@
+// Pool of API keys for one operation (e.g. Gemini summaries). Each key has two token buckets,
+// requests per minute and per day, refilled continuously. `acquire` hands out the available key
+// with the most minute tokens left and waits when none has capacity; keys whose calls fail with
+// a 429/quota error are backed off exponentially (or for the server's Retry-After).
+// State is per process, like the rate limiter it replaces.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const BACKOFF_BASE_MS = parseInt(process.env.KEY_POOL_BACKOFF_MS) || 30000;
+const BACKOFF_MAX_MS = parseInt(process.env.KEY_POOL_BACKOFF_MAX_MS) || 10 * 60 * 1000;
+const MAX_WAIT_MS = parseInt(process.env.KEY_POOL_MAX_WAIT_MS) || 2 * 60 * 1000;
+
+// Comma-separated key list from env, plus single-key variables, without duplicates or blanks
+function keysFromEnv(listVariable, ...singleVariables) {
+  const keys = [
+    ...(process.env[listVariable] || '').split(','),
+    ...singleVariables.map(name => process.env[name])
+  ].map(key => (key || '').trim()).filter(Boolean);
+  return [...new Set(keys)];
+}
+
+function maskKey(key) {
+  if (!key) return '(none)';
+  return key.length > 8 ? `…${key.slice(-4)}` : '****';
+}
+
+function isRateLimitError(error) {
+  const status = error?.status || error?.code || error?.response?.status;
+  if (status === 429) return true;
+  return /RESOURCE_EXHAUSTED|quota|rate limit|too many requests/i.test(error?.message || '');
+}
+
+// Retry-After (seconds) from an HTTP error response, in ms
+function getRetryAfterMs(error) {
+  const header = error?.response?.headers?.['retry-after'];
+  const seconds = parseInt(header);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A bucket of `capacity` tokens refilled at capacity/periodMs; capacity 0 means unlimited
+function createBucket(capacity, periodMs) {
+  return { capacity, periodMs, tokens: capacity, refilledAt: Date.now() };
+}
+
+function refill(bucket, now) {
+  if (!bucket.capacity) return;
+  const elapsed = now - bucket.refilledAt;
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.capacity / bucket.periodMs);
+  bucket.refilledAt = now;
+}
+
+// ms until the bucket has a whole token
+function waitForToken(bucket) {
+  if (!bucket.capacity || bucket.tokens >= 1) return 0;
+  return Math.ceil((1 - bucket.tokens) * bucket.periodMs / bucket.capacity);
+}
+
+// `keys` may be [''] for endpoints that need no key; limits of 0 disable that bucket
+function createKeyPool(name, keys, { requestsPerMinute = 0, requestsPerDay = 0 } = {}) {
+  const entries = (keys.length > 0 ? keys : ['']).map((key, index) => ({
+    index,
+    key,
+    minute: createBucket(requestsPerMinute, MINUTE_MS),
+    day: createBucket(requestsPerDay, DAY_MS),
+    backoffUntil: 0,
+    consecutiveFailures: 0,
+    requests: 0,
+    rateLimitErrors: 0,
+    lastError: null
+  }));
+
+  function waitFor(entry, now) {
+    return Math.max(entry.backoffUntil - now, waitForToken(entry.minute), waitForToken(entry.day), 0);
+  }
+
+  // Resolves to a lease { key, index, release(error) }; call release once the request is done.
+  // Rejects with statusCode 429 when no key will have capacity within KEY_POOL_MAX_WAIT_MS.
+  async function acquire() {
+    while (true) {
+      const now = Date.now();
+      entries.forEach(entry => {
+        refill(entry.minute, now);
+        refill(entry.day, now);
+      });
+
+      const available = entries
+        .filter(entry => waitFor(entry, now) === 0)
+        .sort((a, b) => (b.minute.capacity ? b.minute.tokens : Infinity) - (a.minute.capacity ? a.minute.tokens : Infinity));
+
+      if (available.length > 0) {
+        const entry = available[0];
+        if (entry.minute.capacity) entry.minute.tokens--;
+        if (entry.day.capacity) entry.day.tokens--;
+        entry.requests++;
+        return {
+          key: entry.key,
+          index: entry.index,
+          release: error => release(entry, error)
+        };
+      }
+
+      const wait = Math.min(...entries.map(entry => waitFor(entry, now)));
+      if (wait > MAX_WAIT_MS) {
+        throw Object.assign(
+          new Error(`All ${name} API keys are rate limited (next key available in ${Math.ceil(wait / 1000)}s)`),
+          { statusCode: 429 }
+        );
+      }
+
+      console.log(`All ${name} API keys at their limit, waiting ${wait}ms...`);
+      await delay(wait);
+    }
+  }
+
+  function release(entry, error) {
+    if (!error) {
+      entry.consecutiveFailures = 0;
+      return;
+    }
+    if (!isRateLimitError(error)) return;
+
+    entry.rateLimitErrors++;
+    entry.consecutiveFailures++;
+    entry.lastError = { message: error.message, at: new Date().toISOString() };
+    const backoff = getRetryAfterMs(error) ||
+      Math.min(BACKOFF_BASE_MS * 2 ** (entry.consecutiveFailures - 1), BACKOFF_MAX_MS);
+    entry.backoffUntil = Date.now() + backoff;
+    console.warn(`${name} API key ${entry.index + 1} rate limited, backing off ${backoff}ms`);
+  }
+
+  // Acquire a key, run `callFunction(key)` and release the key with its outcome
+  async function run(callFunction) {
+    const lease = await acquire();
+    try {
+      const result = await callFunction(lease.key);
+      lease.release();
+      return result;
+    } catch (error) {
+      lease.release(error);
+      throw error;
+    }
+  }
+
+  function getState() {
+    const now = Date.now();
+    return {
+      name,
+      requestsPerMinute: requestsPerMinute || null,
+      requestsPerDay: requestsPerDay || null,
+      keys: entries.map(entry => {
+        refill(entry.minute, now);
+        refill(entry.day, now);
+        return {
+          index: entry.index + 1,
+          key: maskKey(entry.key),
+          minuteTokens: entry.minute.capacity ? Math.floor(entry.minute.tokens) : null,
+          dayTokens: entry.day.capacity ? Math.floor(entry.day.tokens) : null,
+          backoffUntil: entry.backoffUntil > now ? new Date(entry.backoffUntil).toISOString() : null,
+          available: waitFor(entry, now) === 0,
+          requests: entry.requests,
+          rateLimitErrors: entry.rateLimitErrors,
+          lastError: entry.lastError
+        };
+      })
+    };
+  }
+
+  return { name, acquire, run, getState };
+}
+
+module.exports = {
+  createKeyPool,
+  keysFromEnv,
+  isRateLimitError
+};
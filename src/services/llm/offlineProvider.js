@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { tokenize, topTerms, splitSentences } = require('./textUtils');
+const { DEFAULT_DIMENSIONS } = require('./embeddingModels');
+
+// Deterministic provider for development and tests without network access. Generation is
+// extractive: callers pass the structured `task` and `input` next to the prompt and get back
+// the same JSON shape a model would produce (leading sentences as the summary, lexicon-based
+// sentiment, frequent terms as keywords). Embeddings use feature hashing over the words of the
+// text, so identical text gives identical vectors and texts sharing words are close together.
+const POSITIVE_WORDS = new Set([
+  'gain', 'gains', 'growth', 'win', 'wins', 'won', 'record', 'rise', 'rises', 'rally', 'success',
+  'successful', 'improve', 'improved', 'boost', 'relief', 'celebrate', 'approve', 'approved', 'strong', 'recovery'
+]);
+const NEGATIVE_WORDS = new Set([
+  'loss', 'losses', 'fall', 'falls', 'crash', 'crisis', 'death', 'deaths', 'killed', 'attack', 'decline',
+  'fear', 'fears', 'fail', 'failed', 'protest', 'warning', 'weak', 'delay', 'delayed', 'disaster', 'injured'
+]);
+
+function hashToInt(value) {
+  return crypto.createHash('sha256').update(value).digest().readUInt32BE(0);
+}
+
+function getSentiment(text) {
+  let score = 0;
+  for (const word of String(text || '').toLowerCase().split(/\W+/)) {
+    if (POSITIVE_WORDS.has(word)) score++;
+    if (NEGATIVE_WORDS.has(word)) score--;
+  }
+  if (score > 0) return 'positive';
+  if (score < 0) return 'negative';
+  return 'neutral';
+}
+
+function summarize({ title = '', content = '' }) {
+  const sentences = splitSentences(content);
+  return {
+    summary: (sentences.length > 0 ? sentences.slice(0, 2).join(' ') : title).trim(),
+    sentiment: getSentiment(`${title} ${content}`),
+    keywords: topTerms(`${title} ${title} ${content}`, 12)
+  };
+}
+
+function summarizeStory({ articles = [] }) {
+  const termsByArticle = articles.map(article => ({
+    id: article.id,
+    terms: new Set(topTerms(`${article.title} ${article.text}`, 15))
+  }));
+
+  const supporters = term => termsByArticle.filter(entry => entry.terms.has(term)).map(entry => entry.id);
+  const allTerms = [...new Set(termsByArticle.flatMap(entry => [...entry.terms]))];
+
+  const shared = allTerms.filter(term => supporters(term).length > 1).slice(0, 3);
+  const unique = termsByArticle
+    .map(entry => ({ id: entry.id, term: [...entry.terms].find(term => supporters(term).length === 1) }))
+    .filter(entry => entry.term)
+    .slice(0, 3);
+
+  return {
+    summary: articles
+      .slice(0, 3)
+      .map(article => splitSentences(article.text)[0] || article.title)
+      .join(' '),
+    agreements: shared.map(term => ({ point: `Multiple reports mention "${term}".`, articleIds: supporters(term) })),
+    differences: unique.map(entry => ({ point: `Only one report mentions "${entry.term}".`, articleIds: [entry.id] }))
+  };
+}
+
+function extractKeywords({ title = '', description = '', content = '' }) {
+  return topTerms(`${title} ${title} ${description} ${content}`, 8);
+}
+
+const TASKS = {
+  summarize,
+  story_summary: summarizeStory,
+  keywords: extractKeywords
+};
+
+// Feature hashing works at any length: EMBEDDING_DIMENSIONS, or DEFAULT_DIMENSIONS
+function createOfflineProvider({ dimensions: requestedDimensions }) {
+  const dimensions = requestedDimensions || DEFAULT_DIMENSIONS;
+
+  return {
+    name: 'offline',
+    models: { generate: 'extractive', embedding: 'feature-hash' },
+    dimensions,
+    keyPools: [],
+
+    async generate(prompt, { task, input } = {}) {
+      if (TASKS[task]) {
+        return JSON.stringify(TASKS[task](input || {}));
+      }
+      return `Offline response ${crypto.createHash('sha256').update(prompt).digest('hex').substring(0, 12)}`;
+    },
+
+    async embed(text) {
+      const vector = new Array(dimensions).fill(0);
+
+      for (const word of tokenize(text)) {
+        const hash = hashToInt(word);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -1 : 1;
+      }
+
+      // Empty or stop-word-only text still needs a usable (non-zero) vector
+      if (vector.every(value => value === 0)) {
+        vector[hashToInt(String(text)) % dimensions] = 1;
+      }
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+      return vector.map(value => value / norm);
+    }
+  };
+}
+
+module.exports = { createOfflineProvider };
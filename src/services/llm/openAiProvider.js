@@ -0,0 +1,72 @@
+const axios = require('axios');
+const { createKeyPool, keysFromEnv } = require('./keyPool');
+const { acceptsDimensions, resolveEmbeddingDimensions } = require('./embeddingModels');
+
+// Any OpenAI-compatible HTTP API (/chat/completions and /embeddings): OpenAI itself, or local
+// servers such as Ollama, LM Studio, vLLM or llama.cpp via OPENAI_BASE_URL.
+const BASE_URL = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const GENERATE_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+const TIMEOUT_MS = parseInt(process.env.OPENAI_TIMEOUT_MS) || 60000;
+
+// Local servers have no quota, so per-key limits are off unless OPENAI_RPM / OPENAI_RPD are set
+const LIMITS = {
+  requestsPerMinute: parseInt(process.env.OPENAI_RPM) || 0,
+  requestsPerDay: parseInt(process.env.OPENAI_RPD) || 0
+};
+
+function getHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+function createOpenAiProvider({ dimensions: requestedDimensions }) {
+  const dimensions = resolveEmbeddingDimensions('openai', EMBEDDING_MODEL, requestedDimensions);
+  // One pool for both operations: OpenAI limits are per key, not per endpoint
+  const pool = createKeyPool('openai', keysFromEnv('OPENAI_API_KEYS', 'OPENAI_API_KEY'), LIMITS);
+
+  return {
+    name: 'openai',
+    models: { generate: GENERATE_MODEL, embedding: EMBEDDING_MODEL },
+    dimensions,
+    keyPools: [pool],
+
+    async generate(prompt) {
+      const response = await pool.run(apiKey => axios.post(`${BASE_URL}/chat/completions`, {
+        model: GENERATE_MODEL,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2
+      }, { headers: getHeaders(apiKey), timeout: TIMEOUT_MS }));
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Chat completion response has no message content');
+      }
+      return text;
+    },
+
+    async embed(text) {
+      const body = { model: EMBEDDING_MODEL, input: text };
+      // Only the text-embedding-3 family accepts a dimensions parameter
+      if (acceptsDimensions('openai', EMBEDDING_MODEL)) {
+        body.dimensions = dimensions;
+      }
+
+      const response = await pool.run(apiKey => axios.post(`${BASE_URL}/embeddings`, body, {
+        headers: getHeaders(apiKey),
+        timeout: TIMEOUT_MS
+      }));
+
+      const embedding = response.data?.data?.[0]?.embedding;
+      if (!Array.isArray(embedding)) {
+        throw new Error('Embeddings response has no embedding array');
+      }
+      return embedding;
+    }
+  };
+}
+
+module.exports = { createOpenAiProvider };
@@ -0,0 +1,57 @@
+// Plain-text helpers shared by the keyword fallback in geminiService and the offline provider
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'this', 'that', 'have', 'will', 'from', 'they',
+  'been', 'were', 'said', 'each', 'which', 'their', 'time', 'would', 'there',
+  'could', 'other', 'than', 'first', 'very', 'after', 'where', 'most', 'over',
+  'even', 'much', 'make', 'before', 'great', 'back', 'through', 'years', 'should',
+  'well', 'people', 'down', 'just', 'because', 'good', 'those', 'feel', 'seem',
+  'how', 'high', 'too', 'place', 'little', 'world', 'still', 'nation', 'hand',
+  'life', 'tell', 'write', 'become', 'here', 'show', 'house', 'both', 'between',
+  'need', 'mean', 'call', 'develop', 'under', 'last', 'right', 'move', 'thing',
+  'general', 'school', 'never', 'same', 'another', 'begin', 'while', 'number',
+  'part', 'turn', 'real', 'leave', 'might', 'want', 'point', 'form', 'child',
+  'small', 'since', 'against', 'late', 'hard', 'major', 'example', 'hear', 'talk',
+  'report', 'today', 'bring', 'tomorrow', 'carry', 'clear', 'above', 'news', 'article'
+]);
+
+function isStopWord(word) {
+  return STOP_WORDS.has(word);
+}
+
+// Lowercased words longer than three characters, minus stop words
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 3 && !/^\d+$/.test(word) && !isStopWord(word));
+}
+
+// The `count` most frequent terms, ties broken by first appearance
+function topTerms(text, count) {
+  const frequencies = new Map();
+  for (const word of tokenize(text)) {
+    frequencies.set(word, (frequencies.get(word) || 0) + 1);
+  }
+
+  return [...frequencies.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, count)
+    .map(([word]) => word);
+}
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[A-Z"“])/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+module.exports = {
+  isStopWord,
+  tokenize,
+  topTerms,
+  splitSentences
+};
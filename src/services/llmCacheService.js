@@ -0,0 +1,135 @@
+require('dotenv').config();
+const crypto = require('crypto');
+
+// Memoizes LLM generations and embeddings by content hash, so the same text never costs a
+// second API call. Entries are keyed by provider, model, prompt version (embeddings: dimensions)
+// and a hash of the input:
+//   llm_cache:generation:<provider>:<model>:<task>:<version>:<sha256 of prompt>
+//   llm_cache:embedding:<provider>:<model>:<dimensions>:<sha256 of text>
+// Hit/miss counters live in the llm_cache_stats hash. Cache errors count as misses.
+const CACHE_ENABLED = process.env.LLM_CACHE_ENABLED !== 'false';
+const CACHE_PREFIX = 'llm_cache:';
+const STATS_KEY = 'llm_cache_stats';
+const KINDS = ['generation', 'embedding'];
+const TTL_SECONDS = {
+  generation: parseInt(process.env.LLM_CACHE_GENERATION_TTL_SECONDS) || 7 * 24 * 60 * 60, // 7 days
+  embedding: parseInt(process.env.LLM_CACHE_EMBEDDING_TTL_SECONDS) || 30 * 24 * 60 * 60 // 30 days
+};
+
+// redisService requires geminiService, which uses this cache, so the client is loaded on first use
+function getRedis() {
+  return require('./redisService').redis;
+}
+
+function hashText(text) {
+  return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function generationKey({ provider, model, task, version }, prompt) {
+  return `${CACHE_PREFIX}generation:${provider}:${model}:${task}:${version}:${hashText(prompt)}`;
+}
+
+function embeddingKey({ provider, model, dimensions }, text) {
+  return `${CACHE_PREFIX}embedding:${provider}:${model}:${dimensions}:${hashText(text)}`;
+}
+
+async function readEntry(kind, key) {
+  if (!CACHE_ENABLED) return null;
+
+  try {
+    const redis = getRedis();
+    const value = await redis.get(key);
+    await redis.hIncrBy(STATS_KEY, `${kind}:${value !== null ? 'hits' : 'misses'}`, 1);
+    return value !== null ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error(`Error reading LLM cache (${kind}):`, error.message);
+    return null;
+  }
+}
+
+async function writeEntry(kind, key, value) {
+  if (!CACHE_ENABLED) return;
+
+  try {
+    await getRedis().set(key, JSON.stringify(value), {
+      expiration: { type: 'EX', value: TTL_SECONDS[kind] }
+    });
+  } catch (error) {
+    console.error(`Error writing LLM cache (${kind}):`, error.message);
+  }
+}
+
+// `context` is { provider, model, task, version }. Resolves to the cached response text or null.
+async function getCachedGeneration(context, prompt) {
+  return await readEntry('generation', generationKey(context, prompt));
+}
+
+// Only cache responses the caller has validated, so a bad response is not replayed
+async function cacheGeneration(context, prompt, text) {
+  await writeEntry('generation', generationKey(context, prompt), text);
+}
+
+// `context` is { provider, model, dimensions }. Resolves to the cached vector or null.
+async function getCachedEmbedding(context, text) {
+  return await readEntry('embedding', embeddingKey(context, text));
+}
+
+async function cacheEmbedding(context, text, vector) {
+  await writeEntry('embedding', embeddingKey(context, text), vector);
+}
+
+// Hit/miss counters and hit rate per kind, plus the cache configuration
+async function getCacheStats() {
+  const counters = CACHE_ENABLED ? await getRedis().hGetAll(STATS_KEY) : {};
+
+  const stats = {};
+  for (const kind of KINDS) {
+    const hits = parseInt(counters[`${kind}:hits`]) || 0;
+    const misses = parseInt(counters[`${kind}:misses`]) || 0;
+    stats[kind] = {
+      hits,
+      misses,
+      hitRate: hits + misses > 0 ? Math.round(hits / (hits + misses) * 1000) / 1000 : null,
+      ttlSeconds: TTL_SECONDS[kind]
+    };
+  }
+
+  return { enabled: CACHE_ENABLED, ...stats };
+}
+
+// Delete cached entries of one kind (or both when `kind` is omitted); optionally reset the
+// counters too. Resolves to the number of deleted entries.
+async function purgeCache({ kind = null, resetStats = false } = {}) {
+  if (kind && !KINDS.includes(kind)) {
+    throw Object.assign(new Error(`kind must be one of: ${KINDS.join(', ')}`), { statusCode: 400 });
+  }
+
+  const redis = getRedis();
+  let deleted = 0;
+
+  for (const purgeKind of kind ? [kind] : KINDS) {
+    for await (const keys of redis.scanIterator({ MATCH: `${CACHE_PREFIX}${purgeKind}:*`, COUNT: 500 })) {
+      if (keys.length > 0) {
+        deleted += await redis.unlink(keys);
+      }
+    }
+  }
+
+  if (resetStats) {
+    const fields = (kind ? [kind] : KINDS).flatMap(purgeKind => [`${purgeKind}:hits`, `${purgeKind}:misses`]);
+    await redis.hDel(STATS_KEY, fields);
+  }
+
+  console.log(`Purged ${deleted} LLM cache entries${kind ? ` (${kind})` : ''}`);
+  return deleted;
+}
+
+module.exports = {
+  CACHE_ENABLED,
+  getCachedGeneration,
+  cacheGeneration,
+  getCachedEmbedding,
+  cacheEmbedding,
+  getCacheStats,
+  purgeCache
+};
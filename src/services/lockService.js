@@ -0,0 +1,56 @@
+require('dotenv').config();
+const { redis } = require('./redisService');
+
+// Distributed locks on plain Redis keys (lock:{name}). A lock holds its owner token and
+// expires after ttlMs, so a crashed holder cannot block others forever. Release and extend
+// only touch the key if it still holds the caller's token.
+const LOCK_KEY_PREFIX = 'lock:';
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+// Returns true if the lock was acquired for `token`
+async function acquireLock(name, token, ttlMs) {
+  const result = await redis.set(`${LOCK_KEY_PREFIX}${name}`, token, {
+    expiration: { type: 'PX', value: ttlMs },
+    condition: 'NX'
+  });
+  return result === 'OK';
+}
+
+async function releaseLock(name, token) {
+  const released = await redis.eval(RELEASE_SCRIPT, {
+    keys: [`${LOCK_KEY_PREFIX}${name}`],
+    arguments: [token]
+  });
+  return released === 1;
+}
+
+async function extendLock(name, token, ttlMs) {
+  const extended = await redis.eval(EXTEND_SCRIPT, {
+    keys: [`${LOCK_KEY_PREFIX}${name}`],
+    arguments: [token, String(ttlMs)]
+  });
+  return extended === 1;
+}
+
+// Current holder's token, or null if the lock is free
+async function getLockHolder(name) {
+  return await redis.get(`${LOCK_KEY_PREFIX}${name}`);
+}
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  extendLock,
+  getLockHolder
+};
@@ -0,0 +1,120 @@
+require('dotenv').config();
+const { redis, findNearestArticles, calculateCosineSimilarity } = require('./redisService');
+const { matchRange } = require('../utils/queryBuilder');
+
+// Embedding-based near-duplicate detection for ingestion. The same wire story syndicated by
+// several outlets gets different headlines (and so a different sha256 id), but near-identical
+// vectors. A new article whose vector is within NEAR_DUPLICATE_THRESHOLD cosine similarity of
+// an article published within NEAR_DUPLICATE_WINDOW_HOURS of it is either linked to that
+// canonical article as an alternate source (NEAR_DUPLICATE_ACTION=link, the default) or
+// dropped (skip). Set NEAR_DUPLICATE_ACTION=off to disable the check.
+const NEAR_DUPLICATE_ACTION = ['link', 'skip', 'off'].includes(process.env.NEAR_DUPLICATE_ACTION)
+  ? process.env.NEAR_DUPLICATE_ACTION
+  : 'link';
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.92;
+const NEAR_DUPLICATE_WINDOW_HOURS = parseInt(process.env.NEAR_DUPLICATE_WINDOW_HOURS) || 72;
+
+// Ids of articles already resolved as near-duplicates, so later runs skip them before
+// spending extraction and embedding calls. Expires with the comparison window.
+const DUPLICATE_KEY_PREFIX = 'ingestion_duplicate:';
+
+// Bounds of the comparison window around `publishedAt` (epoch ms), or null if it does not parse
+function getWindow(publishedAt) {
+  const publishedAtMs = new Date(publishedAt).getTime();
+  if (!Number.isFinite(publishedAtMs)) return null;
+
+  const windowMs = NEAR_DUPLICATE_WINDOW_HOURS * 60 * 60 * 1000;
+  return { from: publishedAtMs - windowMs, to: publishedAtMs + windowMs };
+}
+
+// Best match for `vector` among stored articles published within the window of `publishedAt`,
+// as { id, title, source, url, publishedAt, similarity }, or null. The window is part of the
+// KNN query, so older lookalikes cannot crowd the candidates out.
+async function findNearDuplicate(vector, publishedAt) {
+  if (NEAR_DUPLICATE_ACTION === 'off') return null;
+
+  const range = getWindow(publishedAt);
+  const clause = range ? matchRange('publishedAtTs', range.from, range.to) : '';
+  const [candidate] = await findNearestArticles(vector, 1, ['article_id', 'title', 'source', 'url', 'publishedAt'], clause);
+
+  if (!candidate || candidate.similarity < NEAR_DUPLICATE_THRESHOLD) return null;
+
+  return {
+    id: candidate.article_id,
+    title: candidate.title,
+    source: candidate.source,
+    url: candidate.url,
+    publishedAt: candidate.publishedAt,
+    similarity: candidate.similarity
+  };
+}
+
+// Same check against articles that are not stored yet (those accepted earlier in the same
+// ingestion batch), given as { id, title, source, url, publishedAt, vector }
+function findBatchDuplicate(vector, publishedAt, articles) {
+  if (NEAR_DUPLICATE_ACTION === 'off') return null;
+
+  const range = getWindow(publishedAt);
+  let best = null;
+
+  for (const article of articles) {
+    const publishedAtMs = new Date(article.publishedAt).getTime();
+    if (range && Number.isFinite(publishedAtMs) && (publishedAtMs < range.from || publishedAtMs > range.to)) continue;
+
+    const similarity = calculateCosineSimilarity(vector, article.vector);
+    if (similarity >= NEAR_DUPLICATE_THRESHOLD && (!best || similarity > best.similarity)) {
+      best = {
+        id: article.id,
+        title: article.title,
+        source: article.source,
+        url: article.url,
+        publishedAt: article.publishedAt,
+        similarity
+      };
+    }
+  }
+
+  return best;
+}
+
+// Handle a near-duplicate: remember it, and in link mode add it to the canonical article's
+// `alternateSources`. Returns true if it was linked.
+async function resolveNearDuplicate(articleId, article, canonical) {
+  await redis.set(`${DUPLICATE_KEY_PREFIX}${articleId}`, canonical.id, {
+    expiration: { type: 'EX', value: NEAR_DUPLICATE_WINDOW_HOURS * 60 * 60 }
+  });
+
+  if (NEAR_DUPLICATE_ACTION !== 'link') return false;
+
+  const key = `news:${canonical.id}`;
+  const alternate = {
+    id: articleId,
+    title: article.title,
+    source: article.source,
+    url: article.url,
+    publishedAt: article.publishedAt,
+    similarity: canonical.similarity,
+    linkedAt: new Date().toISOString()
+  };
+
+  // Older articles have no alternateSources array yet
+  await redis.json.set(key, '$.alternateSources', [], { condition: 'NX' });
+  await redis.json.arrAppend(key, '$.alternateSources', alternate);
+  await redis.json.set(key, '$.updated_at', new Date().toISOString());
+
+  return true;
+}
+
+// Id of the canonical article a previously seen near-duplicate was resolved to, or null
+async function getResolvedDuplicate(articleId) {
+  return await redis.get(`${DUPLICATE_KEY_PREFIX}${articleId}`);
+}
+
+module.exports = {
+  NEAR_DUPLICATE_ACTION,
+  NEAR_DUPLICATE_THRESHOLD,
+  findNearDuplicate,
+  findBatchDuplicate,
+  resolveNearDuplicate,
+  getResolvedDuplicate
+};
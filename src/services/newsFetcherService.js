@@ -1,19 +1,11 @@
 require('dotenv').config();
-const axios = require('axios');
+const { fetchFromSources } = require('./sources');
+const { getSourcesForTopic } = require('../config/newsSources');
 
-const NEWSAPI_URL = 'https://newsapi.org/v2/everything';
-const NEWSAPI_KEY = process.env.NEWSAPI_KEY;
-
-async function fetchNews(query = 'india', pageSize = 5) {
-  const params = {
-    q: query,
-    apiKey: NEWSAPI_KEY,
-    pageSize,
-    sortBy: 'publishedAt',
-    language: 'en'
-  };
-  const response = await axios.get(NEWSAPI_URL, { params });
-  return response.data.articles;
+// Fetch articles for a query from the sources configured for it (NewsAPI by default).
+// Pass `sources` to override the configuration, e.g. [{ type: 'rss', url: '...' }].
+async function fetchNews(query = 'india', pageSize = 5, sources = getSourcesForTopic(query)) {
+  return await fetchFromSources(sources, { query, pageSize });
 }
 
-module.exports = { fetchNews }; 
\ No newline at end of file
+module.exports = { fetchNews };
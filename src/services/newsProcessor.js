@@ -1,204 +1,485 @@
 require('dotenv').config();
 const cron = require('node-cron');
 const { fetchNews } = require('./newsFetcherService');
-const { summarizeAndAnalyze, generateEmbedding, startRateLimitReset, stopRateLimitReset } = require('./geminiService');
+const { summarizeAndAnalyze, generateEmbedding, getEmbeddingModelInfo } = require('./geminiService');
 const { storeArticle, articleExists, clearAllCacheExceptUser } = require('./redisService');
-const crypto = require('crypto');
+const { listTopics } = require('./topicService');
+const { EXTRACTION_ENABLED, fetchFullContent } = require('./articleExtractor');
+const { findNearDuplicate, findBatchDuplicate, resolveNearDuplicate, getResolvedDuplicate } = require('./nearDuplicateService');
+const { assignStory } = require('./storyService');
+const { recordArticleSuggestions, refreshSuggestions } = require('./suggestionService');
+const {
+  getArticleId,
+  enqueueArticles,
+  promoteDueRetries,
+  readBatch,
+  ackItem,
+  failItem
+} = require('./ingestionQueue');
+const { generateRunId, startRun, saveRun, recordTopicStat, finishRun } = require('./ingestionRunService');
+const { acquireLock, releaseLock, extendLock, getLockHolder } = require('./lockService');
 
 // Batch processing configuration
 const BATCH_SIZE = 5; // Process 5 articles at a time
 const BATCH_DELAY = 2000; // 2 seconds between batches
+const MAX_MODEL_INPUT_CHARS = 10000; // Article text sent for summarization and embedding
 
-async function processBatch(articles, batchIndex) {
-  console.log(`Processing batch ${batchIndex + 1}/${Math.ceil(articles.length / BATCH_SIZE)}`);
-  
-  const batch = articles.slice(batchIndex * BATCH_SIZE, (batchIndex + 1) * BATCH_SIZE);
-  const promises = batch.map(async (article, index) => {
-    try {
-      // Use a hash of title+publishedAt as unique ID
-      const id = crypto.createHash('sha256').update(article.title + article.publishedAt).digest('hex');
-      
-      if (await articleExists(id)) {
-        console.log(`Skipping duplicate: ${article.title}`);
-        return null;
-      }
+// Only one locked run at a time across all instances; the lock is refreshed while the run is alive
+const INGESTION_LOCK = 'ingestion';
+const LOCK_TTL_MS = parseInt(process.env.INGESTION_LOCK_TTL_MS) || 15 * 60 * 1000; // 15 minutes
 
-      console.log(`Processing article ${batchIndex * BATCH_SIZE + index + 1}: ${article.title.substring(0, 50)}...`);
-
-      // Process summary and embedding concurrently (using different API keys)
-      const [summaryResult, vector] = await Promise.all([
-        summarizeAndAnalyze(article.title, article.content || article.description || ''),
-        generateEmbedding(`${article.title} ${article.content || article.description || ''}`)
-      ]);
-
-      const { summary, sentiment, keywords } = summaryResult;
-
-      const newsObj = {
-        id,
-        title: article.title,
-        content: article.content,
-        summary,
-        sentiment,
-        keywords,
-        source: article.source,
-        publishedAt: article.publishedAt,
-        url: article.url,
-        urlToImage: article.urlToImage,
-        vector,
-        author: article.author || null,
-        description: article.description || null,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-
-      await storeArticle(newsObj);
-      console.log(`✓ Stored: ${article.title.substring(0, 50)}...`);
-      return newsObj;
-    } catch (error) {
-      console.error(`Error processing article "${article.title}":`, error);
-      return null;
+// Optional extraction stage: NewsAPI truncates `content`, so pull the full body from the
+// article page. Extraction problems fall back to the feed content instead of failing the item.
+async function extractFullContent(article) {
+  if (!EXTRACTION_ENABLED || !article.url) return null;
+
+  try {
+    const fullContent = await fetchFullContent(article.url);
+    if (fullContent && fullContent.length > (article.content || '').length) {
+      return fullContent;
     }
-  });
+  } catch (error) {
+    console.warn(`⚠ Full-text extraction failed for ${article.url}: ${error.message}`);
+  }
+  return null;
+}
 
-  const results = await Promise.all(promises);
-  return results.filter(result => result !== null);
+// Article text sent to the model for summarization and embedding
+function getModelInputText(article) {
+  return (article.fullContent || article.content || article.description || '').substring(0, MAX_MODEL_INPUT_CHARS);
 }
 
-async function processNews() {
-  console.log('Starting enhanced news processing...');
-  
-  // Start the rate limit reset interval
-  startRateLimitReset();
+// First half of processing one article: skip exact duplicates, then extract and embed it.
+// Resolves to null for duplicates, otherwise to { id, article, fullContent, text, vector,
+// embedding } for the near-duplicate check and analyzeArticle.
+async function prepareArticle(article) {
+  // Hash of title + publishedAt (or guid/url for undated items) as unique ID
+  const id = getArticleId(article);
   
-  // Expanded topics for better coverage
-  const topics = [
-    'India politics',
-    'Technology AI',
-    'World news',
-    'Sports cricket',
-    'Business economy',
-    'Entertainment Bollywood',
-    'Science research',
-    'Health medicine',
-    'Environment climate',
-    'Education policy'
-  ];
-  
-  const allArticles = [];
+  if (await articleExists(id) || await getResolvedDuplicate(id)) {
+    console.log(`Skipping duplicate: ${article.title}`);
+    return null;
+  }
+
+  const fullContent = await extractFullContent(article);
+  const text = getModelInputText({ ...article, fullContent });
+
+  // Embed first so near-duplicates are caught before spending a summary call on them
+  const vector = await generateEmbedding(`${article.title} ${text}`);
+
+  if (!Array.isArray(vector) || vector.length === 0) {
+    throw new Error('Embedding generation failed');
+  }
+  // A vector of another length would keep the article out of the search index entirely
+  const embedding = getEmbeddingModelInfo();
+  if (vector.length !== embedding.dimensions) {
+    throw new Error(`Embedding has ${vector.length} dimensions, expected ${embedding.dimensions} (check EMBEDDING_DIMENSIONS and the embedding model)`);
+  }
+
+  return { id, article, fullContent, text, vector, embedding };
+}
+
+async function skipNearDuplicate({ id, article }, canonical) {
+  const linked = await resolveNearDuplicate(id, article, canonical);
+  console.log(`Skipping near-duplicate (${canonical.similarity.toFixed(3)}) of ${canonical.id}${linked ? ', linked as alternate source' : ''}: ${article.title}`);
+}
+
+// Second half: summarize a prepared article that is not a near-duplicate. Resolves to the
+// article to store with storeNewArticle.
+async function analyzeArticle({ id, article, fullContent, text, vector, embedding }) {
+  // A failed request throws (the queue retries the item); a response that stays invalid after the
+  // repair prompts is stored as analysisStatus 'failed', hidden from public lists until the
+  // analysis backfill repairs it
+  const { summary, sentiment, keywords, analysisStatus, analysisErrors, analysis } = await summarizeAndAnalyze(article.title, text);
+  if (analysisStatus === 'failed') {
+    console.warn(`⚠ Analysis failed for "${article.title}": ${analysisErrors.join('; ')}`);
+  }
+
+  return {
+    id,
+    title: article.title,
+    content: article.content,
+    fullContent,
+    summary,
+    sentiment,
+    keywords,
+    analysisStatus,
+    analysisErrors: analysisErrors || [],
+    analysis,
+    source: article.source,
+    publishedAt: article.publishedAt,
+    url: article.url,
+    urlToImage: article.urlToImage,
+    vector,
+    embedding,
+    author: article.author || null,
+    description: article.description || null,
+    alternateSources: [],
+    storyId: null,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+}
+
+// Assign the article's story and store it. Story assignment reads the stories of the stored
+// neighbours, so articles are stored one at a time to see each other.
+async function storeNewArticle(newsObj) {
+  // Group with earlier coverage of the same event; a clustering error should not cost the article
+  try {
+    await assignStory(newsObj);
+  } catch (error) {
+    console.error(`Error assigning story for "${newsObj.title}":`, error.message);
+  }
+
+  await storeArticle(newsObj);
+  console.log(`✓ Stored: ${newsObj.title.substring(0, 50)}...`);
+
+  try {
+    await recordArticleSuggestions(newsObj);
+  } catch (error) {
+    console.error(`Error recording suggestions for "${newsObj.title}":`, error.message);
+  }
+
+  return newsObj;
+}
+
+// Summarize, embed and store one article. Returns null for duplicates (exact or near, see
+// nearDuplicateService) and throws on failure so the queue can retry it.
+async function processArticle(article) {
+  const prepared = await prepareArticle(article);
+  if (!prepared) return null;
+
+  const canonical = await findNearDuplicate(prepared.vector, article.publishedAt);
+  if (canonical) {
+    await skipNearDuplicate(prepared, canonical);
+    return null;
+  }
+
+  return await storeNewArticle(await analyzeArticle(prepared));
+}
+
+// Ack a processed queue entry, or hand it back to the queue when it failed. Resolves to the
+// stored article, or null.
+async function completeEntry({ streamId, item }, run, result, error) {
+  if (error) {
+    console.error(`Error processing article "${item.article.title}":`, error.message);
+    const failedItem = await failItem(streamId, item, error);
+    recordTopicStat(run, item.topicId, 'failed');
+    run.totals[failedItem.deadLetteredAt ? 'deadLettered' : 'retried']++;
+    return null;
+  }
+
+  await ackItem(streamId);
+  recordTopicStat(run, item.topicId, result ? 'stored' : 'duplicates');
+  return result;
+}
+
+// Process one batch of queue entries: ack successes, hand failures back to the queue.
+// Outcomes are counted against each item's topic in the run report. Extraction, embedding and
+// summaries run in parallel, but the near-duplicate check runs one item at a time: against
+// stored articles through the index, and against the items accepted earlier in this batch
+// (not stored yet) through their vectors. A near-duplicate of a batch item is linked once that
+// item is stored, or retried in a later run if storing it failed. Story assignment and storing
+// also run one item at a time, in batch order.
+async function processBatch(entries, batchIndex, run) {
+  console.log(`Processing batch ${batchIndex + 1} (${entries.length} items)`);
   
-  // Fetch news for each topic with improved error handling
-  for (const topic of topics) {
+  const states = entries.map(entry => ({ entry, prepared: null, result: null, error: null, duplicateOf: null }));
+
+  await Promise.all(states.map(async state => {
+    const { item } = state.entry;
     try {
-      console.log(`Fetching news for: ${topic}`);
-      const articles = await fetchNews(topic, 8); // 8 articles per topic
-      
-      if (articles && articles.length > 0) {
-        // Filter out articles with minimal content
-        const filteredArticles = articles.filter(article => 
-          article.title && 
-          article.title.length > 10 &&
-          (article.content || article.description) &&
-          (article.content || article.description).length > 50
-        );
-        
-        allArticles.push(...filteredArticles);
-        console.log(`✓ Fetched ${filteredArticles.length} quality articles for ${topic}`);
+      console.log(`Processing article (attempt ${item.attempts + 1}): ${item.article.title.substring(0, 50)}...`);
+      state.prepared = await prepareArticle(item.article);
+    } catch (error) {
+      state.error = error;
+    }
+  }));
+
+  const accepted = [];
+  for (const state of states.filter(state => state.prepared)) {
+    const { article, vector } = state.prepared;
+    try {
+      const canonical = await findNearDuplicate(vector, article.publishedAt) ||
+        findBatchDuplicate(vector, article.publishedAt, accepted.map(other => ({
+          id: other.prepared.id,
+          title: other.prepared.article.title,
+          source: other.prepared.article.source,
+          url: other.prepared.article.url,
+          publishedAt: other.prepared.article.publishedAt,
+          vector: other.prepared.vector
+        })));
+
+      if (!canonical) {
+        accepted.push(state);
+      } else if (accepted.some(other => other.prepared.id === canonical.id)) {
+        state.duplicateOf = canonical;
       } else {
-        console.log(`⚠ No articles found for ${topic}`);
+        await skipNearDuplicate(state.prepared, canonical);
       }
-      
-      // Small delay between topic fetches to be respectful to NewsAPI
-      await new Promise(resolve => setTimeout(resolve, 500));
     } catch (error) {
-      console.error(`Error fetching news for ${topic}:`, error.message);
+      state.error = error;
     }
   }
-  
-  console.log(`Total articles fetched: ${allArticles.length}`);
-  
-  if (allArticles.length === 0) {
-    console.log('No articles to process');
-    return;
-  }
 
-  // Remove duplicates based on title similarity
-  const uniqueArticles = [];
-  const seenTitles = new Set();
-  
-  for (const article of allArticles) {
-    const normalizedTitle = article.title.toLowerCase().replace(/[^\w\s]/g, '').trim();
-    if (!seenTitles.has(normalizedTitle)) {
-      seenTitles.add(normalizedTitle);
-      uniqueArticles.push(article);
+  const analyzed = await Promise.all(accepted.map(async state => {
+    try {
+      return await analyzeArticle(state.prepared);
+    } catch (error) {
+      state.error = error;
+      return null;
+    }
+  }));
+
+  for (const [index, state] of accepted.entries()) {
+    if (!analyzed[index]) continue;
+    try {
+      state.result = await storeNewArticle(analyzed[index]);
+    } catch (error) {
+      state.error = error;
     }
   }
-  
-  console.log(`Processing ${uniqueArticles.length} unique articles...`);
 
-  // Clear cache if we have more than 30 articles to process
-  if (uniqueArticles.length > 30) {
-    console.log(`📊 Found ${uniqueArticles.length} articles (more than 30). Clearing cache before processing...`);
+  for (const state of states.filter(state => state.duplicateOf)) {
+    const canonical = accepted.find(other => other.prepared.id === state.duplicateOf.id);
     try {
-      await clearAllCacheExceptUser();
-      console.log('✅ Cache cleared successfully. Proceeding with article processing...');
+      if (!canonical.result) {
+        throw new Error(`Near-duplicate of ${canonical.prepared.id}, which was not stored in this batch`);
+      }
+      await skipNearDuplicate(state.prepared, state.duplicateOf);
     } catch (error) {
-      console.error('❌ Error clearing cache:', error.message);
-      console.log('⚠️  Continuing with article processing despite cache clearing error...');
+      state.error = error;
     }
-  } else {
-    console.log(`📊 Found ${uniqueArticles.length} articles (30 or fewer). Skipping cache clearing.`);
   }
 
-  // Process articles in batches to manage rate limits
-  const totalBatches = Math.ceil(uniqueArticles.length / BATCH_SIZE);
+  const results = await Promise.all(states.map(state => completeEntry(state.entry, run, state.result, state.error)));
+  return results.filter(result => result !== null);
+}
+
+// Work through the queue until it is empty (items in backoff wait for a later run)
+async function drainQueue(run) {
+  await promoteDueRetries();
+  
+  let batchIndex = 0;
   let processedCount = 0;
   
-  for (let i = 0; i < totalBatches; i++) {
-    const batchResults = await processBatch(uniqueArticles, i);
+  while (true) {
+    const entries = await readBatch(BATCH_SIZE);
+    if (entries.length === 0) break;
+    
+    const batchResults = await processBatch(entries, batchIndex, run);
     processedCount += batchResults.length;
+    batchIndex++;
     
-    console.log(`Batch ${i + 1}/${totalBatches} completed. Processed: ${processedCount}/${uniqueArticles.length}`);
+    console.log(`Batch ${batchIndex} completed. Processed: ${processedCount}`);
+    await saveRun(run);
     
     // Add delay between batches to respect rate limits
-    if (i < totalBatches - 1) {
-      console.log(`Waiting ${BATCH_DELAY}ms before next batch...`);
-      await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
-    }
+    console.log(`Waiting ${BATCH_DELAY}ms before next batch...`);
+    await new Promise(resolve => setTimeout(resolve, BATCH_DELAY));
   }
   
-  console.log(`✅ News processing completed! Successfully processed ${processedCount} articles.`);
+  return processedCount;
+}
+
+// Fetch every enabled topic (or the `topicIds` subset), queue the articles and process the queue.
+// Progress is recorded as an ingestion run (see ingestionRunService); pass `run` to use one
+// created by the caller. Resolves to the finished run report.
+async function processNews(options = {}) {
+  const { topicIds = null, trigger = 'manual' } = options;
+  const run = options.run || await startRun({ trigger, topicIds });
+  console.log(`Starting enhanced news processing (run ${run.id})...`);
   
-  // Stop the rate limit reset interval after processing is complete
-  stopRateLimitReset();
+  try {
+    // Topics come from the admin-managed registry (see topicService)
+    let topics = await listTopics({ enabledOnly: true });
+    if (topicIds && topicIds.length > 0) {
+      topics = topics.filter(topic => topicIds.includes(topic.id));
+    }
+    
+    const allArticles = [];
+    
+    // Fetch news for each topic with improved error handling
+    for (const topic of topics) {
+      try {
+        console.log(`Fetching news for: ${topic.query}`);
+        const sources = topic.sources && topic.sources.length > 0 ? topic.sources : undefined;
+        const articles = await fetchNews(topic.query, topic.pageSize, sources);
+        recordTopicStat(run, topic.id, 'fetched', articles ? articles.length : 0);
+        
+        if (articles && articles.length > 0) {
+          // Filter out articles with minimal content
+          const filteredArticles = articles.filter(article => 
+            article.title && 
+            article.title.length > 10 &&
+            (article.content || article.description) &&
+            (article.content || article.description).length > 50
+          );
+          recordTopicStat(run, topic.id, 'filtered', articles.length - filteredArticles.length);
+          
+          allArticles.push(...filteredArticles.map(article => ({ ...article, topicId: topic.id })));
+          console.log(`✓ Fetched ${filteredArticles.length} quality articles for ${topic.query}`);
+        } else {
+          console.log(`⚠ No articles found for ${topic.query}`);
+        }
+        
+        // Small delay between topic fetches to be respectful to NewsAPI
+        await new Promise(resolve => setTimeout(resolve, 500));
+      } catch (error) {
+        console.error(`Error fetching news for ${topic.query}:`, error.message);
+        recordTopicStat(run, topic.id, 'fetched', 0);
+        run.topics[topic.id].fetchError = error.message;
+      }
+    }
+    
+    console.log(`Total articles fetched: ${allArticles.length}`);
+    
+    if (allArticles.length === 0) {
+      console.log('No new articles to process, checking queued retries...');
+    }
+
+    // Remove duplicates based on title similarity
+    const uniqueArticles = [];
+    const seenTitles = new Set();
+    
+    for (const article of allArticles) {
+      const normalizedTitle = article.title.toLowerCase().replace(/[^\w\s]/g, '').trim();
+      if (!seenTitles.has(normalizedTitle)) {
+        seenTitles.add(normalizedTitle);
+        uniqueArticles.push(article);
+      } else {
+        recordTopicStat(run, article.topicId, 'duplicates');
+      }
+    }
+    
+    console.log(`Processing ${uniqueArticles.length} unique articles...`);
+
+    // Clear cache if we have more than 30 articles to process
+    if (uniqueArticles.length > 30) {
+      console.log(`📊 Found ${uniqueArticles.length} articles (more than 30). Clearing cache before processing...`);
+      try {
+        await clearAllCacheExceptUser();
+        console.log('✅ Cache cleared successfully. Proceeding with article processing...');
+      } catch (error) {
+        console.error('❌ Error clearing cache:', error.message);
+        console.log('⚠️  Continuing with article processing despite cache clearing error...');
+      }
+    } else {
+      console.log(`📊 Found ${uniqueArticles.length} articles (30 or fewer). Skipping cache clearing.`);
+    }
+
+    // Queue the articles, then process everything due (including earlier retries) in batches
+    run.totals.queued = await enqueueArticles(uniqueArticles, { runId: run.id });
+    await saveRun(run);
+    const processedCount = await drainQueue(run);
+
+    // Decay suggestion scores to a common time so new and old terms rank fairly
+    try {
+      await refreshSuggestions();
+    } catch (error) {
+      console.error('Error refreshing search suggestions:', error.message);
+    }
+    
+    console.log(`✅ News processing completed! Successfully processed ${processedCount} articles.`);
+    return await finishRun(run);
+  } catch (error) {
+    console.error(`News processing run ${run.id} failed:`, error);
+    await finishRun(run, error);
+    throw error;
+  }
 }
 
-// Enhanced cron scheduling options
-function startNewsProcessor(intervalMinutes = 15) {
-  const cronExpression = `*/${intervalMinutes} * * * *`;
-  console.log(`Scheduling news processor to run every ${intervalMinutes} minutes`);
+// Start processNews under the distributed ingestion lock. Every trigger goes through it (HTTP,
+// cron, startup and the CLI script), so runs never overlap. Resolves once the run is recorded to { run, done }, where `done` settles when processing
+// ends, or to { run: null, activeRunId } if another run holds the lock.
+async function startLockedRun({ topicIds = null, trigger = 'http' } = {}) {
+  const runId = generateRunId();
+  
+  if (!(await acquireLock(INGESTION_LOCK, runId, LOCK_TTL_MS))) {
+    return { run: null, activeRunId: await getLockHolder(INGESTION_LOCK) };
+  }
+  
+  let run;
+  try {
+    run = await startRun({ id: runId, trigger, topicIds });
+  } catch (error) {
+    await releaseLock(INGESTION_LOCK, runId);
+    throw error;
+  }
+  
+  const heartbeat = setInterval(() => {
+    extendLock(INGESTION_LOCK, runId, LOCK_TTL_MS).catch(error => {
+      console.error(`Error extending ingestion lock for run ${runId}:`, error.message);
+    });
+  }, LOCK_TTL_MS / 3);
   
-  cron.schedule(cronExpression, async () => {
-    console.log(`\n=== Starting scheduled news processing at ${new Date().toISOString()} ===`);
+  const done = processNews({ topicIds, trigger, run }).finally(async () => {
+    clearInterval(heartbeat);
     try {
-      await processNews();
+      await releaseLock(INGESTION_LOCK, runId);
     } catch (error) {
-      console.error('Error in scheduled news processing:', error);
+      console.error(`Error releasing ingestion lock for run ${runId}:`, error.message);
     }
-    console.log(`=== Finished scheduled news processing at ${new Date().toISOString()} ===\n`);
   });
+  
+  return { run, done };
+}
+
+// startLockedRun, waiting for the run to finish. Resolves to the finished run report, or to
+// null when another run holds the lock (the run is skipped).
+async function runLocked(options) {
+  const { run, done, activeRunId } = await startLockedRun(options);
+  if (!run) {
+    console.log(`Skipping ${options.trigger} run: run ${activeRunId} holds the ingestion lock`);
+    return null;
+  }
+  return await done;
+}
+
+// Enhanced cron scheduling options
+// With an explicit interval every enabled topic runs on it; otherwise each topic's own
+// `schedule` from the registry is used (read once, at start).
+async function startNewsProcessor(intervalMinutes = null) {
+  const schedules = new Map();
+  
+  if (intervalMinutes) {
+    schedules.set(`*/${intervalMinutes} * * * *`, null);
+    console.log(`Scheduling news processor to run every ${intervalMinutes} minutes`);
+  } else {
+    const topics = await listTopics({ enabledOnly: true });
+    for (const topic of topics) {
+      const ids = schedules.get(topic.schedule) || [];
+      ids.push(topic.id);
+      schedules.set(topic.schedule, ids);
+    }
+  }
+  
+  for (const [cronExpression, topicIds] of schedules) {
+    if (topicIds) {
+      console.log(`Scheduling news processor (${cronExpression}) for topics: ${topicIds.join(', ')}`);
+    }
+    
+    cron.schedule(cronExpression, async () => {
+      console.log(`\n=== Starting scheduled news processing at ${new Date().toISOString()} ===`);
+      try {
+        await runLocked({ topicIds, trigger: 'cron' });
+      } catch (error) {
+        console.error('Error in scheduled news processing:', error);
+      }
+      console.log(`=== Finished scheduled news processing at ${new Date().toISOString()} ===\n`);
+    });
+  }
 }
 
 // Run once at startup
 async function runOnce(exitAfterCompletion = false) {
   console.log('\n=== Running news processor once at startup ===');
   try {
-    await processNews();
+    await runLocked({ trigger: 'startup' });
   } catch (error) {
     console.error('Error in startup news processing:', error);
   }
   console.log('=== Startup news processing completed ===\n');
-  // exit the process
-  stopRateLimitReset();
   
   if (exitAfterCompletion) {
     console.log('Exiting process as requested...');
@@ -212,11 +493,15 @@ async function runOnce(exitAfterCompletion = false) {
 // Uncomment the line below to run once and exit after completion
 // runOnce(true);
 
-// Uncomment the line below to start scheduled processing (every 15 minutes)
-// startNewsProcessor(15);
+// Uncomment the line below to start scheduled processing (each topic on its own schedule)
+// startNewsProcessor();
 
 module.exports = {
   processNews,
+  processArticle,
+  getModelInputText,
+  startLockedRun,
+  runLocked,
   startNewsProcessor,
   runOnce
 };
\ No newline at end of file
@@ -1,9 +1,28 @@
 require('dotenv').config();
 const { createClient } = require('redis');
 const { generateEmbedding } = require('./geminiService'); 
+const { getEmbeddingDimensions } = require('./llm');
+const { hasDateRange } = require('../utils/dateRange');
+const { matchText, matchTags, matchRange, and, or, not, toQuery, knnQuery } = require('../utils/queryBuilder');
 const redis = createClient({ url: process.env.REDIS_URL });
 redis.connect();
 
+// Epoch ms of a date string, or null if it does not parse
+function toEpochMs(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+}
+
+// Numeric copies of the article dates, indexed as NUMERIC SORTABLE for sorting and range
+// filters. An article without a usable publishedAt counts as published when it was stored.
+function getArticleTimestamps(article) {
+  const createdAtTs = toEpochMs(article.created_at) || Date.now();
+  return {
+    publishedAtTs: toEpochMs(article.publishedAt) || createdAtTs,
+    createdAtTs
+  };
+}
+
 async function storeArticle(article) {
   const key = `news:${article.id}`;
   
@@ -13,96 +32,363 @@ async function storeArticle(article) {
     created_at: article.created_at || new Date().toISOString(),
     updated_at: new Date().toISOString()
   };
+  Object.assign(articleWithTimestamp, getArticleTimestamps(articleWithTimestamp));
   
   await redis.json.set(key, '$', articleWithTimestamp);
 }
 
+// Add publishedAtTs/createdAtTs to articles stored before they existed. Resolves to the number
+// of updated articles.
+async function backfillArticleTimestamps() {
+  let updated = 0;
+
+  for await (const keys of redis.scanIterator({ MATCH: 'news:*', TYPE: 'ReJSON-RL', COUNT: 200 })) {
+    if (keys.length === 0) continue;
+
+    const [stamps, published, created] = await Promise.all([
+      redis.json.mGet(keys, '$.publishedAtTs'),
+      redis.json.mGet(keys, '$.publishedAt'),
+      redis.json.mGet(keys, '$.created_at')
+    ]);
+
+    const pipeline = redis.multi();
+    let queued = 0;
+    keys.forEach((key, index) => {
+      // null: the article was deleted meanwhile; a non-empty match: already has the field
+      if (!stamps[index] || stamps[index].length > 0) return;
+
+      const timestamps = getArticleTimestamps({
+        publishedAt: published[index][0],
+        created_at: created[index][0]
+      });
+      pipeline.json.set(key, '$.publishedAtTs', timestamps.publishedAtTs);
+      pipeline.json.set(key, '$.createdAtTs', timestamps.createdAtTs);
+      queued++;
+    });
+
+    if (queued > 0) {
+      await pipeline.exec();
+      updated += queued;
+    }
+  }
+
+  if (updated > 0) {
+    console.log(`Added numeric dates to ${updated} stored articles`);
+  }
+  return updated;
+}
+
+// RediSearch clause limiting publishedAtTs to `dateRange` ({ from, to } in epoch ms, either
+// null for open-ended), or '' without a range
+function dateRangeClause(dateRange) {
+  if (!hasDateRange(dateRange)) return '';
+  return matchRange('publishedAtTs', dateRange.from, dateRange.to);
+}
+
+const ARTICLE_TEXT_FIELDS = ['title', 'description', 'content', 'summary'];
+// Most articles sharing one publish time that are loaded to order them across a page boundary
+const MAX_TIED_ARTICLES = 1000;
+// Most recent matches ranked by sort=views/trending
+const SORT_CANDIDATES = parseInt(process.env.SORT_CANDIDATES) || 1000;
+
+// Articles whose analysis failed (no summary or sentiment) stay out of public lists and searches
+// until the analysis backfill repairs them
+const PUBLIC_ARTICLES_CLAUSE = not(matchTags('analysisStatus', 'failed'));
+
+// Articles whose text contains every word of `text`, or tagged with it as a keyword
+function articleTextClause(text) {
+  return or(matchText(ARTICLE_TEXT_FIELDS, text), matchTags('keywords', text));
+}
+
+function isInDateRange(article, dateRange) {
+  if (!hasDateRange(dateRange)) return true;
+  const { publishedAtTs } = getArticleTimestamps(article);
+  return (dateRange.from === null || publishedAtTs >= dateRange.from) &&
+    (dateRange.to === null || publishedAtTs <= dateRange.to);
+}
+
+// Place of an article in date order, as kept by keyset cursors: { publishedAtTs, id }
+function getArticlePosition(article) {
+  const publishedAtTs = Number.isFinite(article.publishedAtTs)
+    ? article.publishedAtTs
+    : getArticleTimestamps(article).publishedAtTs;
+  return { publishedAtTs, id: String(article.id) };
+}
+
+// Newest first, with articles published at the same time ordered by id (descending)
+function compareNewestFirst(a, b) {
+  const positionA = getArticlePosition(a);
+  const positionB = getArticlePosition(b);
+  if (positionA.publishedAtTs !== positionB.publishedAtTs) {
+    return positionB.publishedAtTs - positionA.publishedAtTs;
+  }
+  return positionA.id < positionB.id ? 1 : positionA.id > positionB.id ? -1 : 0;
+}
+
+// The date orders (sort=newest/oldest); oldest is the exact reverse of newest
+const DATE_ORDERS = {
+  newest: { direction: 'DESC', compare: compareNewestFirst },
+  oldest: { direction: 'ASC', compare: (a, b) => compareNewestFirst(b, a) }
+};
+
+// Whether the article comes after the cursor position in the date order
+function isAfterCursor(article, cursor, order = DATE_ORDERS.newest) {
+  return order.compare(cursor, article) < 0;
+}
+
+// Clause for the articles published after `publishedAtTs` in the date order (before it with
+// { before: true })
+function publishedAtClause(order, publishedAtTs, { before = false } = {}) {
+  return (order.direction === 'DESC') !== before
+    ? matchRange('publishedAtTs', null, publishedAtTs - 1)
+    : matchRange('publishedAtTs', publishedAtTs + 1, null);
+}
+
+// Articles matching `clause` that were published at exactly `publishedAtTs`
+async function getArticlesPublishedAt(clause, publishedAtTs) {
+  const results = await redis.ft.search('idx:news', toQuery(and(clause, matchRange('publishedAtTs', publishedAtTs, publishedAtTs))), {
+    LIMIT: { from: 0, size: MAX_TIED_ARTICLES }
+  });
+  return results.documents.map(doc => doc.value);
+}
+
+// Articles matching `clause` in the date order from `offset`, and how many match.
+// RediSearch sorts by publishedAtTs only and returns articles with equal timestamps in no
+// particular order, so when a group of them straddles the page boundary the whole group is loaded
+// and cut in id order; otherwise consecutive pages could repeat or skip some of them.
+async function getDateOrderedPage(clause, limit, offset, order) {
+  // One article either side of the page shows whether a boundary splits a group
+  const from = Math.max(0, offset - 1);
+  const results = await redis.ft.search('idx:news', toQuery(clause), {
+    SORTBY: { BY: 'publishedAtTs', DIRECTION: order.direction },
+    LIMIT: { from, size: limit + 1 + (offset - from) }
+  });
+  const total = results.total || 0;
+  const fetched = results.documents.map(doc => doc.value);
+  const page = fetched.slice(offset - from, offset - from + limit);
+  if (page.length === 0) return { articles: page, total };
+
+  const timestampOf = article => getArticlePosition(article).publishedAtTs;
+  const before = offset > from ? fetched[0] : null;
+  const after = fetched[offset - from + limit] || null;
+  const splitGroups = new Set();
+  if (before && timestampOf(before) === timestampOf(page[0])) splitGroups.add(timestampOf(page[0]));
+  if (after && timestampOf(after) === timestampOf(page[page.length - 1])) splitGroups.add(timestampOf(page[page.length - 1]));
+
+  let articles = page;
+  for (const publishedAtTs of splitGroups) {
+    const [group, earlier] = await Promise.all([
+      getArticlesPublishedAt(clause, publishedAtTs),
+      redis.ft.search('idx:news', toQuery(and(clause, publishedAtClause(order, publishedAtTs, { before: true }))), {
+        LIMIT: { from: 0, size: 0 }
+      })
+    ]);
+    // The group holds positions earlier.total onwards; keep the ones on this page
+    const groupStart = earlier.total || 0;
+    const sliceStart = Math.max(offset, groupStart) - groupStart;
+    const sliceEnd = Math.min(offset + limit, groupStart + group.length) - groupStart;
+    articles = [
+      ...articles.filter(article => timestampOf(article) !== publishedAtTs),
+      ...group.sort(order.compare).slice(sliceStart, sliceEnd)
+    ];
+  }
+
+  return { articles: articles.sort(order.compare), total };
+}
+
+// A page of the articles matching `clause` in date order (sort=newest/oldest), by offset or after
+// a keyset `cursor` (the position of the last article of the previous page). Articles stored
+// since the previous page don't shift a cursor page. Resolves to
+// { articles, totalCount, hasMore, last }, where `last` is the position of the page's last article.
+async function searchByDate(clause, { limit, offset = 0, cursor = null }, sort = 'newest') {
+  const order = DATE_ORDERS[sort];
+  let articles;
+  let totalCount;
+  let hasMore;
+
+  if (!cursor) {
+    const page = await getDateOrderedPage(clause, limit, offset, order);
+    articles = page.articles;
+    totalCount = page.total;
+    hasMore = offset + articles.length < totalCount;
+  } else {
+    // Articles published at the cursor's time that follow it, then the later ones in the order
+    const [countResults, tiedArticles] = await Promise.all([
+      redis.ft.search('idx:news', toQuery(clause), {
+        LIMIT: { from: 0, size: 0 } // Only get count
+      }),
+      getArticlesPublishedAt(clause, cursor.publishedAtTs)
+    ]);
+    const tied = tiedArticles.filter(article => isAfterCursor(article, cursor, order)).sort(order.compare);
+    const following = await getDateOrderedPage(
+      and(clause, publishedAtClause(order, cursor.publishedAtTs)),
+      Math.max(0, limit - tied.length),
+      0,
+      order
+    );
+
+    articles = [...tied, ...following.articles].slice(0, limit);
+    totalCount = countResults.total || 0;
+    hasMore = tied.length + following.total > articles.length;
+  }
+
+  return {
+    articles,
+    totalCount,
+    hasMore,
+    last: articles.length > 0 ? getArticlePosition(articles[articles.length - 1]) : null
+  };
+}
+
+// A page of the articles matching `clause` by search score (sort=relevance)
+async function searchByRelevance(clause, { limit, offset = 0 }) {
+  const results = await redis.ft.search('idx:news', toQuery(clause), {
+    LIMIT: { from: offset, size: limit }
+  });
+  const totalCount = results.total || 0;
+  const articles = results.documents.map(doc => doc.value);
+  return { articles, totalCount, hasMore: offset + articles.length < totalCount, last: null };
+}
+
+function getDateKey(time) {
+  return new Date(time).toISOString().split('T')[0];
+}
+
+// `articles` (objects with an id) sorted by total views (sort=views) or by today's then
+// yesterday's views (sort=trending), each with its counts added ({ views } or
+// { todayViews, yesterdayViews }). Articles with equal counts keep their order. The counts are
+// read in one round trip (MGET, or one pipeline of HGETs).
+async function rankByPopularity(articles, sort) {
+  if (articles.length === 0) return [];
+
+  let ranked;
+  if (sort === 'views') {
+    const counts = await redis.mGet(articles.map(article => `article_views:${article.id}`));
+    ranked = articles.map((article, index) => ({ ...article, views: parseInt(counts[index]) || 0 }));
+  } else {
+    const today = getDateKey(Date.now());
+    const yesterday = getDateKey(Date.now() - 86400000);
+
+    const pipeline = redis.multi();
+    articles.forEach(article => {
+      pipeline.hGet(`article_daily_views:${article.id}:${today}`, 'views');
+      pipeline.hGet(`article_daily_views:${article.id}:${yesterday}`, 'views');
+    });
+    const counts = await pipeline.exec();
+
+    ranked = articles.map((article, index) => ({
+      ...article,
+      todayViews: parseInt(counts[index * 2]) || 0,
+      yesterdayViews: parseInt(counts[index * 2 + 1]) || 0
+    }));
+  }
+
+  return ranked.sort((a, b) => sort === 'views'
+    ? b.views - a.views
+    : b.todayViews - a.todayViews || b.yesterdayViews - a.yesterdayViews);
+}
+
+// A page of the articles matching `clause` ranked by popularity (sort=views/trending). Only the
+// SORT_CANDIDATES most recent matches are ranked; articles with equal counts stay newest first.
+async function searchByPopularity(clause, { limit, offset = 0 }, sort) {
+  const results = await redis.ft.search('idx:news', toQuery(clause), {
+    SORTBY: { BY: 'publishedAtTs', DIRECTION: 'DESC' },
+    RETURN: ['article_id'],
+    LIMIT: { from: 0, size: SORT_CANDIDATES }
+  });
+  const candidates = results.documents.map(doc => ({ id: doc.value.article_id || doc.id.substring('news:'.length) }));
+  const ranked = await rankByPopularity(candidates, sort);
+
+  const page = ranked.slice(offset, offset + limit);
+  const documents = page.length > 0 ? await redis.json.mGet(page.map(entry => `news:${entry.id}`), '$') : [];
+  const articles = [];
+  page.forEach((entry, index) => {
+    const article = documents[index] && documents[index][0];
+    if (article) {
+      articles.push({ ...article, ...entry });
+    }
+  });
+
+  return { articles, totalCount: ranked.length, hasMore: offset + page.length < ranked.length, last: null };
+}
+
+// A page of the articles matching `clause` in the `sort` order (see src/utils/sort.js).
+// Resolves to { articles, totalCount, hasMore, last }; `last` is only set for the date orders.
+async function searchSorted(clause, pagination, sort = 'newest') {
+  const publicClause = and(clause, PUBLIC_ARTICLES_CLAUSE);
+  if (sort === 'relevance') {
+    return await searchByRelevance(publicClause, pagination);
+  }
+  if (sort === 'views' || sort === 'trending') {
+    return await searchByPopularity(publicClause, pagination, sort);
+  }
+  return await searchByDate(publicClause, pagination, sort);
+}
+
 async function articleExists(id) {
   const key = `news:${id}`;
   const exists = await redis.exists(key);
   return exists === 1;
 }
 
-// Enhanced RedisSearch index with better similarity features
-async function createSearchIndex() {
-  try {
-    // Check if index already exists
-    // const indexExists = await redis.ft.info('idx:news').catch(() => false);
-    // if (indexExists) {
-    //   console.log('Search index already exists');
-    //   return;
-    // }
-
-    // Drop existing index if it exists (in case of schema changes)
-    try {
-      await redis.ft.dropIndex('idx:news');
-      console.log('Dropped existing index to recreate with new schema');
-    } catch (e) {
-      // Index doesn't exist, that's fine
+const SEARCH_INDEX = 'idx:news';
+const SEARCH_INDEX_OPTIONS = { ON: 'JSON', PREFIX: 'news:' };
+
+// Fields of the article search index (created and versioned by searchIndexManager). The vector dimension must match the embeddings
+// (the active embedding model's length); articles whose vector has another length are not indexed at all.
+// Dates are sorted and filtered on the numeric publishedAtTs/createdAtTs (epoch ms); the text
+// fields are kept so queries can still RETURN the ISO strings.
+// `vectorPath` is only changed by vector migrations, which index re-embedded vectors from a
+// staging field until they replace `$.vector`.
+function getSearchIndexSchema(dimensions = getEmbeddingDimensions(), vectorPath = '$.vector') {
+  return {
+    '$.title': { 
+      type: 'TEXT', 
+      AS: 'title'
+    },
+    '$.description': { 
+      type: 'TEXT', 
+      AS: 'description'
+    },
+    '$.content': { 
+      type: 'TEXT', 
+      AS: 'content'
+    },
+    '$.summary': { 
+      type: 'TEXT', 
+      AS: 'summary'
+    },
+    '$.sentiment': { type: 'TAG', AS: 'sentiment' },
+    '$.analysisStatus': { type: 'TAG', AS: 'analysisStatus' },
+    '$.keywords': { type: 'TAG', AS: 'keywords' },
+    '$.source.name': { type: 'TAG', AS: 'source' },
+    '$.publishedAt': { type: 'TEXT', AS: 'publishedAt' },
+    '$.created_at': { type: 'TEXT', AS: 'created_at' },
+    '$.publishedAtTs': { type: 'NUMERIC', AS: 'publishedAtTs', SORTABLE: true },
+    '$.createdAtTs': { type: 'NUMERIC', AS: 'createdAtTs', SORTABLE: true },
+    '$.category': { type: 'TAG', AS: 'category' },
+    '$.id': { type: 'TAG', AS: 'article_id' },
+    '$.storyId': { type: 'TAG', AS: 'storyId' },
+    '$.urlToImage': { type: 'TEXT', AS: 'urlToImage' },
+    '$.url': { type: 'TEXT', AS: 'url' },
+    [vectorPath]: { 
+      type: 'VECTOR', 
+      AS: 'vector', 
+      ALGORITHM: 'FLAT', 
+      TYPE: 'FLOAT32',
+      DIM: dimensions, 
+      DISTANCE_METRIC: 'COSINE' 
     }
+  };
+}
 
-    // // Get actual embedding dimension from a sample article
-    // let embeddingDimension = 3072; // Default
-    // try {
-    //   const sampleKey = await redis.keys('news:*').then(keys => keys[0]);
-    //   if (sampleKey) {
-    //     const sampleArticle = await redis.json.get(sampleKey);
-    //     if (sampleArticle && sampleArticle.vector) {
-    //       embeddingDimension = sampleArticle.vector.length;
-    //       console.log(`Detected embedding dimension: ${embeddingDimension}`);
-    //     }
-    //   }
-    // } catch (e) {
-    //   console.log('Could not detect embedding dimension, using default:', embeddingDimension);
-    // }
-
-    console.log('Creating enhanced RedisSearch index...');
-    await redis.ft.create('idx:news', {
-      '$.title': { 
-        type: 'TEXT', 
-        AS: 'title'
-      },
-      '$.description': { 
-        type: 'TEXT', 
-        AS: 'description'
-      },
-      '$.content': { 
-        type: 'TEXT', 
-        AS: 'content'
-      },
-      '$.summary': { 
-        type: 'TEXT', 
-        AS: 'summary'
-      },
-      '$.sentiment': { type: 'TAG', AS: 'sentiment' },
-      '$.keywords': { type: 'TAG', AS: 'keywords' },
-      '$.source.name': { type: 'TAG', AS: 'source' },
-      '$.publishedAt': { type: 'TEXT', AS: 'publishedAt' },
-      '$.created_at': { type: 'TEXT', AS: 'created_at' },
-      '$.category': { type: 'TAG', AS: 'category' },
-      '$.id': { type: 'TAG', AS: 'article_id' },
-      '$.urlToImage': { type: 'TEXT', AS: 'urlToImage' },
-      '$.url': { type: 'TEXT', AS: 'url' },
-      '$.vector': { 
-        type: 'VECTOR', 
-        AS: 'vector', 
-        ALGORITHM: 'FLAT', 
-        TYPE: 'FLOAT32',
-        DIM: 3072, 
-        DISTANCE_METRIC: 'COSINE' 
-      }
-    }, { 
-      ON: 'JSON', 
-      PREFIX: 'news:'
-    });
-    
-    console.log('Enhanced search index created successfully');
-  } catch (error) {
-    if (error.message.includes('Index already exists')) {
-      console.log('Search index already exists');
-    } else {
-      console.error('Error creating search index:', error);
-    }
+// Name of the index `idx:news` resolves to (itself, or the index it is an alias of), or null
+async function getSearchIndexTarget() {
+  try {
+    const info = await redis.ft.info(SEARCH_INDEX);
+    return info.index_name.toString();
+  } catch (e) {
+    return null;
   }
 }
 
@@ -119,31 +405,14 @@ async function vectorSearchSimilarNews(searchText, limit = 10, threshold = 0.7,
 
     console.log(`Generated embedding with dimension: ${searchVector.length}`);
 
-    // Build the vector similarity query
-    let baseQuery = `*=>[KNN ${limit * 2} @vector $BLOB AS vector_score]`;
-    const queryFilters = [];
-
-    // Add filters if provided
-    if (filters.category) {
-      queryFilters.push(`@category:{${filters.category}}`);
-    }
-    if (filters.source) {
-      queryFilters.push(`@source:{${filters.source}}`);
-    }
-    if (filters.sentiment) {
-      queryFilters.push(`@sentiment:{${filters.sentiment}}`);
-    }
-
-    // Exclude specific article ID if provided
-    if (excludeId) {
-      queryFilters.push(`-@article_id:{${excludeId}}`);
-    }
-
-    // Combine filters with base query
-    let finalQuery = baseQuery;
-    if (queryFilters.length > 0) {
-      finalQuery = `(${queryFilters.join(' ')})=>[KNN ${limit * 2} @vector $BLOB AS vector_score]`;
-    }
+    // Build the vector similarity query, pre-filtered by the given filters and excluded article
+    const finalQuery = knnQuery(and(
+      matchTags('category', filters.category),
+      matchTags('source', filters.source),
+      matchTags('sentiment', filters.sentiment),
+      not(matchTags('article_id', excludeId)),
+      PUBLIC_ARTICLES_CLAUSE
+    ), limit * 2);
 
     // Prepare the vector search parameters
     const vectorQuery = Buffer.from(new Float32Array(searchVector).buffer);
@@ -214,6 +483,31 @@ async function vectorSearchSimilarNews(searchText, limit = 10, threshold = 0.7,
   }
 }
 
+// Nearest stored articles to a vector, closest first, optionally pre-filtered by `clause` (see
+// queryBuilder). `similarity` is 1 - cosine distance.
+async function findNearestArticles(vector, count = 5, fields = ['article_id', 'title', 'publishedAt'], clause = '') {
+  const results = await redis.ft.search('idx:news', knnQuery(clause, count), {
+    PARAMS: {
+      BLOB: Buffer.from(new Float32Array(vector).buffer)
+    },
+    SORTBY: {
+      BY: 'vector_score',
+      DIRECTION: 'ASC'
+    },
+    RETURN: [...fields, 'vector_score'],
+    LIMIT: {
+      from: 0,
+      size: count
+    },
+    DIALECT: 2
+  });
+
+  return (results.documents || []).map(doc => ({
+    ...doc.value,
+    similarity: 1 - parseFloat(doc.value.vector_score || 1)
+  }));
+}
+
 async function storeUserPreferences(userId, preferences) {
   const key = `user:${userId}:preferences`;
   await redis.json.set(key, '$', {
@@ -1028,44 +1322,13 @@ async function clearPersonalizedCache(userId = null, options = {}) {
 }
 
 // Search articles by topic using RedisSearch (with pagination)
-async function searchArticlesByTopic(topic, limit = 10, offset = 0) {
+async function searchArticlesByTopic(topic, limit = 10, offset = 0, dateRange = null, cursor = null, sort = 'newest') {
   try {
-    // Build proper search query for multiple fields
-    const searchQuery = [
-      `@title:${topic}`,
-      `@description:${topic}`,
-      `@content:${topic}`,
-      `@summary:${topic}`,
-      `@keywords:${topic}`
-    ].join(' | ');
-    
-    const query = `(${searchQuery})`;
-    
-    // Get total count first
-    const countResults = await redis.ft.search(
-      'idx:news',
-      query,
-      { 
-        LIMIT: { from: 0, size: 0 } // Only get count
-      }
+    return await searchSorted(
+      and(articleTextClause(topic), dateRangeClause(dateRange)),
+      { limit, offset, cursor },
+      sort
     );
-    
-    const totalCount = countResults.total || 0;
-    
-    // Get paginated results
-    const results = await redis.ft.search(
-      'idx:news',
-      query,
-      { 
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' }, 
-        LIMIT: { from: offset, size: limit }
-      }
-    );
-    
-    return {
-      articles: results.documents.map(doc => doc.value),
-      totalCount
-    };
   } catch (error) {
     console.error('Error searching articles:', error);
     return { articles: [], totalCount: 0 };
@@ -1075,33 +1338,13 @@ async function searchArticlesByTopic(topic, limit = 10, offset = 0) {
 
 
 // Search articles by sentiment (with pagination)
-async function searchArticlesBySentiment(sentiment, limit = 10, offset = 0) {
+async function searchArticlesBySentiment(sentiment, limit = 10, offset = 0, dateRange = null, cursor = null, sort = 'newest') {
   try {
-    // Get total count first
-    const countResults = await redis.ft.search(
-      'idx:news',
-      `@sentiment:{${sentiment}}`,
-      { 
-        LIMIT: { from: 0, size: 0 } // Only get count
-      }
+    return await searchSorted(
+      and(matchTags('sentiment', sentiment), dateRangeClause(dateRange)),
+      { limit, offset, cursor },
+      sort
     );
-    
-    const totalCount = countResults.total || 0;
-    
-    // Get paginated results
-    const results = await redis.ft.search(
-      'idx:news',
-      `@sentiment:{${sentiment}}`,
-      { 
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' }, 
-        LIMIT: { from: offset, size: limit } 
-      }
-    );
-    
-    return {
-      articles: results.documents.map(doc => doc.value),
-      totalCount
-    };
   } catch (error) {
     console.error('Error searching articles by sentiment:', error);
     return { articles: [], totalCount: 0 };
@@ -1517,20 +1760,18 @@ async function advancedTextSimilarity(targetArticle, limit) {
 
     if (searchTerms.length === 0) return [];
 
-    // Build simpler query that works with Redis node client
-    const queryParts = searchTerms.map(term => {
-      // Escape special characters and use simpler syntax
-      const escapedTerm = term.replace(/[^\w\s]/g, '');
-      return `@title|summary|description|keywords:(${escapedTerm})`;
-    });
-
-    const query = `(${queryParts.join(' | ')}) -@article_id:{${targetArticle.id}}`;
+    // Any of the terms in the text, or as a keyword
+    const query = toQuery(and(
+      or(matchText(['title', 'summary', 'description'], searchTerms.join(' '), { any: true }), matchTags('keywords', searchTerms)),
+      not(matchTags('article_id', targetArticle.id)),
+      PUBLIC_ARTICLES_CLAUSE
+    ));
 
     const results = await redis.ft.search(
       'idx:news',
       query,
       {
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' },
+        SORTBY: { BY: 'publishedAtTs', DIRECTION: 'DESC' },
         LIMIT: { from: 0, size: limit }
       }
     );
@@ -1555,19 +1796,19 @@ async function semanticSimilarity(targetArticle, limit) {
     if (semanticTerms.length === 0) return [];
 
     // Use simpler FT.SEARCH instead of FT.AGGREGATE for better compatibility
-    const escapedTerms = semanticTerms.map(term => 
-      term.replace(/[^\w\s]/g, '').split(' ').join(' ')
-    ).filter(term => term.length > 0);
-
-    if (escapedTerms.length === 0) return [];
+    const termQuery = or(
+      matchText(['title', 'summary', 'description'], semanticTerms.join(' '), { any: true }),
+      matchTags('keywords', semanticTerms)
+    );
+    if (!termQuery) return [];
 
-    const query = `(@title|summary|description|keywords:(${escapedTerms.join(' | ')})) -@article_id:{${targetArticle.id}}`;
+    const query = toQuery(and(termQuery, not(matchTags('article_id', targetArticle.id)), PUBLIC_ARTICLES_CLAUSE));
 
     const results = await redis.ft.search(
       'idx:news',
       query,
       {
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' },
+        SORTBY: { BY: 'publishedAtTs', DIRECTION: 'DESC' },
         LIMIT: { from: 0, size: limit }
       }
     );
@@ -1586,30 +1827,18 @@ async function semanticSimilarity(targetArticle, limit) {
 // Category-based similarity with sentiment weighting
 async function categoryBasedSimilarity(targetArticle, limit) {
   try {
-    let query = '*';
-    const filters = [];
-
-    // Same sentiment gets higher score
-    if (targetArticle.sentiment) {
-      filters.push(`@sentiment:{${targetArticle.sentiment}}`);
-    }
-
-    // Same source gets moderate score
-    if (targetArticle.source?.name) {
-      filters.push(`@source:{${targetArticle.source.name}}`);
-    }
-
-    if (filters.length > 0) {
-      query = filters.join(' | ');
-    }
-
-    query += ` -@article_id:{${targetArticle.id}}`;
+    // Same sentiment gets higher score, same source a moderate one
+    const query = toQuery(and(
+      or(matchTags('sentiment', targetArticle.sentiment), matchTags('source', targetArticle.source?.name)),
+      not(matchTags('article_id', targetArticle.id)),
+      PUBLIC_ARTICLES_CLAUSE
+    ));
 
     const results = await redis.ft.search(
       'idx:news',
       query,
       {
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' },
+        SORTBY: { BY: 'publishedAtTs', DIRECTION: 'DESC' },
         LIMIT: { from: 0, size: limit },
         SCORER: 'DISMAX'
       }
@@ -1633,36 +1862,28 @@ async function temporalSimilarity(targetArticle, limit) {
     const daysBefore = 7;
     const daysAfter = 7;
     
-    // Create date range strings in a simpler format
     const startDate = new Date(targetDate.getTime() - daysBefore * 24 * 60 * 60 * 1000);
     const endDate = new Date(targetDate.getTime() + daysAfter * 24 * 60 * 60 * 1000);
 
-    // Use a simpler approach - search all and filter by date
+    const query = and(
+      dateRangeClause({ from: startDate.getTime(), to: endDate.getTime() }),
+      not(matchTags('article_id', targetArticle.id)),
+      PUBLIC_ARTICLES_CLAUSE
+    );
     const results = await redis.ft.search(
       'idx:news',
-      `* -@article_id:{${targetArticle.id}}`,
+      toQuery(query),
       {
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' },
-        LIMIT: { from: 0, size: limit } // Get more to filter
+        SORTBY: { BY: 'publishedAtTs', DIRECTION: 'DESC' },
+        LIMIT: { from: 0, size: limit }
       }
     );
 
-    // Filter by date range and calculate temporal score
-    const filteredResults = results.documents
-      .map(doc => {
-        const articleDate = new Date(doc.value.publishedAt);
-        const isInRange = articleDate >= startDate && articleDate <= endDate;
-        return {
-          ...doc.value,
-          similarity_score: isInRange ? calculateTemporalScore(targetDate, articleDate) : 0,
-          similarity_type: 'temporal',
-          inRange: isInRange
-        };
-      })
-      .filter(article => article.inRange)
-      .slice(0, limit);
-
-    return filteredResults;
+    return results.documents.map(doc => ({
+      ...doc.value,
+      similarity_score: calculateTemporalScore(targetDate, new Date(doc.value.publishedAt)),
+      similarity_type: 'temporal'
+    }));
   } catch (error) {
     console.error('Error in temporal similarity:', error);
     return [];
@@ -1834,14 +2055,16 @@ async function fallbackSimilarSearch(articleId, limit = 6, offset = 0) {
     const keywords = extractEnhancedKeywords(targetArticle.title + ' ' + (targetArticle.summary || ''));
     
     if (keywords.length > 0) {
-      const query = keywords.slice(0, 5).map(keyword => 
-        `@title|summary:(${keyword}~1)`
-      ).join(' | ');
+      const query = toQuery(and(
+        matchText(['title', 'summary'], keywords.slice(0, 5).join(' '), { any: true }),
+        not(matchTags('article_id', articleId)),
+        PUBLIC_ARTICLES_CLAUSE
+      ));
       
       // Get total count
       const countResults = await redis.ft.search(
         'idx:news',
-        `(${query}) -@article_id:{${articleId}}`,
+        query,
         { 
           LIMIT: { from: 0, size: 0 }
         }
@@ -1852,7 +2075,7 @@ async function fallbackSimilarSearch(articleId, limit = 6, offset = 0) {
       // Get paginated results
       const results = await redis.ft.search(
         'idx:news',
-        `(${query}) -@article_id:{${articleId}}`,
+        query,
         { 
           SORTBY: { BY: '__score', DIRECTION: 'DESC' }, 
           LIMIT: { from: offset, size: limit },
@@ -1874,51 +2097,34 @@ async function fallbackSimilarSearch(articleId, limit = 6, offset = 0) {
 }
 
 // Get all articles (optimized with Redis SCAN and pagination)
-async function getAllArticles(limit = 10, offset = 0) {
-  // Check cache first
-  const cacheKey = `all_articles:${limit}:${offset}`;
+async function getAllArticles(limit = 10, offset = 0, dateRange = null, cursor = null, sort = 'newest') {
+  // Check cache first (newest first only). Date-ranged pages are not cached: `since` moves with
+  // every request. Neither are cursor pages, each of which starts after a different article.
+  const cacheKey = hasDateRange(dateRange) || cursor || sort !== 'newest' ? null : `all_articles:${limit}:${offset}`;
   try {
-    const cached = await redis.get(cacheKey);
+    const cached = cacheKey && await redis.get(cacheKey);
     if (cached) {
       console.log("cached");
       return JSON.parse(cached);
     }
 
     // If not in cache, fetch from Redis search
-    const countResults = await redis.ft.search(
-      'idx:news',
-      '*',
-      {
-        LIMIT: { from: 0, size: 0 } // Only get count
-      }
-    );
-    
-    const totalCount = countResults.total || 0;
-    
-    // Use FT.SEARCH with pagination for better performance
-    const results = await redis.ft.search(
-      'idx:news',
-      '*',
-      {
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' },
-        LIMIT: { from: offset, size: limit }
-      }
-    );
-    
-    const response = {
-      articles: results.documents.map(doc => doc.value),
-      totalCount
-    };
+    const response = await searchSorted(dateRangeClause(dateRange), { limit, offset, cursor }, sort);
 
     // Cache the results for 5 minutes
-    await redis.set(cacheKey, JSON.stringify(response), 'EX', 300);
-    await redis.expire(cacheKey, 300);
+    if (cacheKey) {
+      await redis.set(cacheKey, JSON.stringify(response), 'EX', 300);
+      await redis.expire(cacheKey, 300);
+    }
     return response;
 
   } catch (error) {
     console.error('Error getting all articles:', error);
     
-    // Fallback to original method with pagination
+    // Fallback to original method with pagination (newest first, without cursors)
+    if (cursor || sort !== 'newest') {
+      return { articles: [], totalCount: 0, hasMore: false, last: null };
+    }
     try {
       const keys = await redis.keys('news:*');
       const totalCount = keys.length;
@@ -1940,7 +2146,7 @@ async function getAllArticles(limit = 10, offset = 0) {
       const results = await pipeline.exec();
       
       results.forEach((result, index) => {
-        if (result[1]) {
+        if (result[1] && result[1].analysisStatus !== 'failed' && isInDateRange(result[1], dateRange)) {
           articles.push(result[1]);
         }
       });
@@ -1951,7 +2157,9 @@ async function getAllArticles(limit = 10, offset = 0) {
       const response = { articles, totalCount };
 
       // Cache fallback results for 5 minutes
-      await redis.set(cacheKey, JSON.stringify(response), 'EX', 300);
+      if (cacheKey) {
+        await redis.set(cacheKey, JSON.stringify(response), 'EX', 300);
+      }
 
       return response;
     } catch (fallbackError) {
@@ -1995,61 +2203,15 @@ async function getAllSources() {
 }
 
 // Search news with custom query (with pagination)
-async function searchNewsWithQuery(query, sentiment, source, limit = 10, offset = 0) {
+async function searchNewsWithQuery(query, sentiment, source, limit = 10, offset = 0, dateRange = null, cursor = null, sort = 'newest') {
   try {
-    // Build query parts for regular search
-    const queryParts = [];
-    
-    if (query) {
-      // Search in multiple fields with OR logic
-      const searchQuery = [
-        `@title:${query}`,
-        `@description:${query}`,
-        `@content:${query}`,
-        `@summary:${query}`,
-        `@keywords:${query}`,
-      ].join(' | ');
-      queryParts.push(`(${searchQuery})`);
-    }
-    
-    if (sentiment) {
-      queryParts.push(`@sentiment:{${sentiment}}`);
-    }
-    
-    if (source) {
-      queryParts.push(`@source:{${source}}`);
-    }
-    
-    // Combine all query parts with AND logic
-    const finalQuery = queryParts.join(' ');
-    
-    // Get total count first
-    const countResults = await redis.ft.search(
-      'idx:news',
-      finalQuery,
-      { 
-        LIMIT: { from: 0, size: 0 } // Only get count
-      }
-    );
-    
-    const totalCount = countResults.total || 0;
-    
-    // Get paginated results
-    const results = await redis.ft.search(
-      'idx:news',
-      finalQuery,
-      { 
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' }, 
-        LIMIT: { from: offset, size: limit } 
-      }
-    );
-
-    const articles = results.documents.map(doc => doc.value);
-    
-    return {
-      articles,
-      totalCount
-    };
+    // Text in any of the article fields, AND the filters that are set
+    return await searchSorted(and(
+      articleTextClause(query),
+      matchTags('sentiment', sentiment),
+      matchTags('source', source),
+      dateRangeClause(dateRange)
+    ), { limit, offset, cursor }, sort);
   } catch (error) {
     console.error('Error searching news with query:', error);
     return { articles: [], totalCount: 0 };
@@ -2057,38 +2219,23 @@ async function searchNewsWithQuery(query, sentiment, source, limit = 10, offset
 }
 
 // Search news with topic intersection
-async function searchNewsWithTopicIntersection(query, sentiment, source, topic, limit = 10, offset = 0) {
+async function searchNewsWithTopicIntersection(query, sentiment, source, topic, limit = 10, offset = 0, dateRange = null, cursor = null, sort = 'newest') {
   try {
     // Build search query (excluding topic)
-    const queryParts = [];
-    
-    if (query) {
-      const searchQuery = [
-        `@title:${query}`,
-        `@description:${query}`,
-        `@content:${query}`,
-        `@summary:${query}`,
-        `@keywords:${query}`,
-      ].join(' | ');
-      queryParts.push(`(${searchQuery})`);
-    }
-    
-    if (sentiment) {
-      queryParts.push(`@sentiment:{${sentiment}}`);
-    }
-    
-    if (source) {
-      queryParts.push(`@source:{${source}}`);
-    }
-    
-    const searchQuery = queryParts.length > 0 ? queryParts.join(' ') : '*';
-    
-    // Get all search results (we need all for intersection)
+    const searchQuery = toQuery(and(
+      articleTextClause(query),
+      matchTags('sentiment', sentiment),
+      matchTags('source', source),
+      dateRangeClause(dateRange),
+      PUBLIC_ARTICLES_CLAUSE
+    ));
+    
+    // Get all search results (we need all for intersection), by score for sort=relevance
     const searchResults = await redis.ft.search(
       'idx:news',
       searchQuery,
       { 
-        SORTBY: { BY: 'publishedAt', DIRECTION: 'DESC' },
+        ...(sort === 'relevance' ? {} : { SORTBY: { BY: 'publishedAtTs', DIRECTION: sort === 'oldest' ? 'ASC' : 'DESC' } }),
         LIMIT: { from: 0, size: 1000 } // Get more results for better intersection
       }
     );
@@ -2108,19 +2255,29 @@ async function searchNewsWithTopicIntersection(query, sentiment, source, topic,
       }
     }
     
-    // Convert back to full articles and sort by publishedAt
-    const intersectionArticles = searchResults.documents
+    // Convert back to full articles in the sort order (search order for relevance)
+    let intersectionArticles = searchResults.documents
       .map(doc => doc.value)
-      .filter(article => intersectionIds.has(article.id))
-      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+      .filter(article => intersectionIds.has(article.id));
+    if (sort === 'views' || sort === 'trending') {
+      intersectionArticles = await rankByPopularity(intersectionArticles.sort(compareNewestFirst), sort);
+    } else if (DATE_ORDERS[sort]) {
+      intersectionArticles.sort(DATE_ORDERS[sort].compare);
+    }
     
     // Apply pagination to intersection results
+    const dateOrder = DATE_ORDERS[sort];
     const totalCount = intersectionArticles.length;
-    const paginatedArticles = intersectionArticles.slice(offset, offset + limit);
+    const remaining = cursor && dateOrder
+      ? intersectionArticles.filter(article => isAfterCursor(article, cursor, dateOrder))
+      : intersectionArticles.slice(offset);
+    const paginatedArticles = remaining.slice(0, limit);
     
     return {
       articles: paginatedArticles,
-      totalCount
+      totalCount,
+      hasMore: remaining.length > paginatedArticles.length,
+      last: dateOrder && paginatedArticles.length > 0 ? getArticlePosition(paginatedArticles[paginatedArticles.length - 1]) : null
     };
   } catch (error) {
     console.error('Error in search with topic intersection:', error);
@@ -2131,30 +2288,30 @@ async function searchNewsWithTopicIntersection(query, sentiment, source, topic,
 // Comprehensive search function that handles all search scenarios
 async function searchNews(filters, pagination) {
   try {
-    const { q, sentiment, source, topic } = filters;
-    const { page, limit, offset } = pagination;
+    const { q, sentiment, source, topic, dateRange = null } = filters;
+    const { limit, offset, cursor = null, sort = 'newest' } = pagination;
     
-    // Handle different filter combinations
+    // Handle different filter combinations (the date range applies to all of them)
     const hasSearchFilters = q || sentiment || source;
     const hasTopic = topic;
     
     // Case 1: Only topic is present - use topic search
     if (hasTopic && !hasSearchFilters) {
-      return await searchArticlesByTopic(topic, limit, offset);
+      return await searchArticlesByTopic(topic, limit, offset, dateRange, cursor, sort);
     }
     
     // Case 2: Both topic and search filters are present - use intersection approach
     if (hasTopic && hasSearchFilters) {
-      return await searchNewsWithTopicIntersection(q, sentiment, source, topic, limit, offset);
+      return await searchNewsWithTopicIntersection(q, sentiment, source, topic, limit, offset, dateRange, cursor, sort);
     }
     
     // Case 3: Only search filters are present (no topic) - use regular search
     if (hasSearchFilters && !hasTopic) {
-      return await searchNewsWithQuery(q, sentiment, source, limit, offset);
+      return await searchNewsWithQuery(q, sentiment, source, limit, offset, dateRange, cursor, sort);
     }
     
     // Case 4: No filters provided - return all articles
-    return await getAllArticles(limit, offset);
+    return await getAllArticles(limit, offset, dateRange, cursor, sort);
   } catch (error) {
     console.error('Error in comprehensive search:', error);
     return { articles: [], totalCount: 0 };
@@ -2384,7 +2541,7 @@ async function getTrendingArticles(limit = 10) {
       
       if (todayViews > 0) {
         const article = await redis.json.get(key);
-        if (article) {
+        if (article && article.analysisStatus !== 'failed') {
           trendingArticles.push({
             ...article,
             todayViews,
@@ -2411,12 +2568,22 @@ module.exports = {
   searchArticlesByTopic,
   searchArticlesBySentiment,
   getAllArticles,
-  createSearchIndex,
+  getSearchIndexSchema,
+  getSearchIndexTarget,
+  ARTICLE_TEXT_FIELDS,
+  PUBLIC_ARTICLES_CLAUSE,
+  articleTextClause,
+  dateRangeClause,
+  SEARCH_INDEX,
+  SEARCH_INDEX_OPTIONS,
   findSimilarArticles,
   getSimilarArticleCacheStats,
   clearSimilarArticleCache,
   storeArticle,
+  backfillArticleTimestamps,
   articleExists,
+  findNearestArticles,
+  calculateCosineSimilarity,
   // Add these new exports
   storeUserPreferences,
   getUserPreferences,
@@ -0,0 +1,256 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const {
+  redis,
+  getSearchIndexSchema,
+  getSearchIndexTarget,
+  backfillArticleTimestamps,
+  SEARCH_INDEX,
+  SEARCH_INDEX_OPTIONS
+} = require('./redisService');
+const { getEmbeddingDimensions } = require('./llm');
+const { acquireLock, releaseLock, extendLock } = require('./lockService');
+
+// Search index lifecycle. Queries use the idx:news alias, which points at a versioned index
+// (idx:news_<schema hash>_<timestamp>). The state document (search_index_state) records the
+// live index and the hash of the schema it was built with. On startup the desired schema's hash
+// is compared with it: the live index is kept when they match, otherwise a new index is built
+// next to it and idx:news switches over with FT.ALIASUPDATE once it has caught up. Dropping an
+// index never deletes the documents. Rebuilds (and vector migrations) hold the search_index lock.
+// The vector dimension is the exception: stored vectors keep the live index's length until
+// vectorMigrationService re-embeds them, so startup keeps that length and leaves switching to
+// the new one to the migration.
+const STATE_KEY = 'search_index_state';
+const INDEX_LOCK = 'search_index';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+const INDEXING_POLL_MS = 1000;
+const INDEXING_TIMEOUT_MS = 10 * 60 * 1000;
+const EMPTY_STATE = { indexName: null, schemaHash: null, dimensions: null, switchedAt: null, previousIndex: null, build: null };
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getSchemaHash(schema = getSearchIndexSchema()) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ schema, options: SEARCH_INDEX_OPTIONS }))
+    .digest('hex')
+    .substring(0, 12);
+}
+
+async function getState() {
+  return await redis.json.get(STATE_KEY);
+}
+
+// Run `callback` holding the search_index lock. Resolves to its result, or to null without
+// running it when another instance holds the lock.
+async function withIndexLock(callback) {
+  const token = `index_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  if (!(await acquireLock(INDEX_LOCK, token, LOCK_TTL_MS))) {
+    return null;
+  }
+
+  const heartbeat = setInterval(() => {
+    extendLock(INDEX_LOCK, token, LOCK_TTL_MS).catch(error => {
+      console.error('Error extending search index lock:', error.message);
+    });
+  }, LOCK_TTL_MS / 3);
+
+  try {
+    return await callback();
+  } finally {
+    clearInterval(heartbeat);
+    await releaseLock(INDEX_LOCK, token);
+  }
+}
+
+// Drop versioned indexes left behind by interrupted builds (documents are kept)
+async function dropStaleIndexes(keep) {
+  const indexes = await redis.ft._list();
+  for (const name of indexes.map(String)) {
+    if (name.startsWith(`${SEARCH_INDEX}_`) && !keep.includes(name)) {
+      await redis.ft.dropIndex(name).catch(() => {});
+      console.log(`Dropped stale search index ${name}`);
+    }
+  }
+}
+
+function getSchemaDimensions(schema) {
+  const field = Object.values(schema).find(definition => definition.type === 'VECTOR');
+  return field ? field.DIM : null;
+}
+
+// Vector length of the live index: recorded in the state document, or read from FT.INFO for
+// indexes switched in before it was recorded. Null if unknown.
+async function getLiveDimensions(target, state) {
+  if (state && state.indexName === target && state.dimensions) {
+    return state.dimensions;
+  }
+
+  try {
+    const info = await redis.ft.info(target);
+    const vector = (info.attributes || []).find(attribute => String(attribute.attribute) === 'vector');
+    const key = vector && Object.keys(vector).find(name => name.toLowerCase() === 'dim');
+    return key ? Number(vector[key]) || null : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Create a new versioned index for `schema`. Resolves to { indexName, schemaHash, dimensions }.
+async function createVersionedIndex(schema = getSearchIndexSchema()) {
+  const schemaHash = getSchemaHash(schema);
+  const indexName = `${SEARCH_INDEX}_${schemaHash}_${Date.now()}`;
+
+  await redis.ft.create(indexName, schema, SEARCH_INDEX_OPTIONS);
+  await redis.json.set(STATE_KEY, '$', EMPTY_STATE, { condition: 'NX' });
+  await redis.json.set(STATE_KEY, '$.build', { indexName, schemaHash, startedAt: new Date().toISOString() });
+  console.log(`Created search index ${indexName}`);
+
+  return { indexName, schemaHash, dimensions: getSchemaDimensions(schema) };
+}
+
+// Resolves once `indexName` has indexed every existing document
+async function waitForIndexing(indexName) {
+  const deadline = Date.now() + INDEXING_TIMEOUT_MS;
+
+  while (true) {
+    const info = await redis.ft.info(indexName);
+    if (Number(info.indexing) === 0) {
+      return info;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Index ${indexName} is still indexing after ${INDEXING_TIMEOUT_MS / 1000}s`);
+    }
+    await delay(INDEXING_POLL_MS);
+  }
+}
+
+// Point idx:news at `indexName`, drop the index it pointed at before and record the new state
+async function switchSearchIndex(indexName, schemaHash, dimensions = null) {
+  const previousIndex = await getSearchIndexTarget();
+
+  if (previousIndex === SEARCH_INDEX) {
+    // A plain index named idx:news (created before the alias existed) blocks the alias; search
+    // is unavailable only between these two commands, once
+    await redis.ft.dropIndex(SEARCH_INDEX);
+    await redis.ft.aliasAdd(SEARCH_INDEX, indexName);
+  } else if (previousIndex) {
+    await redis.ft.aliasUpdate(SEARCH_INDEX, indexName);
+    if (previousIndex !== indexName) {
+      await redis.ft.dropIndex(previousIndex);
+    }
+  } else {
+    await redis.ft.aliasAdd(SEARCH_INDEX, indexName);
+  }
+
+  await redis.json.set(STATE_KEY, '$', {
+    indexName,
+    schemaHash,
+    dimensions,
+    switchedAt: new Date().toISOString(),
+    previousIndex,
+    build: null
+  });
+  console.log(`Search index ${SEARCH_INDEX} now points at ${indexName}${previousIndex ? ` (was ${previousIndex})` : ''}`);
+}
+
+// Build a new index for `schema` and switch to it. The live index keeps serving until the new
+// one has caught up; with no live index the alias is added right away. Derived fields that
+// older articles lack are filled in first so the new index covers them.
+async function rebuildSearchIndex(schema = getSearchIndexSchema()) {
+  const previousIndex = await getSearchIndexTarget();
+  await dropStaleIndexes([previousIndex]);
+  await backfillArticleTimestamps();
+
+  const { indexName, schemaHash, dimensions } = await createVersionedIndex(schema);
+  try {
+    if (previousIndex) {
+      await waitForIndexing(indexName);
+    }
+    await switchSearchIndex(indexName, schemaHash, dimensions);
+  } catch (error) {
+    await redis.ft.dropIndex(indexName).catch(() => {});
+    await redis.json.set(STATE_KEY, '$.build', null);
+    throw error;
+  }
+  return indexName;
+}
+
+// Startup check: keep the live index if its schema is current, otherwise rebuild it. A changed
+// vector dimension alone keeps the live index: an index of the new length would leave out every
+// article until `npm run vectors:migrate` has re-embedded them. Other changes are rebuilt with
+// the live length.
+async function ensureSearchIndex() {
+  try {
+    const [target, state] = await Promise.all([getSearchIndexTarget(), getState()]);
+    const desiredDimensions = getEmbeddingDimensions();
+    const liveDimensions = target ? await getLiveDimensions(target, state) : null;
+    const schema = getSearchIndexSchema(liveDimensions || desiredDimensions);
+    const schemaHash = getSchemaHash(schema);
+
+    if (liveDimensions && liveDimensions !== desiredDimensions) {
+      console.warn(`Search index ${SEARCH_INDEX} holds ${liveDimensions}-dimension vectors but the embedding model returns ${desiredDimensions}; run npm run vectors:migrate to switch`);
+    }
+
+    if (target && target !== SEARCH_INDEX && state && state.indexName === target && state.schemaHash === schemaHash) {
+      console.log(`Search index ${SEARCH_INDEX} -> ${target} is up to date`);
+      return;
+    }
+
+    console.log(target
+      ? `Search index ${SEARCH_INDEX} -> ${target} does not match schema ${schemaHash}, rebuilding...`
+      : `Search index ${SEARCH_INDEX} does not exist, creating it...`);
+
+    const rebuilt = await withIndexLock(() => rebuildSearchIndex(schema));
+    if (rebuilt === null) {
+      console.log('Another instance is rebuilding the search index');
+    }
+  } catch (error) {
+    console.error('Error ensuring search index:', error);
+  }
+}
+
+// Live index, schema hashes and indexing progress for the health endpoint
+async function getSearchIndexStatus() {
+  const desiredSchemaHash = getSchemaHash();
+  const [target, state] = await Promise.all([getSearchIndexTarget(), getState()]);
+
+  const status = {
+    alias: SEARCH_INDEX,
+    indexName: target,
+    schemaHash: state && state.indexName === target ? state.schemaHash : null,
+    desiredSchemaHash,
+    dimensions: target ? await getLiveDimensions(target, state) : null,
+    desiredDimensions: getEmbeddingDimensions(),
+    upToDate: false,
+    numDocs: null,
+    indexing: false,
+    percentIndexed: null,
+    indexingFailures: null,
+    switchedAt: state && state.indexName === target ? state.switchedAt : null,
+    build: state && state.build ? state.build : null
+  };
+  status.upToDate = status.schemaHash === desiredSchemaHash;
+
+  if (target) {
+    const info = await redis.ft.info(SEARCH_INDEX);
+    status.numDocs = Number(info.num_docs);
+    status.indexing = Number(info.indexing) !== 0;
+    status.percentIndexed = info.percent_indexed !== undefined ? Number(info.percent_indexed) : null;
+    status.indexingFailures = Number(info.hash_indexing_failures);
+  }
+
+  return status;
+}
+
+module.exports = {
+  getSchemaHash,
+  withIndexLock,
+  createVersionedIndex,
+  waitForIndexing,
+  switchSearchIndex,
+  ensureSearchIndex,
+  getSearchIndexStatus
+};
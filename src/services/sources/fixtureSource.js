@@ -0,0 +1,65 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { normalizeArticle } = require('./normalize');
+const { parseFeed } = require('./rssSource');
+const { mapJsonFeed } = require('./jsonFeedSource');
+
+const FEED_EXTENSIONS = new Set(['.xml', '.rss', '.atom']);
+
+// Fixture sources read local directories, so they only work in development and test
+function isEnabled() {
+  return ['development', 'test'].includes(process.env.NODE_ENV);
+}
+
+// A fixture .json file may be a NewsAPI response, a bare article array or a JSON Feed
+function parseJsonFixture(data, config) {
+  if (Array.isArray(data)) {
+    return data.map(article => normalizeArticle(article, { sourceName: config.name }));
+  }
+  if (Array.isArray(data.articles)) {
+    return data.articles.map(article => normalizeArticle(article, { sourceName: config.name }));
+  }
+  return mapJsonFeed(data, config);
+}
+
+function matchesQuery(article, query) {
+  const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const text = `${article.title} ${article.description || ''} ${article.content || ''}`.toLowerCase();
+  return words.some(word => text.includes(word));
+}
+
+// Local directory of saved NewsAPI/JSON/RSS/Atom files - useful offline and when quotas run out
+async function fetchArticles(config = {}, { query, pageSize }) {
+  if (!isEnabled()) {
+    throw new Error('Fixture sources are only available with NODE_ENV=development or test');
+  }
+  if (!config.dir) {
+    throw new Error('Fixture source requires a dir');
+  }
+
+  const dir = path.resolve(process.cwd(), config.dir);
+  const files = (await fs.readdir(dir)).sort();
+  const articles = [];
+
+  for (const file of files) {
+    const ext = path.extname(file).toLowerCase();
+    const fullPath = path.join(dir, file);
+
+    if (ext === '.json') {
+      const data = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+      articles.push(...parseJsonFixture(data, config));
+    } else if (FEED_EXTENSIONS.has(ext)) {
+      articles.push(...parseFeed(await fs.readFile(fullPath, 'utf8'), config));
+    }
+  }
+
+  const matching = config.filterByQuery === false
+    ? articles
+    : articles.filter(article => matchesQuery(article, query));
+
+  return matching.slice(0, pageSize);
+}
+
+module.exports = { fetchArticles, isEnabled };
@@ -0,0 +1,77 @@
+const newsApiSource = require('./newsApiSource');
+const rssSource = require('./rssSource');
+const jsonFeedSource = require('./jsonFeedSource');
+const fixtureSource = require('./fixtureSource');
+const { checkSourceUrl } = require('./sourceUrl');
+
+// Source adapters by config "type". Each exposes fetchArticles(config, { query, pageSize })
+// and resolves to articles in the normalized shape (see ./normalize.js).
+const adapters = {
+  newsapi: newsApiSource,
+  rss: rssSource,
+  atom: rssSource,
+  json: jsonFeedSource,
+  fixture: fixtureSource
+};
+
+function getAdapter(type) {
+  const adapter = adapters[type];
+  if (!adapter) {
+    throw new Error(`Unknown news source type: ${type}`);
+  }
+  return adapter;
+}
+
+// Problems with a source config given through the topic API ([] when it is usable)
+function validateSource(config) {
+  if (!config || typeof config !== 'object' || !adapters[config.type]) {
+    return [`each source needs a type of: ${Object.keys(adapters).join(', ')}`];
+  }
+  if (config.type === 'fixture') {
+    return fixtureSource.isEnabled() ? [] : ['fixture sources are only available in development and test'];
+  }
+  if (config.url === undefined) {
+    return config.type === 'newsapi' ? [] : [`${config.type} sources need a url`];
+  }
+
+  const problem = typeof config.url === 'string' ? checkSourceUrl(config.url) : 'must be a string';
+  return problem ? [`source url ${problem}`] : [];
+}
+
+function describeSource(config) {
+  return config.name || config.url || config.dir || config.type;
+}
+
+// Fetch from every configured source and merge the results. A failing source is logged and
+// skipped so one exhausted quota doesn't stop the others; only if all sources fail do we throw.
+async function fetchFromSources(sources, { query, pageSize }) {
+  const results = await Promise.allSettled(
+    // An unknown type throws from getAdapter; inside the async callback it fails only that source
+    sources.map(async config => getAdapter(config.type).fetchArticles(config, { query, pageSize }))
+  );
+
+  const articles = [];
+  const errors = [];
+
+  results.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      articles.push(...result.value);
+    } else {
+      console.error(`Source "${describeSource(sources[index])}" failed for "${query}":`, result.reason.message);
+      errors.push(result.reason);
+    }
+  });
+
+  if (articles.length === 0 && errors.length > 0 && errors.length === sources.length) {
+    throw errors[0];
+  }
+
+  return articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+}
+
+module.exports = {
+  adapters,
+  getAdapter,
+  validateSource,
+  fetchFromSources
+};
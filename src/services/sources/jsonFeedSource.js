@@ -0,0 +1,68 @@
+const axios = require('axios');
+const { getPath, normalizeArticle } = require('./normalize');
+const { sourceRequestOptions } = require('./sourceUrl');
+
+// Default field mapping follows the JSON Feed 1.1 spec (https://www.jsonfeed.org/version/1.1/)
+const DEFAULT_MAPPING = {
+  itemsPath: 'items',
+  sourcePath: 'title',
+  fields: {
+    title: 'title',
+    description: 'summary',
+    content: 'content_text',
+    url: 'url',
+    urlToImage: 'image',
+    publishedAt: 'date_published',
+    author: 'authors.0.name',
+    guid: 'id'
+  }
+};
+
+// Map one JSON document into normalized articles using a { itemsPath, fields } mapping
+function mapJsonFeed(data, config = {}) {
+  const itemsPath = config.itemsPath || DEFAULT_MAPPING.itemsPath;
+  const fields = { ...DEFAULT_MAPPING.fields, ...(config.fields || {}) };
+  const feedName = config.name || getPath(data, config.sourcePath || DEFAULT_MAPPING.sourcePath);
+
+  const items = getPath(data, itemsPath);
+  if (!Array.isArray(items)) {
+    throw new Error(`JSON feed has no item array at "${itemsPath}"`);
+  }
+
+  return items.map(item => {
+    const mapped = {};
+    for (const [field, path] of Object.entries(fields)) {
+      mapped[field] = getPath(item, path);
+    }
+
+    // JSON Feed items may only carry HTML content
+    if (!mapped.content && !config.fields?.content) {
+      mapped.content = item.content_html;
+    }
+
+    return normalizeArticle(mapped, { sourceName: feedName, sourceId: config.id });
+  });
+}
+
+// Generic JSON feed adapter ({query} in the URL or params is replaced with the topic query)
+async function fetchArticles(config = {}, { query, pageSize }) {
+  if (!config.url) {
+    throw new Error('JSON feed source requires a url');
+  }
+
+  const substitute = value => typeof value === 'string' ? value.replace('{query}', query || '') : value;
+  const params = Object.fromEntries(
+    Object.entries(config.params || {}).map(([key, value]) => [key, substitute(value)])
+  );
+
+  const url = config.url.replace('{query}', encodeURIComponent(query || ''));
+  const response = await axios.get(url, sourceRequestOptions(url, {
+    params,
+    headers: config.headers || {},
+    timeout: config.timeout || 10000
+  }));
+
+  return mapJsonFeed(response.data, config).slice(0, pageSize);
+}
+
+module.exports = { fetchArticles, mapJsonFeed };
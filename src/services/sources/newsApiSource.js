@@ -0,0 +1,23 @@
+require('dotenv').config();
+const axios = require('axios');
+const { normalizeArticle } = require('./normalize');
+const { sourceRequestOptions } = require('./sourceUrl');
+
+const NEWSAPI_URL = 'https://newsapi.org/v2/everything';
+
+// NewsAPI "everything" endpoint - the original (and default) source
+async function fetchArticles(config = {}, { query, pageSize }) {
+  const params = {
+    q: config.query || query,
+    apiKey: config.apiKey || process.env.NEWSAPI_KEY,
+    pageSize,
+    sortBy: 'publishedAt',
+    language: config.language || 'en'
+  };
+  const url = config.url || NEWSAPI_URL;
+  const response = await axios.get(url, sourceRequestOptions(url, { params }));
+
+  return (response.data.articles || []).map(article => normalizeArticle(article));
+}
+
+module.exports = { fetchArticles };
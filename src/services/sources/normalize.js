@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+
+// Shared helpers that turn raw feed items into the article shape processBatch consumes:
+// { title, content, description, source: { id, name }, url, urlToImage, publishedAt, author,
+//   guid, publishedAtEstimated }
+
+function fromCodePoint(code, fallback) {
+  return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : fallback;
+}
+
+const NAMED_ENTITIES = {
+  ldquo: '\u201C', rdquo: '\u201D', lsquo: '\u2018', rsquo: '\u2019', mdash: '\u2014', ndash: '\u2013',
+  hellip: '\u2026', middot: '\u00B7', laquo: '\u00AB', raquo: '\u00BB', lsaquo: '\u2039', rsaquo: '\u203A',
+  copy: '\u00A9', reg: '\u00AE', trade: '\u2122', bull: '\u2022'
+};
+
+// Decode the HTML entities that show up in feed and page text
+function decodeEntities(text) {
+  return text
+    .replace(/&([a-z]+);/g, (match, name) => NAMED_ENTITIES[name] || match)
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => fromCodePoint(Number(code), match))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => fromCodePoint(parseInt(code, 16), match))
+    .replace(/&amp;/g, '&');
+}
+
+// Strip HTML tags and collapse whitespace (feed descriptions are usually HTML fragments)
+function stripHtml(html) {
+  if (!html || typeof html !== 'string') return '';
+
+  return decodeEntities(html
+    .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+    .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+// Read a dotted path such as "data.items" or "authors.0.name" from an object
+function getPath(obj, path) {
+  if (!path) return undefined;
+  return path.split('.').reduce((value, segment) => (value == null ? undefined : value[segment]), obj);
+}
+
+// Parse any date representation into an ISO string (null when unparseable)
+function toIsoDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Normalize a partially mapped item into the canonical article shape. An item without a usable
+// date is shown as published now (`publishedAtEstimated`); its id is then derived from its
+// guid or url instead of that date, so fetching it again does not make a new article.
+function normalizeArticle(item, defaults = {}) {
+  const sourceName = typeof item.source === 'string'
+    ? item.source
+    : item.source?.name || defaults.sourceName || null;
+
+  const publishedAt = toIsoDate(item.publishedAt);
+  const description = stripHtml(item.description || '');
+  const content = stripHtml(item.content || '') || description;
+
+  return {
+    title: stripHtml(item.title || ''),
+    content: content || null,
+    description: description || null,
+    source: {
+      id: item.source?.id || defaults.sourceId || null,
+      name: sourceName
+    },
+    url: item.url || null,
+    urlToImage: item.urlToImage || null,
+    publishedAt: publishedAt || new Date().toISOString(),
+    author: item.author || null,
+    guid: item.guid ? String(item.guid) : null,
+    publishedAtEstimated: !publishedAt
+  };
+}
+
+// Id of a normalized article: sha256(title + publishedAt). When the feed gave no date,
+// publishedAt is only the fetch time, so the guid or url stands in for it.
+function getArticleId(article) {
+  const distinguisher = article.publishedAtEstimated
+    ? article.guid || article.url || ''
+    : article.publishedAt;
+  return crypto.createHash('sha256').update(article.title + distinguisher).digest('hex');
+}
+
+module.exports = {
+  getArticleId,
+  decodeEntities,
+  stripHtml,
+  getPath,
+  toIsoDate,
+  normalizeArticle
+};
@@ -0,0 +1,105 @@
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const { normalizeArticle } = require('./normalize');
+const { sourceRequestOptions } = require('./sourceUrl');
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text'
+});
+
+function asArray(value) {
+  if (value == null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Elements can be plain strings or { '#text': ..., '@_type': ... } objects
+function textOf(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') return String(value['#text'] || '');
+  return String(value);
+}
+
+// Pick the first image URL from the usual RSS media extensions
+function rssImage(item) {
+  const enclosure = asArray(item.enclosure).find(e => (e['@_type'] || '').startsWith('image/'));
+  if (enclosure) return enclosure['@_url'];
+
+  const media = asArray(item['media:content']).find(m => m['@_url']) ||
+    asArray(item['media:thumbnail']).find(m => m['@_url']);
+  return media ? media['@_url'] : null;
+}
+
+function mapRssItem(item, feedTitle) {
+  return {
+    title: textOf(item.title),
+    description: textOf(item.description),
+    content: textOf(item['content:encoded']) || textOf(item.description),
+    url: textOf(item.link) || textOf(item.guid),
+    urlToImage: rssImage(item),
+    publishedAt: textOf(item.pubDate) || textOf(item['dc:date']),
+    author: textOf(item['dc:creator']) || textOf(item.author) || null,
+    guid: textOf(item.guid),
+    source: feedTitle
+  };
+}
+
+function mapAtomEntry(entry, feedTitle) {
+  const links = asArray(entry.link);
+  const alternate = links.find(l => !l['@_rel'] || l['@_rel'] === 'alternate') || links[0];
+  const image = links.find(l => l['@_rel'] === 'enclosure' && (l['@_type'] || '').startsWith('image/'));
+  const author = asArray(entry.author)[0];
+
+  return {
+    title: textOf(entry.title),
+    description: textOf(entry.summary),
+    content: textOf(entry.content) || textOf(entry.summary),
+    url: alternate ? alternate['@_href'] : null,
+    urlToImage: image ? image['@_href'] : null,
+    publishedAt: textOf(entry.published) || textOf(entry.updated),
+    author: author ? textOf(author.name) || null : null,
+    guid: textOf(entry.id),
+    source: feedTitle
+  };
+}
+
+// Parse an RSS 2.0 or Atom document into normalized articles
+function parseFeed(xml, config = {}) {
+  const doc = parser.parse(xml);
+
+  if (doc.rss && doc.rss.channel) {
+    const channel = doc.rss.channel;
+    const feedTitle = config.name || textOf(channel.title);
+    return asArray(channel.item).map(item =>
+      normalizeArticle(mapRssItem(item, feedTitle), { sourceId: config.id })
+    );
+  }
+
+  if (doc.feed) {
+    const feedTitle = config.name || textOf(doc.feed.title);
+    return asArray(doc.feed.entry).map(entry =>
+      normalizeArticle(mapAtomEntry(entry, feedTitle), { sourceId: config.id })
+    );
+  }
+
+  throw new Error('Unrecognized feed format (expected RSS 2.0 or Atom)');
+}
+
+// RSS 2.0 / Atom feed adapter ({query} in the URL is replaced with the topic query)
+async function fetchArticles(config = {}, { query, pageSize }) {
+  if (!config.url) {
+    throw new Error('RSS source requires a url');
+  }
+
+  const url = config.url.replace('{query}', encodeURIComponent(query || ''));
+  const response = await axios.get(url, sourceRequestOptions(url, {
+    responseType: 'text',
+    headers: config.headers || {},
+    timeout: config.timeout || 10000
+  }));
+
+  return parseFeed(response.data, config).slice(0, pageSize);
+}
+
+module.exports = { fetchArticles, parseFeed };
@@ -0,0 +1,116 @@
+const dns = require('dns');
+const net = require('net');
+
+// Source URLs come from the topic registry and article URLs (for full-text extraction) from the
+// feeds, so ingestion fetches whatever is stored there. Only http(s) URLs of public hosts are
+// fetched: loopback, private, link-local and other internal
+// addresses are refused, both in the URL itself and in what its host name resolves to (checked
+// again on every redirect).
+
+function isPrivateIPv4(address) {
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) || // carrier-grade NAT
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && address.split('.')[2] === '0') ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    a >= 224; // multicast and reserved
+}
+
+// The eight 16-bit groups of an IPv6 address (an embedded IPv4 tail becomes the last two)
+function ipv6Groups(address) {
+  let text = address.toLowerCase().split('%')[0];
+  const ipv4Tail = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4Tail) {
+    const [, a, b, c, d] = ipv4Tail.map(Number);
+    text = `${text.slice(0, -ipv4Tail[0].length)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail !== undefined
+    ? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+    : headGroups;
+  return groups.map(group => parseInt(group, 16) || 0);
+}
+
+function isPrivateIPv6(address) {
+  const groups = ipv6Groups(address);
+  const embeddedIPv4 = () => `${groups[6] >> 8}.${groups[6] & 255}.${groups[7] >> 8}.${groups[7] & 255}`;
+
+  if (groups.slice(0, 7).every(group => group === 0)) return groups[7] <= 1; // :: and ::1
+  if (groups.slice(0, 5).every(group => group === 0) && groups[5] === 0xffff) return isPrivateIPv4(embeddedIPv4()); // IPv4-mapped
+  if (groups[0] === 0x64 && groups[1] === 0xff9b) return isPrivateIPv4(embeddedIPv4()); // NAT64
+  return (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xff00) === 0xff00; // multicast
+}
+
+function isPrivateAddress(address) {
+  const version = net.isIP(address);
+  if (version === 4) return isPrivateIPv4(address);
+  if (version === 6) return isPrivateIPv6(address);
+  return false;
+}
+
+function isPrivateHostname(hostname) {
+  const host = String(hostname || '').toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// Why `value` may not be fetched as a source URL, or null when it may
+function checkSourceUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    return 'must be a valid URL';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'must be an http(s) URL';
+  }
+  if (isPrivateHostname(url.hostname)) {
+    return 'must not point at a private or loopback host';
+  }
+  return null;
+}
+
+// dns.lookup that refuses host names resolving to private addresses (axios `lookup` option)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address (${blocked.address})`));
+    }
+    if (options && options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Redirects to literal private addresses never reach publicLookup, so refuse them here
+function checkRedirect(options) {
+  if (isPrivateHostname(options.hostname)) {
+    throw new Error(`Redirect to private host ${options.hostname} refused`);
+  }
+}
+
+// axios options for fetching a source URL; throws if the URL itself is not allowed
+function sourceRequestOptions(url, options = {}) {
+  const problem = checkSourceUrl(url);
+  if (problem) {
+    throw new Error(`Source URL ${problem}: ${url}`);
+  }
+  return { ...options, lookup: publicLookup, beforeRedirect: checkRedirect };
+}
+
+module.exports = {
+  isPrivateAddress,
+  checkSourceUrl,
+  sourceRequestOptions
+};
@@ -0,0 +1,209 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { redis, findNearestArticles } = require('./redisService');
+const { acquireLock, releaseLock } = require('./lockService');
+const { VIEWS, projectArticle } = require('../utils/projection');
+
+// Story clustering: groups articles about the same event. Each story is a JSON document at
+// story:{id} (representative article, member ids, first/last seen) and the stories sorted set
+// orders them by last activity. A new article joins the story of its most similar stored
+// neighbour if that neighbour is within STORY_SIMILARITY_THRESHOLD and was published within
+// STORY_WINDOW_HOURS of it; otherwise it starts a new story. Articles carry the `storyId`.
+const STORY_KEY_PREFIX = 'story:';
+const STORY_INDEX_KEY = 'stories';
+const STORY_SIMILARITY_THRESHOLD = parseFloat(process.env.STORY_SIMILARITY_THRESHOLD) || 0.8;
+const STORY_WINDOW_HOURS = parseInt(process.env.STORY_WINDOW_HOURS) || 48;
+const NEIGHBOUR_COUNT = 10;
+// addToStory holds a per-story lock (story:{id}) around its read-then-update
+const STORY_LOCK_TTL_MS = 5000;
+const STORY_LOCK_ATTEMPTS = 20;
+const STORY_LOCK_RETRY_MS = 50;
+
+function generateStoryId() {
+  return `story_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+// The representative article shown in story lists and the collapsed feed
+function toCard(article) {
+  return VIEWS.card.reduce((card, field) => {
+    card[field] = article[field] !== undefined ? article[field] : null;
+    return card;
+  }, {});
+}
+
+// Story id for a new (not yet stored) article, joining an existing story or creating one.
+// Sets article.storyId and records the article as a member.
+async function assignStory(article) {
+  const publishedAtMs = new Date(article.publishedAt).getTime();
+  const windowMs = STORY_WINDOW_HOURS * 60 * 60 * 1000;
+
+  const neighbours = await findNearestArticles(article.vector, NEIGHBOUR_COUNT, ['article_id', 'publishedAt', 'storyId']);
+  const match = neighbours.find(neighbour =>
+    neighbour.storyId &&
+    neighbour.article_id !== article.id &&
+    neighbour.similarity >= STORY_SIMILARITY_THRESHOLD &&
+    Math.abs(new Date(neighbour.publishedAt).getTime() - publishedAtMs) <= windowMs
+  );
+
+  if (match && await addToStory(match.storyId, article)) {
+    article.storyId = match.storyId;
+  } else {
+    article.storyId = await createStory(article);
+  }
+
+  return article.storyId;
+}
+
+async function createStory(article) {
+  const now = new Date().toISOString();
+  const story = {
+    id: generateStoryId(),
+    title: article.title,
+    representativeId: article.id,
+    memberIds: [article.id],
+    memberCount: 1,
+    firstSeenAt: article.publishedAt,
+    lastSeenAt: article.publishedAt,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await redis.json.set(`${STORY_KEY_PREFIX}${story.id}`, '$', story);
+  await redis.zAdd(STORY_INDEX_KEY, { score: new Date(story.lastSeenAt).getTime(), value: story.id });
+
+  return story.id;
+}
+
+// Run `callback` holding the lock of one story, waiting briefly for another holder
+async function withStoryLock(storyId, callback) {
+  const name = `story:${storyId}`;
+  const token = `story_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  for (let attempt = 0; attempt < STORY_LOCK_ATTEMPTS; attempt++) {
+    if (await acquireLock(name, token, STORY_LOCK_TTL_MS)) {
+      try {
+        return await callback();
+      } finally {
+        await releaseLock(name, token);
+      }
+    }
+    await new Promise(resolve => setTimeout(resolve, STORY_LOCK_RETRY_MS));
+  }
+
+  throw new Error(`Story ${storyId} is locked by another process`);
+}
+
+// Returns false if the story no longer exists. The membership check, member count and
+// first/last seen dates are read and written under the story's lock, so concurrent additions
+// cannot lose or repeat members.
+async function addToStory(storyId, article) {
+  return await withStoryLock(storyId, () => appendToStory(storyId, article));
+}
+
+async function appendToStory(storyId, article) {
+  const key = `${STORY_KEY_PREFIX}${storyId}`;
+  const story = await redis.json.get(key);
+  if (!story) return false;
+
+  // Retried queue items may already be members
+  if (story.memberIds.includes(article.id)) return true;
+
+  const firstSeenAt = new Date(article.publishedAt) < new Date(story.firstSeenAt) ? article.publishedAt : story.firstSeenAt;
+  const lastSeenAt = new Date(article.publishedAt) > new Date(story.lastSeenAt) ? article.publishedAt : story.lastSeenAt;
+
+  const pipeline = redis.multi();
+  pipeline.json.arrAppend(key, '$.memberIds', article.id);
+  pipeline.json.numIncrBy(key, '$.memberCount', 1);
+  pipeline.json.set(key, '$.firstSeenAt', firstSeenAt);
+  pipeline.json.set(key, '$.lastSeenAt', lastSeenAt);
+  pipeline.json.set(key, '$.updatedAt', new Date().toISOString());
+  pipeline.zAdd(STORY_INDEX_KEY, { score: new Date(lastSeenAt).getTime(), value: storyId });
+  await pipeline.exec();
+
+  return true;
+}
+
+async function getArticles(ids) {
+  if (ids.length === 0) return [];
+
+  const results = await redis.json.mGet(ids.map(id => `news:${id}`), '$');
+  return results
+    .map(result => (Array.isArray(result) ? result[0] : result))
+    .filter(Boolean);
+}
+
+async function getStories(ids) {
+  if (ids.length === 0) return [];
+
+  const results = await redis.json.mGet(ids.map(id => `${STORY_KEY_PREFIX}${id}`), '$');
+  return results
+    .map(result => (Array.isArray(result) ? result[0] : result))
+    .filter(Boolean);
+}
+
+// Stories with the most recent activity first, each with its representative article
+async function listStories(limit = 10, offset = 0) {
+  const [ids, totalCount] = await Promise.all([
+    redis.zRange(STORY_INDEX_KEY, offset, offset + limit - 1, { REV: true }),
+    redis.zCard(STORY_INDEX_KEY)
+  ]);
+
+  const stories = await getStories(ids);
+  const representatives = await getArticles(stories.map(story => story.representativeId));
+  // Articles whose analysis failed are not shown until the analysis backfill repairs them
+  const byId = new Map(representatives
+    .filter(article => article.analysisStatus !== 'failed')
+    .map(article => [article.id, article]));
+
+  return {
+    stories: stories.map(story => ({
+      ...story,
+      representative: byId.has(story.representativeId) ? toCard(byId.get(story.representativeId)) : null
+    })),
+    totalCount
+  };
+}
+
+// The story document alone (no articles)
+async function getStoryDocument(id) {
+  return await redis.json.get(`${STORY_KEY_PREFIX}${id}`);
+}
+
+// A story with all its member articles, newest first
+async function getStory(id) {
+  const story = await getStoryDocument(id);
+  if (!story) return null;
+
+  const articles = await getArticles(story.memberIds);
+  return {
+    ...story,
+    articles: articles
+      .map(article => projectArticle(article, VIEWS.detail))
+      .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+  };
+}
+
+// The main feed collapsed by story: one representative article per story, most recently
+// active story first, annotated with the story id and its article count
+async function getCollapsedFeed(limit = 10, offset = 0) {
+  const { stories, totalCount } = await listStories(limit, offset);
+
+  return {
+    articles: stories
+      .filter(story => story.representative)
+      .map(story => ({
+        ...story.representative,
+        story: { id: story.id, articleCount: story.memberCount, lastSeenAt: story.lastSeenAt }
+      })),
+    totalCount
+  };
+}
+
+module.exports = {
+  assignStory,
+  listStories,
+  getStory,
+  getStoryDocument,
+  getArticles,
+  getCollapsedFeed
+};
@@ -0,0 +1,126 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const { redis } = require('./redisService');
+const { summarizeStory } = require('./geminiService');
+const { getStoryDocument, getArticles } = require('./storyService');
+
+// Multi-source summaries: one LLM-synthesized overview of several articles about the same
+// event, noting where the sources agree and differ, with citations back to article ids.
+// Results are cached at story_summary:story:{storyId} or story_summary:articles:{hash of ids}.
+// A cached story summary is regenerated on the next request once new articles have joined
+// the story (its memberCount changed).
+const SUMMARY_KEY_PREFIX = 'story_summary:';
+const SUMMARY_TTL_SECONDS = parseInt(process.env.STORY_SUMMARY_TTL_SECONDS) || 24 * 60 * 60; // 24 hours
+const MIN_ARTICLES = 2;
+const MAX_ARTICLES = 20;
+const MAX_ARTICLE_CHARS = 1500; // Per-article text sent to the model
+
+function getCacheKey(storyId, articleIds) {
+  if (storyId) return `${SUMMARY_KEY_PREFIX}story:${storyId}`;
+
+  const hash = crypto.createHash('sha256').update([...articleIds].sort().join(',')).digest('hex');
+  return `${SUMMARY_KEY_PREFIX}articles:${hash}`;
+}
+
+// Keep well-formed points and only the citations that refer to summarized articles
+function sanitizePoints(points, knownIds) {
+  if (!Array.isArray(points)) return [];
+
+  return points
+    .filter(point => point && typeof point.point === 'string')
+    .map(point => ({
+      point: point.point,
+      articleIds: (Array.isArray(point.articleIds) ? point.articleIds : []).filter(id => knownIds.has(id))
+    }));
+}
+
+async function generateSummary(articles) {
+  const result = await summarizeStory(articles.map(article => ({
+    id: article.id,
+    title: article.title,
+    source: article.source?.name || article.source,
+    text: [article.summary, article.fullContent || article.content || article.description]
+      .filter(Boolean)
+      .join('\n')
+      .substring(0, MAX_ARTICLE_CHARS)
+  })));
+
+  const knownIds = new Set(articles.map(article => article.id));
+
+  return {
+    summary: typeof result.summary === 'string' ? result.summary : '',
+    agreements: sanitizePoints(result.agreements, knownIds),
+    differences: sanitizePoints(result.differences, knownIds),
+    citations: articles.map(article => ({
+      articleId: article.id,
+      title: article.title,
+      source: article.source,
+      url: article.url,
+      publishedAt: article.publishedAt
+    }))
+  };
+}
+
+// Summary for a story (`storyId`) or an explicit set of `articleIds`. Served from the cache
+// unless `refresh` is set or the story has gained articles. Throws errors with a statusCode
+// for unknown stories/articles and too few or too many articles.
+async function getMultiSourceSummary({ storyId = null, articleIds = [], refresh = false }) {
+  let ids = [...new Set(articleIds)];
+  let story = null;
+
+  if (storyId) {
+    story = await getStoryDocument(storyId);
+    if (!story) {
+      throw Object.assign(new Error('Story not found'), { statusCode: 404 });
+    }
+    // Large stories are summarized from their most recent articles
+    ids = story.memberIds.slice(-MAX_ARTICLES);
+  } else if (ids.length > MAX_ARTICLES) {
+    throw Object.assign(new Error(`At most ${MAX_ARTICLES} articles can be summarized together`), { statusCode: 400 });
+  }
+
+  const cacheKey = getCacheKey(storyId, ids);
+
+  if (!refresh) {
+    const cached = await redis.get(cacheKey);
+    if (cached) {
+      const summary = JSON.parse(cached);
+      if (!story || summary.memberCount === story.memberCount) {
+        return { ...summary, cached: true };
+      }
+      console.log(`Story ${storyId} has new articles, regenerating its summary`);
+    }
+  }
+
+  const articles = await getArticles(ids);
+  if (!storyId && articles.length < ids.length) {
+    const found = new Set(articles.map(article => article.id));
+    const missing = ids.filter(id => !found.has(id));
+    throw Object.assign(new Error(`Articles not found: ${missing.join(', ')}`), { statusCode: 404 });
+  }
+  if (articles.length < MIN_ARTICLES) {
+    throw Object.assign(new Error(`At least ${MIN_ARTICLES} articles are needed for a multi-source summary`), { statusCode: 400 });
+  }
+
+  articles.sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+  const summary = {
+    storyId,
+    articleIds: articles.map(article => article.id),
+    memberCount: story ? story.memberCount : null,
+    ...(await generateSummary(articles)),
+    generatedAt: new Date().toISOString()
+  };
+
+  await redis.set(cacheKey, JSON.stringify(summary), {
+    expiration: { type: 'EX', value: SUMMARY_TTL_SECONDS }
+  });
+
+  return { ...summary, cached: false };
+}
+
+module.exports = {
+  MIN_ARTICLES,
+  MAX_ARTICLES,
+  getMultiSourceSummary
+};
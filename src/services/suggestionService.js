@@ -0,0 +1,263 @@
+require('dotenv').config();
+const { redis } = require('./redisService');
+
+// Typeahead suggestions from a RediSearch suggestion dictionary (FT.SUGADD/FT.SUGGET).
+// Terms come from ingested articles (keywords and named entities) and from searches that found
+// results. Each term's score is its frequency with recency decay: every occurrence adds its
+// weight, and scores halve every SUGGEST_HALF_LIFE_DAYS. Term state ({ text, score, updatedAt,
+// searches, fromArticles }) lives in the suggest:terms hash; the dictionary (suggest:dictionary)
+// holds the suggestible terms with their scores. Dictionary scores are decayed to a common time
+// by refreshSuggestions, which ingestion runs call when they finish; it also prunes faded terms.
+// Both update terms in Lua scripts, so concurrent workers and searches cannot lose increments.
+const DICTIONARY_KEY = 'suggest:dictionary';
+const TERMS_KEY = 'suggest:terms';
+const HALF_LIFE_MS = (parseFloat(process.env.SUGGEST_HALF_LIFE_DAYS) || 7) * 24 * 60 * 60 * 1000;
+// A searched query is suggested once it has been searched (with results) this many times
+const MIN_QUERY_SEARCHES = parseInt(process.env.SUGGEST_MIN_QUERY_SEARCHES) || 3;
+// Terms whose decayed score falls below this are dropped
+const MIN_SCORE = 0.05;
+const WEIGHTS = { keyword: 1, entity: 1, query: 2 };
+const MAX_TERM_LENGTH = 60;
+const MAX_TERM_WORDS = 6;
+const MAX_SUGGESTIONS = 20;
+// Searched queries start new terms only while fewer than this many are tracked, so a flood of
+// one-off queries cannot grow suggest:terms without bound until the next refresh prunes them
+const MAX_TERMS = parseInt(process.env.SUGGEST_MAX_TERMS) || 50000;
+
+// ARGV: now, half-life (ms), min query searches, max terms, then (field, text, weight, kind)
+// per term. Decays each term to now, adds its weight and re-adds it to the dictionary once it is
+// suggestible. Returns the number of terms recorded.
+const RECORD_TERMS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local halfLife = tonumber(ARGV[2])
+local recorded = 0
+for i = 5, #ARGV, 4 do
+  local field, kind = ARGV[i], ARGV[i + 3]
+  local stored = redis.call('HGET', KEYS[1], field)
+  local entry
+  if stored then
+    entry = cjson.decode(stored)
+  elseif kind ~= 'query' or redis.call('HLEN', KEYS[1]) < tonumber(ARGV[4]) then
+    entry = { text = ARGV[i + 1], score = 0, updatedAt = now, searches = 0, fromArticles = false }
+  end
+  if entry then
+    if now > entry.updatedAt then
+      entry.score = entry.score * math.pow(0.5, (now - entry.updatedAt) / halfLife)
+      entry.updatedAt = now
+    end
+    entry.score = entry.score + tonumber(ARGV[i + 2])
+    if kind == 'query' then
+      entry.searches = entry.searches + 1
+    else
+      entry.fromArticles = true
+    end
+    redis.call('HSET', KEYS[1], field, cjson.encode(entry))
+    if entry.fromArticles or entry.searches >= tonumber(ARGV[3]) then
+      redis.call('FT.SUGADD', KEYS[2], entry.text, tostring(entry.score))
+    end
+    recorded = recorded + 1
+  end
+end
+return recorded`;
+
+// ARGV: now, half-life (ms), min query searches, min score, then the fields to refresh. Decays
+// each to now, rewrites its dictionary score and drops it once faded. Returns { terms, pruned }.
+const REFRESH_TERMS_SCRIPT = `
+local now = tonumber(ARGV[1])
+local halfLife = tonumber(ARGV[2])
+local terms, pruned = 0, 0
+for i = 5, #ARGV do
+  local stored = redis.call('HGET', KEYS[1], ARGV[i])
+  if stored then
+    local entry = cjson.decode(stored)
+    if now > entry.updatedAt then
+      entry.score = entry.score * math.pow(0.5, (now - entry.updatedAt) / halfLife)
+      entry.updatedAt = now
+    end
+    if entry.score < tonumber(ARGV[4]) then
+      redis.call('HDEL', KEYS[1], ARGV[i])
+      redis.call('FT.SUGDEL', KEYS[2], entry.text)
+      pruned = pruned + 1
+    else
+      redis.call('HSET', KEYS[1], ARGV[i], cjson.encode(entry))
+      if entry.fromArticles or entry.searches >= tonumber(ARGV[3]) then
+        redis.call('FT.SUGADD', KEYS[2], entry.text, tostring(entry.score))
+      end
+      terms = terms + 1
+    end
+  end
+end
+return { terms, pruned }`;
+// Words that start a sentence or a capitalized run without being part of a name
+const ENTITY_LEADING_WORDS = new Set([
+  'a', 'an', 'the', 'this', 'that', 'these', 'those', 'it', 'its', 'he', 'she', 'they', 'we',
+  'i', 'you', 'in', 'on', 'at', 'but', 'and', 'or', 'if', 'when', 'while', 'after', 'before',
+  'as', 'for', 'with', 'from', 'by', 'to', 'of', 'his', 'her', 'their', 'our', 'new', 'how',
+  'why', 'what', 'who', 'where', 'is', 'are', 'was', 'were', 'there', 'here', 'some', 'more',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'january',
+  'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october',
+  'november', 'december'
+]);
+
+function decay(score, elapsedMs) {
+  return elapsedMs > 0 ? score * Math.pow(0.5, elapsedMs / HALF_LIFE_MS) : score;
+}
+
+function normalizeTerm(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function isUsableTerm(text) {
+  return text.length >= 2 &&
+    text.length <= MAX_TERM_LENGTH &&
+    text.split(' ').length <= MAX_TERM_WORDS &&
+    /\p{L}/u.test(text);
+}
+
+// Capitalized runs of words ("Federal Reserve", "Kerala", "NASA") in sentence-case text,
+// without leading words like "The" or "After". A single capitalized word opening a sentence is
+// skipped unless it is an acronym.
+function extractEntities(text) {
+  const entities = new Set();
+  // Split after a lowercase word ending a sentence, so "U.S. Department" stays together
+  const sentences = String(text || '').split(/(?<=\p{Ll}{2}[.!?])\s+/u);
+
+  for (const sentence of sentences) {
+    const runs = sentence.matchAll(/\p{Lu}[\p{L}\p{N}'’&.-]*(?:\s+\p{Lu}[\p{L}\p{N}'’&.-]*){0,3}/gu);
+
+    for (const run of runs) {
+      const words = run[0].replace(/['’]s$/, '').replace(/[.,'’-]+$/, '').split(/\s+/);
+      while (words.length > 0 && ENTITY_LEADING_WORDS.has(words[0].toLowerCase())) {
+        words.shift();
+      }
+
+      const entity = words.join(' ');
+      const opensSentence = sentence.slice(0, run.index).trim() === '';
+      if (opensSentence && words.length === 1 && entity !== entity.toUpperCase()) continue;
+
+      if (entity.length >= 3 && isUsableTerm(entity)) {
+        entities.add(entity);
+      }
+    }
+  }
+
+  return [...entities];
+}
+
+// Add `weight` to each term ({ text, weight, kind }) and update the dictionary
+async function recordTerms(terms) {
+  const byKey = new Map();
+  for (const term of terms) {
+    const text = normalizeTerm(term.text);
+    if (!isUsableTerm(text)) continue;
+
+    const key = text.toLowerCase();
+    const existing = byKey.get(key);
+    if (existing) {
+      existing.weight += term.weight;
+    } else {
+      byKey.set(key, { ...term, text });
+    }
+  }
+  if (byKey.size === 0) return 0;
+
+  const args = [String(Date.now()), String(HALF_LIFE_MS), String(MIN_QUERY_SEARCHES), String(MAX_TERMS)];
+  for (const [key, term] of byKey) {
+    args.push(key, term.text, String(term.weight), term.kind);
+  }
+
+  return await redis.eval(RECORD_TERMS_SCRIPT, {
+    keys: [TERMS_KEY, DICTIONARY_KEY],
+    arguments: args
+  });
+}
+
+// Ingestion hook: the article's keywords and the named entities in its description (titles are
+// often title case, where every word looks like a name), weighted by how recently it was published
+async function recordArticleSuggestions(article) {
+  const publishedAt = article.publishedAtTs || new Date(article.publishedAt).getTime() || Date.now();
+  const recency = decay(1, Date.now() - publishedAt);
+
+  const terms = [
+    ...(article.keywords || []).map(text => ({ text, kind: 'keyword', weight: WEIGHTS.keyword * recency })),
+    ...extractEntities(article.description || article.content || '')
+      .map(text => ({ text, kind: 'entity', weight: WEIGHTS.entity * recency }))
+  ];
+
+  return await recordTerms(terms);
+}
+
+// Searched queries are recorded lowercased and without query syntax. Ones that look like
+// e-mail addresses, URLs or numbers (phone, order or account numbers) are not recorded at all.
+function normalizeQuery(query) {
+  const text = String(query || '');
+  if (/@|https?:|www\./i.test(text) || (text.match(/\d/g) || []).length >= 5) return null;
+  return normalizeTerm(text.toLowerCase()
+    .replace(/[^\p{L}\p{N}\s'’&.-]/gu, ' ')
+    .replace(/(^|\s)[-'’&.]+/g, '$1'));
+}
+
+// Search hook: a query that found results. It becomes a suggestion after MIN_QUERY_SEARCHES.
+async function recordSearchQuery(query) {
+  const text = normalizeQuery(query);
+  if (!text) return 0;
+  return await recordTerms([{ text, kind: 'query', weight: WEIGHTS.query }]);
+}
+
+// Decay every term to now, rewrite the dictionary scores and drop faded terms. Resolves to
+// { terms, pruned }.
+async function refreshSuggestions() {
+  const now = Date.now();
+  let terms = 0;
+  let pruned = 0;
+
+  for await (const entries of redis.hScanIterator(TERMS_KEY, { COUNT: 500 })) {
+    if (entries.length === 0) continue;
+
+    const fields = entries.map(entry => entry.field);
+    const [refreshed, removed] = await redis.eval(REFRESH_TERMS_SCRIPT, {
+      keys: [TERMS_KEY, DICTIONARY_KEY],
+      arguments: [String(now), String(HALF_LIFE_MS), String(MIN_QUERY_SEARCHES), String(MIN_SCORE), ...fields]
+    });
+    terms += refreshed;
+    pruned += removed;
+  }
+
+  return { terms, pruned };
+}
+
+// Completions for `prefix`, best first. When exact prefix matches don't fill `limit`, fuzzy
+// matches (one typo) follow, flagged with `fuzzy: true`.
+async function getSuggestions(prefix, limit = 8) {
+  const text = normalizeTerm(prefix);
+  if (!text || text.length > MAX_TERM_LENGTH) {
+    throw Object.assign(new Error(`prefix must be 1-${MAX_TERM_LENGTH} characters`), { statusCode: 400 });
+  }
+  const max = Math.min(MAX_SUGGESTIONS, Math.max(1, parseInt(limit) || 8));
+
+  const exact = (await redis.ft.sugGet(DICTIONARY_KEY, text, { MAX: max })) || [];
+  const suggestions = exact.map(suggestion => ({ text: String(suggestion), fuzzy: false }));
+
+  // Fuzzy matching on very short prefixes matches almost everything
+  if (suggestions.length < max && text.length >= 3) {
+    const seen = new Set(suggestions.map(suggestion => suggestion.text.toLowerCase()));
+    const fuzzy = (await redis.ft.sugGet(DICTIONARY_KEY, text, { FUZZY: true, MAX: max })) || [];
+
+    for (const suggestion of fuzzy.map(String)) {
+      if (suggestions.length >= max) break;
+      if (seen.has(suggestion.toLowerCase())) continue;
+      seen.add(suggestion.toLowerCase());
+      suggestions.push({ text: suggestion, fuzzy: true });
+    }
+  }
+
+  return suggestions;
+}
+
+module.exports = {
+  extractEntities,
+  recordArticleSuggestions,
+  recordSearchQuery,
+  refreshSuggestions,
+  getSuggestions
+};
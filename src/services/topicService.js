@@ -0,0 +1,172 @@
+require('dotenv').config();
+const cron = require('node-cron');
+const { redis } = require('./redisService');
+const { validateSource } = require('./sources');
+
+// Ingestion topic registry. Each topic is a JSON document at ingestion_topic:{id}, with the
+// ids kept in the ingestion_topics set. processNews and /api/metadata/topics both read from here.
+const TOPIC_KEY_PREFIX = 'ingestion_topic:';
+const TOPIC_SET_KEY = 'ingestion_topics';
+const SEEDED_FLAG_KEY = 'ingestion_topics:seeded';
+
+const DEFAULT_PAGE_SIZE = 8;
+const DEFAULT_SCHEDULE = '*/15 * * * *';
+const MAX_PAGE_SIZE = 100;
+
+// Seeded on first use - these were previously hardcoded in processNews()
+const DEFAULT_TOPICS = [
+  { query: 'India politics', label: 'Politics' },
+  { query: 'Technology AI', label: 'Technology' },
+  { query: 'World news', label: 'World' },
+  { query: 'Sports cricket', label: 'Sports' },
+  { query: 'Business economy', label: 'Business' },
+  { query: 'Entertainment Bollywood', label: 'Entertainment' },
+  { query: 'Science research', label: 'Science' },
+  { query: 'Health medicine', label: 'Health' },
+  { query: 'Environment climate', label: 'Environment' },
+  { query: 'Education policy', label: 'Education' }
+];
+
+function slugify(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Validate topic input. With `partial` only the provided fields are checked (for updates).
+function validateTopic(input, { partial = false } = {}) {
+  const errors = [];
+  const has = field => input[field] !== undefined;
+
+  if (!partial || has('query')) {
+    if (typeof input.query !== 'string' || input.query.trim().length === 0) {
+      errors.push('query must be a non-empty string');
+    }
+  }
+  if (has('label') && (typeof input.label !== 'string' || input.label.trim().length === 0)) {
+    errors.push('label must be a non-empty string');
+  }
+  if (has('pageSize')) {
+    const pageSize = Number(input.pageSize);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      errors.push(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+  if (has('enabled') && typeof input.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+  if (has('schedule') && (typeof input.schedule !== 'string' || !cron.validate(input.schedule))) {
+    errors.push('schedule must be a valid cron expression');
+  }
+  if (has('sources')) {
+    if (!Array.isArray(input.sources)) {
+      errors.push('sources must be an array');
+    } else {
+      errors.push(...new Set(input.sources.flatMap(validateSource)));
+    }
+  }
+
+  return errors;
+}
+
+function buildTopic(input, existing = {}) {
+  const now = new Date().toISOString();
+  const query = input.query !== undefined ? input.query.trim() : existing.query;
+
+  return {
+    id: existing.id || slugify(input.id || query),
+    query,
+    label: input.label !== undefined ? input.label.trim() : (existing.label || query),
+    pageSize: input.pageSize !== undefined ? Number(input.pageSize) : (existing.pageSize || DEFAULT_PAGE_SIZE),
+    enabled: input.enabled !== undefined ? input.enabled : (existing.enabled !== undefined ? existing.enabled : true),
+    schedule: input.schedule !== undefined ? input.schedule : (existing.schedule || DEFAULT_SCHEDULE),
+    sources: input.sources !== undefined ? input.sources : (existing.sources || []),
+    createdAt: existing.createdAt || now,
+    updatedAt: now
+  };
+}
+
+// Seed the registry with the default topics the first time it is used. Each topic is written
+// with NX, so concurrent callers (or an admin edit made meanwhile) are not overwritten, and the
+// seeded flag is set only once all of them are stored: a seeding interrupted part-way is
+// completed by the next call instead of leaving the registry short.
+async function ensureDefaultTopics() {
+  if (await redis.exists(SEEDED_FLAG_KEY)) return false;
+
+  const pipeline = redis.multi();
+  for (const defaults of DEFAULT_TOPICS) {
+    const topic = buildTopic(defaults);
+    pipeline.json.set(`${TOPIC_KEY_PREFIX}${topic.id}`, '$', topic, { condition: 'NX' });
+    pipeline.sAdd(TOPIC_SET_KEY, topic.id);
+  }
+  const replies = await pipeline.exec();
+  const created = replies.filter((reply, index) => index % 2 === 0 && reply !== null).length;
+
+  await redis.set(SEEDED_FLAG_KEY, new Date().toISOString(), { condition: 'NX' });
+
+  if (created > 0) {
+    console.log(`Seeded ${created} default ingestion topics`);
+  }
+  return created > 0;
+}
+
+async function listTopics({ enabledOnly = false } = {}) {
+  await ensureDefaultTopics();
+
+  const ids = await redis.sMembers(TOPIC_SET_KEY);
+  if (ids.length === 0) return [];
+
+  const topics = await redis.json.mGet(ids.map(id => `${TOPIC_KEY_PREFIX}${id}`), '$');
+  return topics
+    .map(result => (Array.isArray(result) ? result[0] : result))
+    .filter(topic => topic && (!enabledOnly || topic.enabled))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+async function getTopic(id) {
+  return await redis.json.get(`${TOPIC_KEY_PREFIX}${id}`);
+}
+
+async function createTopic(input) {
+  await ensureDefaultTopics();
+
+  const topic = buildTopic(input);
+  if (!topic.id) {
+    throw Object.assign(new Error('Could not derive a topic id from the query'), { statusCode: 400 });
+  }
+
+  const created = await redis.json.set(`${TOPIC_KEY_PREFIX}${topic.id}`, '$', topic, { condition: 'NX' });
+  if (!created) {
+    throw Object.assign(new Error(`Topic "${topic.id}" already exists`), { statusCode: 409 });
+  }
+  await redis.sAdd(TOPIC_SET_KEY, topic.id);
+
+  return topic;
+}
+
+async function updateTopic(id, input) {
+  const existing = await getTopic(id);
+  if (!existing) return null;
+
+  const topic = buildTopic(input, existing);
+  await redis.json.set(`${TOPIC_KEY_PREFIX}${id}`, '$', topic);
+  return topic;
+}
+
+async function deleteTopic(id) {
+  const removed = await redis.del(`${TOPIC_KEY_PREFIX}${id}`);
+  await redis.sRem(TOPIC_SET_KEY, id);
+  return removed === 1;
+}
+
+module.exports = {
+  DEFAULT_TOPICS,
+  DEFAULT_SCHEDULE,
+  validateTopic,
+  listTopics,
+  getTopic,
+  createTopic,
+  updateTopic,
+  deleteTopic
+};
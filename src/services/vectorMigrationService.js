@@ -0,0 +1,188 @@
+require('dotenv').config();
+const { redis, getSearchIndexSchema, getSearchIndexTarget } = require('./redisService');
+const { generateEmbedding, getEmbeddingModelInfo } = require('./geminiService');
+const { getModelInputText } = require('./newsProcessor');
+const { withIndexLock, createVersionedIndex, waitForIndexing, switchSearchIndex } = require('./searchIndexManager');
+
+// Moves stored articles to the active embedding model (provider, model and vector length)
+// without taking search offline. The live index keeps reading `$.vector` until the new vectors
+// are searchable, so they are staged next to it first:
+//   1. write every article's new vector to `$.stagedVector`: re-embedded when its `embedding`
+//      stamp differs from the active model (or is missing), copied from `$.vector` otherwise
+//   2. build an index on `$.stagedVector`, wait until it has caught up and switch idx:news to it
+//   3. promote the staged vectors to `$.vector` (with the new `embedding` stamp), which the live
+//      index no longer reads
+//   4. build the regular index on `$.vector`, switch idx:news to it and drop the staged vectors
+// Queries keep using idx:news throughout, and an aborted backfill leaves `$.vector` untouched.
+// Index handling is shared with searchIndexManager, whose lock the migration holds; rerunning
+// after a failure restages every article, so it also finishes a migration stopped after step 2.
+const SCAN_BATCH_SIZE = 200;
+const STAGED_VECTOR_PATH = '$.stagedVector';
+
+function isCurrent(stamp, target) {
+  return Boolean(stamp) &&
+    stamp.provider === target.provider &&
+    stamp.model === target.model &&
+    stamp.dimensions === target.dimensions;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Ids of articles embedded with another model or dimension (`ids`) and of those already
+// embedded with the active one (`current`), plus the number scanned
+async function findMismatchedArticles(target) {
+  let scanned = 0;
+  const ids = [];
+  const current = [];
+
+  for await (const keys of redis.scanIterator({ MATCH: 'news:*', TYPE: 'ReJSON-RL', COUNT: SCAN_BATCH_SIZE })) {
+    if (keys.length === 0) continue;
+
+    const stamps = await redis.json.mGet(keys, '$.embedding');
+    keys.forEach((key, index) => {
+      scanned++;
+      const id = key.substring('news:'.length);
+      if (isCurrent(stamps[index] && stamps[index][0], target)) {
+        current.push(id);
+      } else {
+        ids.push(id);
+      }
+    });
+  }
+
+  return { scanned, ids, current };
+}
+
+// Copy `from` to `to` on the given articles (skipping those without it)
+async function copyVectors(ids, from, to, extra = {}) {
+  for (const batch of chunk(ids, SCAN_BATCH_SIZE)) {
+    const keys = batch.map(id => `news:${id}`);
+    const vectors = await redis.json.mGet(keys, from);
+
+    const pipeline = redis.multi();
+    keys.forEach((key, index) => {
+      const vector = vectors[index] && vectors[index][0];
+      if (!Array.isArray(vector)) return;
+
+      pipeline.json.set(key, to, vector);
+      Object.entries(extra).forEach(([path, value]) => pipeline.json.set(key, path, value));
+    });
+    await pipeline.exec();
+  }
+}
+
+async function dropStagedVectors(ids) {
+  for (const batch of chunk(ids, SCAN_BATCH_SIZE)) {
+    const pipeline = redis.multi();
+    batch.forEach(id => pipeline.json.del(`news:${id}`, STAGED_VECTOR_PATH));
+    await pipeline.exec();
+  }
+}
+
+// Re-embed one article with the active model into its staged vector. Returns false if it is
+// gone or embedding failed.
+async function reembedArticle(id, target) {
+  const key = `news:${id}`;
+  const article = await redis.json.get(key);
+  if (!article) return false;
+
+  const vector = await generateEmbedding(`${article.title} ${getModelInputText(article)}`);
+  if (!Array.isArray(vector) || vector.length !== target.dimensions) {
+    return false;
+  }
+
+  await redis.json.set(key, STAGED_VECTOR_PATH, vector);
+  return true;
+}
+
+// Build an index for `schema` and point idx:news at it once it has caught up. Resolves to the
+// index's FT.INFO.
+async function buildAndSwitch(schema) {
+  const { indexName, schemaHash, dimensions } = await createVersionedIndex(schema);
+  try {
+    const info = await waitForIndexing(indexName);
+    await switchSearchIndex(indexName, schemaHash, dimensions);
+    return { indexName, info };
+  } catch (error) {
+    await redis.ft.dropIndex(indexName).catch(() => {});
+    throw error;
+  }
+}
+
+// Run the migration. With dryRun only the mismatched articles are counted. `onProgress` is
+// called after every re-embedded article with (done, total). Resolves to a report.
+async function migrateVectors({ dryRun = false, onProgress = () => {} } = {}) {
+  const target = getEmbeddingModelInfo();
+  const previousIndex = await getSearchIndexTarget();
+  const { scanned, ids, current } = await findMismatchedArticles(target);
+
+  const report = {
+    target,
+    previousIndex,
+    stagingIndex: null,
+    newIndex: null,
+    scanned,
+    mismatched: ids.length,
+    reembedded: 0,
+    failed: [],
+    dryRun
+  };
+  if (dryRun) return report;
+
+  const result = await withIndexLock(async () => {
+    const staged = [];
+    try {
+      for (const id of ids) {
+        try {
+          if (await reembedArticle(id, target)) {
+            staged.push(id);
+            report.reembedded++;
+          } else {
+            report.failed.push(id);
+          }
+        } catch (error) {
+          console.error(`Error re-embedding article ${id}:`, error.message);
+          report.failed.push(id);
+        }
+        onProgress(report.reembedded + report.failed.length, ids.length);
+      }
+      await copyVectors(current, '$.vector', STAGED_VECTOR_PATH);
+
+      const staging = await buildAndSwitch(getSearchIndexSchema(target.dimensions, STAGED_VECTOR_PATH));
+      report.stagingIndex = staging.indexName;
+    } catch (error) {
+      // Nothing live has changed yet; only the staged vectors are removed
+      await dropStagedVectors([...ids, ...current]).catch(() => {});
+      throw error;
+    }
+
+    await copyVectors(staged, STAGED_VECTOR_PATH, '$.vector', {
+      '$.embedding': target,
+      '$.updated_at': new Date().toISOString()
+    });
+
+    const { indexName, info } = await buildAndSwitch(getSearchIndexSchema(target.dimensions));
+    report.newIndex = indexName;
+    report.indexedDocs = Number(info.num_docs);
+    report.indexingFailures = Number(info.hash_indexing_failures);
+
+    await dropStagedVectors([...ids, ...current]);
+    return report;
+  });
+
+  if (!result) {
+    throw new Error('The search index is being rebuilt or migrated by another process');
+  }
+  return result;
+}
+
+module.exports = {
+  findMismatchedArticles,
+  migrateVectors
+};
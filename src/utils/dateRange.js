@@ -0,0 +1,82 @@
+const { badRequest } = require('./httpError');
+
+// Date range filter from the query string, applied to publishedAt:
+//   from, to - ISO 8601 date/time or epoch milliseconds; a plain date (YYYY-MM-DD) or year
+//              (YYYY) as `to` covers that whole day or year
+//   since    - relative to now: 30m, 24h, 7d, 2w (instead of `from`)
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+const DAY_MS = UNIT_MS.d;
+const YEAR_PATTERN = /^\d{4}$/;
+// Fewer digits would be a moment in early 1970, far more likely a mistyped date
+const MIN_EPOCH_MS_DIGITS = 12;
+
+function parseDate(value, name) {
+  if (typeof value !== 'string') {
+    throw badRequest(`${name} must be given once`);
+  }
+
+  // Digits alone are epoch milliseconds, except a four-digit ISO 8601 year
+  let time;
+  if (/^\d+$/.test(value) && !YEAR_PATTERN.test(value)) {
+    time = value.length >= MIN_EPOCH_MS_DIGITS ? parseInt(value) : NaN;
+  } else {
+    time = Date.parse(value);
+  }
+  if (!Number.isFinite(time)) {
+    throw badRequest(`${name} must be an ISO 8601 date or epoch milliseconds`);
+  }
+  return time;
+}
+
+function parseSince(value) {
+  const match = typeof value === 'string' && /^(\d+)([mhdw])$/.exec(value);
+  if (!match) {
+    throw badRequest('since must be a number followed by m, h, d or w (e.g. 24h)');
+  }
+  return Date.now() - parseInt(match[1]) * UNIT_MS[match[2]];
+}
+
+// Resolves the request's range to { from, to } in epoch ms (null when open-ended). Throws
+// with statusCode 400 on invalid values.
+function getDateRangeParams(req) {
+  const { from, to, since } = req.query;
+
+  if (since !== undefined && from !== undefined) {
+    throw badRequest('Use either since or from, not both');
+  }
+
+  const range = { from: null, to: null };
+  if (since !== undefined) {
+    range.from = parseSince(since);
+  } else if (from !== undefined) {
+    range.from = parseDate(from, 'from');
+  }
+
+  if (to !== undefined) {
+    range.to = parseDate(to, 'to');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      range.to += DAY_MS - 1;
+    } else if (YEAR_PATTERN.test(to)) {
+      range.to = Date.UTC(parseInt(to) + 1, 0, 1) - 1;
+    }
+  }
+
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    throw badRequest('from must not be later than to');
+  }
+  return range;
+}
+
+function hasDateRange(range) {
+  return Boolean(range) && (range.from !== null || range.to !== null);
+}
+
+module.exports = {
+  getDateRangeParams,
+  hasDateRange
+};
@@ -0,0 +1,8 @@
+// Errors carrying the HTTP status the controllers respond with (`error.statusCode`)
+function badRequest(message) {
+  return Object.assign(new Error(message), { statusCode: 400 });
+}
+
+module.exports = {
+  badRequest
+};
@@ -1,42 +1,112 @@
-// Pagination helper function
-function getPaginationParams(req) {
-  const page = Math.max(1, parseInt(req.query.page) || 1);
+const { badRequest } = require('./httpError');
+
+// Pagination helpers. Lists are paged by `page` or by an opaque `cursor` taken from a previous
+// response (`pagination.nextCursor`). On lists in date order (keyset lists, sorted newest or
+// oldest first) the cursor holds the sort and the publishedAtTs and id of the last article
+// returned, so the next page starts right after it even when new articles have been stored in
+// between; elsewhere it holds the next page number.
+const MAX_CURSOR_ID_LENGTH = 200;
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// { sort, publishedAtTs, id } or { page } from a cursor string; throws with statusCode 400 when invalid
+function decodeCursor(value) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    payload = null;
+  }
+
+  if (payload && Number.isSafeInteger(payload.ts) && typeof payload.id === 'string' &&
+      payload.id.length > 0 && payload.id.length <= MAX_CURSOR_ID_LENGTH) {
+    return { sort: typeof payload.s === 'string' ? payload.s : 'newest', publishedAtTs: payload.ts, id: payload.id };
+  }
+  if (payload && Number.isSafeInteger(payload.p) && payload.p >= 1) {
+    return { page: payload.p };
+  }
+  throw badRequest('Invalid cursor');
+}
+
+// Pagination helper function. Resolves to { page, limit, offset, cursor }: `cursor` is the
+// { sort, publishedAtTs, id } position to continue after when a keyset cursor was given (page is
+// then null), otherwise null. Pass { keyset: sort } for lists in a date order ('newest' or 'oldest').
+function getPaginationParams(req, { keyset = null } = {}) {
   const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 10));
+
+  if (req.query.cursor !== undefined && req.query.cursor !== '') {
+    if (req.query.page !== undefined) {
+      throw badRequest('page and cursor cannot be combined');
+    }
+
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor.page) {
+      return { page: cursor.page, limit, offset: (cursor.page - 1) * limit, cursor: null };
+    }
+    if (!keyset) {
+      throw badRequest('cursor is not valid for this list');
+    }
+    if (cursor.sort !== keyset) {
+      throw badRequest(`cursor was issued for sort=${cursor.sort}, not sort=${keyset}`);
+    }
+    return { page: null, limit, offset: 0, cursor };
+  }
+
+  const page = Math.max(1, parseInt(req.query.page) || 1);
   const offset = (page - 1) * limit;
-  
-  return { page, limit, offset };
+
+  return { page, limit, offset, cursor: null };
 }
 
-// Create pagination response
-function createPaginatedResponse(articles, totalCount, page, limit, req) {
+// Create pagination response. `sort` is the list's order, kept in the links. For keyset lists pass
+// `last`, the { publishedAtTs, id } of the last item, and when the request used a cursor also
+// `cursor` and `hasMore` (whether items follow).
+function createPaginatedResponse(articles, totalCount, page, limit, req, { sort = null, cursor = null, hasMore = false, last = null } = {}) {
   const totalPages = Math.ceil(totalCount / limit);
-  const hasNext = page < totalPages;
-  const hasPrev = page > 1;
-  
+  const hasNext = cursor ? hasMore : page < totalPages;
+  const hasPrev = !cursor && page > 1;
+
   // Build base URL for pagination links
   const baseUrl = `${req.protocol}://${req.get('host')}${req.path}`;
   const queryParams = new URLSearchParams(req.query);
-  
-  // Remove page from query params for link building
+
+  // Remove page and cursor from query params for link building
   queryParams.delete('page');
+  queryParams.delete('cursor');
+  if (sort) {
+    queryParams.set('sort', sort);
+  }
   const baseQuery = queryParams.toString();
-  
+  const linkTo = param => `${baseUrl}?${baseQuery ? baseQuery + '&' : ''}${param}`;
+
+  let nextCursor = null;
+  if (hasNext) {
+    nextCursor = last
+      ? encodeCursor({ s: sort || 'newest', ts: last.publishedAtTs, id: last.id })
+      : encodeCursor({ p: page + 1 });
+  }
+
   return {
     data: articles,
     pagination: {
-      currentPage: page,
+      currentPage: cursor ? null : page,
       totalPages,
       totalCount,
       limit,
+      ...(sort ? { sort } : {}),
       hasNext,
       hasPrev,
-      nextPage: hasNext ? page + 1 : null,
+      nextPage: hasNext && !cursor ? page + 1 : null,
       prevPage: hasPrev ? page - 1 : null,
+      nextCursor,
       links: {
-        first: `${baseUrl}?${baseQuery ? baseQuery + '&' : ''}page=1`,
-        last: `${baseUrl}?${baseQuery ? baseQuery + '&' : ''}page=${totalPages}`,
-        next: hasNext ? `${baseUrl}?${baseQuery ? baseQuery + '&' : ''}page=${page + 1}` : null,
-        prev: hasPrev ? `${baseUrl}?${baseQuery ? baseQuery + '&' : ''}page=${page - 1}` : null
+        first: linkTo('page=1'),
+        last: linkTo(`page=${totalPages}`),
+        next: hasNext ? (cursor ? linkTo(`cursor=${nextCursor}`) : linkTo(`page=${page + 1}`)) : null,
+        prev: hasPrev ? linkTo(`page=${page - 1}`) : null,
+        nextCursor: nextCursor ? linkTo(`cursor=${nextCursor}`) : null
       }
     }
   };
@@ -45,4 +115,4 @@ function createPaginatedResponse(articles, totalCount, page, limit, req) {
 module.exports = {
   getPaginationParams,
   createPaginatedResponse
-}; 
\ No newline at end of file
+};
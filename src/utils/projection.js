@@ -0,0 +1,78 @@
+const { badRequest } = require('./httpError');
+
+// Response projection for articles. Stored articles carry everything, including the 768-float
+// `vector`, so responses return a named view of them (`view=card|detail|full`) or the fields
+// listed in `fields=` (which takes precedence). Properties that are not stored article fields,
+// such as scores and other metadata added by a ranking (similarity_score, searchScore, story),
+// are always kept; `id` is always included.
+const ARTICLE_FIELDS = [
+  'id', 'title', 'description', 'content', 'fullContent', 'summary', 'sentiment', 'keywords',
+  'analysisStatus', 'analysisErrors', 'analysis', 'source', 'author', 'url', 'urlToImage',
+  'publishedAt', 'publishedAtTs', 'createdAtTs', 'created_at', 'updated_at', 'category',
+  'storyId', 'alternateSources', 'vector', 'embedding'
+];
+const VIEWS = {
+  // Lists and feeds
+  card: [
+    'id', 'title', 'summary', 'description', 'sentiment', 'keywords', 'source', 'author', 'url',
+    'urlToImage', 'publishedAt', 'publishedAtTs', 'storyId'
+  ],
+  // A single article: everything but the embedding vector
+  detail: ARTICLE_FIELDS.filter(field => field !== 'vector'),
+  full: ARTICLE_FIELDS
+};
+
+// Field names from the `fields` query parameter (comma-separated), or null when absent.
+// Throws with statusCode 400 on unknown names.
+function parseFields(value) {
+  if (value === undefined || value === '') return null;
+  if (typeof value !== 'string') {
+    throw badRequest('fields must be given once');
+  }
+
+  const names = [...new Set(value.split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !ARTICLE_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown fields: ${unknown.join(', ')} (available: ${ARTICLE_FIELDS.join(', ')})`);
+  }
+  return names.includes('id') ? names : ['id', ...names];
+}
+
+// Fields to return for a request: `fields`, else the `view` (defaultView when omitted).
+// Throws with statusCode 400 on an unknown view or field.
+function getProjectionParams(req, defaultView = 'card') {
+  const fields = parseFields(req.query.fields);
+  if (fields) return fields;
+
+  const view = req.query.view === undefined || req.query.view === '' ? defaultView : req.query.view;
+  if (!Object.prototype.hasOwnProperty.call(VIEWS, view)) {
+    throw badRequest(`view must be one of: ${Object.keys(VIEWS).join(', ')}`);
+  }
+  return VIEWS[view];
+}
+
+// The article without the stored fields that are not in `fields` (all of it when fields is null)
+function projectArticle(article, fields) {
+  if (!article || !fields) return article;
+
+  const projected = {};
+  for (const [key, value] of Object.entries(article)) {
+    if (fields.includes(key) || !ARTICLE_FIELDS.includes(key)) {
+      projected[key] = value;
+    }
+  }
+  return projected;
+}
+
+function projectArticles(articles, fields) {
+  return (articles || []).map(article => projectArticle(article, fields));
+}
+
+module.exports = {
+  ARTICLE_FIELDS,
+  VIEWS,
+  parseFields,
+  getProjectionParams,
+  projectArticle,
+  projectArticles
+};
@@ -0,0 +1,114 @@
+// Builds RediSearch query strings from untrusted input. Clauses are plain strings; helpers return
+// '' for "no condition", and and/or/not skip empty clauses, so optional filters compose directly:
+//   toQuery(and(matchText(['title'], q), matchTags('source', source), not(matchTags('article_id', id))))
+// Text is reduced to its words (the same characters RediSearch indexes as tokens), so query
+// operators in it can't take effect. Tag values are matched whole, with every character that
+// is not a letter, digit or underscore backslash-escaped.
+const NON_WORD = /[^\p{L}\p{N}_]+/u;
+const NON_WORD_CHAR = /[^\p{L}\p{N}_]/gu;
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function checkFields(fields) {
+  for (const field of fields) {
+    if (!FIELD_NAME.test(field)) {
+      throw new Error(`Invalid search field name: ${field}`);
+    }
+  }
+}
+
+// Words of `value` as search terms
+function tokenize(value) {
+  if (value === null || value === undefined) return [];
+  return String(value).split(NON_WORD).filter(Boolean);
+}
+
+function escapeTag(value) {
+  return String(value).trim().replace(NON_WORD_CHAR, '\\$&');
+}
+
+// `@f1|f2:(t1 t2)` - all words of `value` (any of them with { any: true }) in the TEXT fields
+function matchText(fields, value, { any = false } = {}) {
+  const fieldList = [].concat(fields);
+  checkFields(fieldList);
+
+  const terms = tokenize(value);
+  if (terms.length === 0) return '';
+  return `@${fieldList.join('|')}:(${terms.join(any ? ' | ' : ' ')})`;
+}
+
+// `@field:{a | b}` - the TAG field equals any of `values` (a value or an array)
+function matchTags(field, values) {
+  checkFields([field]);
+
+  const tags = [].concat(values)
+    .filter(value => value !== null && value !== undefined)
+    .map(escapeTag)
+    .filter(Boolean);
+  if (tags.length === 0) return '';
+  return `@${field}:{${tags.join(' | ')}}`;
+}
+
+// `@field:[from to]` on a NUMERIC field; null/undefined bounds are open-ended
+function matchRange(field, from = null, to = null) {
+  checkFields([field]);
+
+  const bounds = [from, to].map(bound => {
+    if (bound === null || bound === undefined) return null;
+    const number = Number(bound);
+    if (typeof bound === 'boolean' || !Number.isFinite(number)) {
+      throw new Error(`Invalid range bound for ${field}: ${bound}`);
+    }
+    return number;
+  });
+
+  if (bounds[0] === null && bounds[1] === null) return '';
+  return `@${field}:[${bounds[0] !== null ? bounds[0] : '-inf'} ${bounds[1] !== null ? bounds[1] : '+inf'}]`;
+}
+
+function combine(clauses, separator) {
+  const parts = clauses.flat().filter(Boolean);
+  if (parts.length === 0) return '';
+  if (parts.length === 1) return parts[0];
+  return `(${parts.join(separator)})`;
+}
+
+function and(...clauses) {
+  return combine(clauses, ' ');
+}
+
+function or(...clauses) {
+  return combine(clauses, ' | ');
+}
+
+function not(clause) {
+  return clause ? `-${clause}` : '';
+}
+
+// Final query string: '*' for no condition, and a purely negative query is anchored to '*'
+function toQuery(clause) {
+  if (!clause) return '*';
+  return clause.startsWith('-') ? `* ${clause}` : clause;
+}
+
+// KNN query over the `vector` field, pre-filtered by `clause`; the query vector is passed as
+// PARAMS.BLOB and the distance returned as `vector_score`
+function knnQuery(clause, count) {
+  const k = Number(count);
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error(`Invalid KNN count: ${count}`);
+  }
+  return `${clause ? `(${toQuery(clause)})` : '*'}=>[KNN ${k} @vector $BLOB AS vector_score]`;
+}
+
+module.exports = {
+  tokenize,
+  escapeTag,
+  matchText,
+  matchTags,
+  matchRange,
+  and,
+  or,
+  not,
+  toQuery,
+  knnQuery
+};
@@ -0,0 +1,31 @@
+// Sort orders for article lists (`sort=` query parameter). newest and oldest order by
+// publishedAtTs and support keyset cursors; relevance is the search score of the text query;
+// views ranks by total views (article_views:*) and trending by today's views, then yesterday's.
+const SORTS = ['newest', 'oldest', 'relevance', 'views', 'trending'];
+const KEYSET_SORTS = ['newest', 'oldest'];
+// Earlier name of newest
+const SORT_ALIASES = { latest: 'newest' };
+
+// The sort order of a request, one of `allowed` (defaultSort when omitted). Throws with
+// statusCode 400 when it is unknown or not available on this list.
+function getSortParam(req, allowed, defaultSort = allowed[0]) {
+  const value = req.query.sort;
+  if (value === undefined || value === '') return defaultSort;
+
+  const sort = typeof value === 'string' ? (SORT_ALIASES[value] || value) : null;
+  if (!allowed.includes(sort)) {
+    throw Object.assign(new Error(`sort must be one of: ${allowed.join(', ')}`), { statusCode: 400 });
+  }
+  return sort;
+}
+
+// Whether the order can be paged with keyset cursors
+function isKeysetSort(sort) {
+  return KEYSET_SORTS.includes(sort);
+}
+
+module.exports = {
+  SORTS,
+  getSortParam,
+  isKeysetSort
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { extractMainContent, fetchFullContent } = require('./src/services/articleExtractor');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'articles');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+const cases = [
+  {
+    name: 'news article with navigation, sidebar and comments',
+    fixture: 'news-article.html',
+    check: content => {
+      const paragraphs = content.split('\n\n');
+
+      assert.ok(paragraphs[0].startsWith('The southwest monsoon reached the Kerala coast on Thursday'));
+      assert.ok(content.includes('department’s criteria'), 'numeric entities are decoded');
+      assert.ok(content.includes('food prices & rural incomes'), 'named entities are decoded');
+      assert.ok(content.includes('“The progress over the next two weeks'), 'typographic entities are decoded');
+      assert.ok(content.includes('What an early onset means'), 'subheadings are kept');
+      assert.ok(content.includes('by the second week of June'), 'last paragraph is kept');
+
+      for (const boilerplate of ['Share on X', 'Advertisement', 'Most read', 'Related stories',
+        'Finally some relief', 'morning briefing', 'All rights reserved', 'cookies', 'Rain clouds gather']) {
+        assert.ok(!content.includes(boilerplate), `"${boilerplate}" is removed`);
+      }
+      assert.ok(!content.includes('Read more'), 'link-only paragraphs are removed');
+    }
+  },
+  {
+    name: 'div paragraphs and unclosed <p> tags',
+    fixture: 'div-paragraphs.html',
+    check: content => {
+      const paragraphs = content.split('\n\n');
+
+      assert.strictEqual(paragraphs.length, 5);
+      assert.ok(paragraphs[0].startsWith('A Bengaluru-based semiconductor startup has raised $40 million'));
+      assert.ok(paragraphs[2].endsWith('The company expects to tape out the new design next year.'), '<br> keeps the text in one paragraph');
+      assert.ok(paragraphs[4].startsWith('"Every factory we talk to'));
+
+      for (const boilerplate of ['Hidden tracking text', 'Tweet', 'Premium', 'Privacy', 'Gadgets']) {
+        assert.ok(!content.includes(boilerplate), `"${boilerplate}" is removed`);
+      }
+    }
+  },
+  {
+    name: 'section index page has no main content',
+    fixture: 'index-page.html',
+    check: content => {
+      assert.strictEqual(content, null);
+    }
+  },
+  {
+    name: 'empty input',
+    html: '',
+    check: content => {
+      assert.strictEqual(content, null);
+    }
+  },
+  {
+    name: 'article URLs on private or loopback hosts are not fetched',
+    run: async () => {
+      const urls = ['http://169.254.169.254/latest/meta-data', 'http://localhost:6379/', 'http://[::1]/', 'file:///etc/passwd'];
+      for (const url of urls) {
+        await assert.rejects(fetchFullContent(url), /Source URL must/, url);
+      }
+    }
+  }
+];
+
+async function testArticleExtraction() {
+  console.log('🧪 Testing article extraction...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      if (testCase.run) {
+        await testCase.run();
+      } else {
+        const html = testCase.fixture ? loadFixture(testCase.fixture) : testCase.html;
+        testCase.check(extractMainContent(html));
+      }
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testArticleExtraction().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = { testArticleExtraction };
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const assert = require('assert');
+const { parseFeed } = require('./src/services/sources/rssSource');
+const { mapJsonFeed } = require('./src/services/sources/jsonFeedSource');
+const fixtureSource = require('./src/services/sources/fixtureSource');
+const { getArticleId } = require('./src/services/sources/normalize');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'feeds');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+const cases = [
+  {
+    name: 'RSS 2.0 items',
+    run: async () => {
+      const [dated, undated] = parseFeed(loadFixture('world.rss'), { id: 'world-rss' });
+
+      assert.strictEqual(dated.title, 'Monsoon arrives early over Kerala');
+      assert.strictEqual(dated.url, 'https://news.example.com/world/monsoon-kerala');
+      assert.strictEqual(dated.guid, 'ewn-20261016-001');
+      assert.strictEqual(dated.publishedAt, '2026-10-16T06:30:00.000Z');
+      assert.strictEqual(dated.publishedAtEstimated, false);
+      assert.strictEqual(dated.author, 'Anita Menon');
+      assert.strictEqual(dated.urlToImage, 'https://news.example.com/img/monsoon.jpg', 'media:content image');
+      assert.deepStrictEqual(dated.source, { id: 'world-rss', name: 'Example World News' });
+      assert.strictEqual(dated.description,
+        'The southwest monsoon reached the Kerala coast on Thursday, three days ahead of schedule.',
+        'escaped HTML is decoded and stripped');
+      assert.ok(dated.content.includes('relief & rain'), 'content:encoded is preferred over the description');
+
+      assert.strictEqual(undated.urlToImage, 'https://news.example.com/img/geneva.jpg', 'image enclosure');
+      assert.strictEqual(undated.content, undated.description, 'description stands in for missing content');
+      assert.strictEqual(undated.author, null);
+    }
+  },
+  {
+    name: 'Atom entries',
+    run: async () => {
+      const [dated, undated] = parseFeed(loadFixture('science.atom'), { name: 'Science Desk' });
+
+      assert.strictEqual(dated.title, 'Telescope spots water vapour on a distant exoplanet');
+      assert.strictEqual(dated.url, 'https://science.example.org/exoplanet-water', 'alternate link');
+      assert.strictEqual(dated.urlToImage, 'https://science.example.org/img/exoplanet.png', 'image enclosure link');
+      assert.strictEqual(dated.publishedAt, '2026-10-15T18:00:00.000Z', 'published wins over updated');
+      assert.strictEqual(dated.author, 'Priya Raman');
+      assert.strictEqual(dated.guid, 'urn:example:science:1001');
+      assert.strictEqual(dated.source.name, 'Science Desk', 'config name overrides the feed title');
+
+      assert.strictEqual(undated.url, 'https://science.example.org/coral-recovery', 'link without rel');
+      assert.strictEqual(undated.urlToImage, null);
+      assert.strictEqual(undated.author, null);
+    }
+  },
+  {
+    name: 'JSON Feed with the default mapping',
+    run: async () => {
+      const [dated, undated] = mapJsonFeed(JSON.parse(loadFixture('business.json')));
+
+      assert.strictEqual(dated.title, 'Rupee hits a record high against the dollar');
+      assert.strictEqual(dated.description, 'Strong exports pushed the currency to its best level in a decade.');
+      assert.ok(dated.content.startsWith('Strong exports pushed the rupee'), 'content_html is used without content_text');
+      assert.strictEqual(dated.urlToImage, 'https://business.example.net/img/rupee.jpg');
+      assert.strictEqual(dated.publishedAt, '2026-10-15T22:45:00.000Z', 'offset dates are converted to UTC');
+      assert.strictEqual(dated.author, 'Vikram Shah');
+      assert.strictEqual(dated.guid, 'biz-3001');
+      assert.strictEqual(dated.source.name, 'Example Business Feed');
+
+      assert.strictEqual(undated.content, 'Venture investment in Indian startups rose for the first time in a year.');
+      assert.strictEqual(undated.description, null);
+    }
+  },
+  {
+    name: 'JSON feed with a custom mapping',
+    run: async () => {
+      const data = {
+        data: {
+          stories: [
+            { headline: 'Metro line opens', link: 'https://city.example.com/metro', ts: '2026-10-12T07:00:00Z', key: 42 }
+          ]
+        }
+      };
+      const [article] = mapJsonFeed(data, {
+        name: 'City News',
+        itemsPath: 'data.stories',
+        fields: { title: 'headline', url: 'link', publishedAt: 'ts', guid: 'key' }
+      });
+
+      assert.strictEqual(article.title, 'Metro line opens');
+      assert.strictEqual(article.url, 'https://city.example.com/metro');
+      assert.strictEqual(article.publishedAt, '2026-10-12T07:00:00.000Z');
+      assert.strictEqual(article.guid, '42', 'guids are stored as strings');
+      assert.strictEqual(article.source.name, 'City News');
+      assert.throws(() => mapJsonFeed(data), /no item array at "items"/);
+    }
+  },
+  {
+    name: 'undated items get a stable id from their guid or url',
+    run: async () => {
+      const [dated, undated] = parseFeed(loadFixture('world.rss'));
+      const [, undatedEntry] = parseFeed(loadFixture('science.atom'));
+      const [, undatedJson] = mapJsonFeed(JSON.parse(loadFixture('business.json')));
+
+      assert.strictEqual(getArticleId(dated), sha256(dated.title + dated.publishedAt));
+
+      for (const article of [undated, undatedEntry, undatedJson]) {
+        assert.strictEqual(article.publishedAtEstimated, true, article.title);
+        assert.ok(!isNaN(Date.parse(article.publishedAt)), 'publishedAt falls back to the fetch time');
+      }
+      assert.strictEqual(getArticleId(undated), sha256(undated.title + 'ewn-undated-002'));
+      assert.strictEqual(getArticleId(undatedEntry), sha256(undatedEntry.title + 'urn:example:science:1002'));
+      assert.strictEqual(getArticleId(undatedJson), sha256(undatedJson.title + 'biz-3002'));
+
+      // A later fetch has a different fallback date but must map to the same article
+      const refetched = { ...undated, publishedAt: new Date(Date.now() + 60000).toISOString() };
+      assert.strictEqual(getArticleId(refetched), getArticleId(undated));
+
+      const withoutGuid = { ...undated, guid: null };
+      assert.strictEqual(getArticleId(withoutGuid), sha256(undated.title + undated.url));
+    }
+  },
+  {
+    name: 'unrecognized feed documents are rejected',
+    run: async () => {
+      assert.throws(() => parseFeed('<html><body>Not a feed</body></html>'), /Unrecognized feed format/);
+    }
+  },
+  {
+    name: 'fixture source reads every feed format in a directory',
+    run: async () => {
+      const previousEnv = process.env.NODE_ENV;
+      const config = { dir: FIXTURES_DIR };
+
+      try {
+        process.env.NODE_ENV = 'test';
+
+        const all = await fixtureSource.fetchArticles({ ...config, filterByQuery: false }, { pageSize: 100 });
+        assert.strictEqual(all.length, 7, 'JSON Feed, NewsAPI, Atom and RSS files are all read');
+        assert.ok(all.some(article => article.title === 'Cricket board announces the new season schedule'));
+
+        const matching = await fixtureSource.fetchArticles(config, { query: 'monsoon coral', pageSize: 100 });
+        assert.deepStrictEqual(matching.map(article => article.title).sort(),
+          ['Coral reefs show signs of recovery', 'Monsoon arrives early over Kerala']);
+
+        const page = await fixtureSource.fetchArticles({ ...config, filterByQuery: false }, { pageSize: 3 });
+        assert.strictEqual(page.length, 3);
+
+        process.env.NODE_ENV = 'production';
+        await assert.rejects(fixtureSource.fetchArticles(config, { pageSize: 10 }), /only available with NODE_ENV/);
+      } finally {
+        if (previousEnv === undefined) {
+          delete process.env.NODE_ENV;
+        } else {
+          process.env.NODE_ENV = previousEnv;
+        }
+      }
+    }
+  }
+];
+
+async function testFeedParsing() {
+  console.log('🧪 Testing feed parsing...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testFeedParsing().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = { testFeedParsing };
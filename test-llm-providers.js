@@ -0,0 +1,287 @@
+// Runs against the offline provider with the LLM cache off, so neither network access, API keys
+// nor Redis are needed
+process.env.LLM_PROVIDER = 'offline';
+process.env.LLM_CACHE_ENABLED = 'false';
+
+const assert = require('assert');
+const { getProvider, getEmbeddingDimensions } = require('./src/services/llm');
+const { resolveEmbeddingDimensions } = require('./src/services/llm/embeddingModels');
+const { createGeminiProvider } = require('./src/services/llm/geminiProvider');
+const { createKeyPool } = require('./src/services/llm/keyPool');
+const { renderPrompt, getActiveVersion } = require('./src/prompts');
+const { summarizeAndAnalyze, validateAnalysis, summarizeStory, generateEmbedding, extractKeywords } = require('./src/services/geminiService');
+
+const ARTICLE = {
+  title: 'Monsoon arrives early over Kerala',
+  content: 'The southwest monsoon reached the Kerala coast on Thursday, three days ahead of schedule. ' +
+    'Farmers welcomed the relief after a long heatwave. The weather department expects strong rainfall across Kerala this week.'
+};
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Answer summarize calls with the given responses in order, recording the prompts
+async function withScriptedResponses(responses, run) {
+  const provider = getProvider();
+  const originalGenerate = provider.generate;
+  const prompts = [];
+  provider.generate = async prompt => {
+    prompts.push(prompt);
+    return responses[Math.min(prompts.length - 1, responses.length - 1)];
+  };
+
+  try {
+    return await run(prompts);
+  } finally {
+    provider.generate = originalGenerate;
+  }
+}
+
+const VALID_ANALYSIS = JSON.stringify({
+  summary: 'The monsoon reached Kerala three days early.',
+  sentiment: 'Positive',
+  keywords: ['monsoon', 'kerala', 'rainfall', 'monsoon']
+});
+
+const cases = [
+  {
+    name: 'summarizeAndAnalyze returns a reproducible summary, sentiment and keywords',
+    run: async () => {
+      const { analysis, ...first } = await summarizeAndAnalyze(ARTICLE.title, ARTICLE.content);
+      const { analysis: _, ...second } = await summarizeAndAnalyze(ARTICLE.title, ARTICLE.content);
+
+      assert.deepStrictEqual(first, second);
+      assert.strictEqual(analysis.prompt, 'summarize_article');
+      assert.strictEqual(analysis.promptVersion, getActiveVersion('summarize_article'));
+      assert.strictEqual(analysis.provider, 'offline');
+      assert.strictEqual(first.summary, 'The southwest monsoon reached the Kerala coast on Thursday, three days ahead of schedule. Farmers welcomed the relief after a long heatwave.');
+      assert.strictEqual(first.sentiment, 'positive');
+      assert.ok(first.keywords.includes('kerala'));
+      assert.ok(first.keywords.includes('monsoon'));
+      assert.strictEqual(first.analysisStatus, 'ok');
+    }
+  },
+  {
+    name: 'prompt templates render their variables once and reject missing ones',
+    run: async () => {
+      const prompt = renderPrompt('extract_keywords', { title: 'Uses {{content}} literally', description: '', content: 'Body' });
+      assert.strictEqual(prompt.name, 'extract_keywords');
+      assert.strictEqual(prompt.version, getActiveVersion('extract_keywords'));
+      assert.ok(prompt.text.includes('Title: Uses {{content}} literally'));
+      assert.ok(prompt.text.includes('Content: Body'));
+      assert.throws(() => renderPrompt('extract_keywords', { title: 'Missing the rest' }), /needs "description"/);
+    }
+  },
+  {
+    name: 'validateAnalysis rejects bad sentiment, short summaries and too few keywords',
+    run: async () => {
+      const { value, errors } = validateAnalysis({ summary: 'Too short', sentiment: 'mixed', keywords: ['one'] });
+      assert.strictEqual(value, null);
+      assert.strictEqual(errors.length, 3);
+      assert.deepStrictEqual(validateAnalysis([]).errors, ['response must be a JSON object']);
+    }
+  },
+  {
+    name: 'invalid analysis output is repaired with a follow-up prompt',
+    run: async () => {
+      await withScriptedResponses(['Sure! Here is the analysis: {"summary": "', '```json\n' + VALID_ANALYSIS + '\n```'], async prompts => {
+        const { analysis, ...result } = await summarizeAndAnalyze(ARTICLE.title, ARTICLE.content);
+
+        assert.strictEqual(prompts.length, 2);
+        assert.ok(prompts[1].includes('Your previous response was not valid'));
+        assert.deepStrictEqual(result, {
+          summary: 'The monsoon reached Kerala three days early.',
+          sentiment: 'positive',
+          keywords: ['monsoon', 'kerala', 'rainfall'],
+          analysisStatus: 'ok'
+        });
+      });
+    }
+  },
+  {
+    name: 'analysis that stays invalid is flagged as failed instead of neutral',
+    run: async () => {
+      await withScriptedResponses(['{"summary": "", "sentiment": "neutral", "keywords": []}'], async prompts => {
+        const result = await summarizeAndAnalyze(ARTICLE.title, ARTICLE.content);
+
+        assert.strictEqual(prompts.length, 3);
+        assert.strictEqual(result.analysisStatus, 'failed');
+        assert.strictEqual(result.sentiment, null);
+        assert.ok(result.analysisErrors.length > 0);
+      });
+    }
+  },
+  {
+    name: 'a failed analysis request throws so the queue retries the article',
+    run: async () => {
+      const provider = getProvider();
+      const originalGenerate = provider.generate;
+      let calls = 0;
+      provider.generate = async () => {
+        calls++;
+        throw new Error('503 Service Unavailable');
+      };
+
+      try {
+        await assert.rejects(summarizeAndAnalyze(ARTICLE.title, ARTICLE.content), /Analysis request failed/);
+        assert.strictEqual(calls, 1);
+      } finally {
+        provider.generate = originalGenerate;
+      }
+    }
+  },
+  {
+    name: 'generateEmbedding is deterministic, normalized and as long as the provider says',
+    run: async () => {
+      const first = await generateEmbedding(`${ARTICLE.title} ${ARTICLE.content}`);
+      const second = await generateEmbedding(`${ARTICLE.title} ${ARTICLE.content}`);
+
+      assert.strictEqual(first.length, getEmbeddingDimensions());
+      assert.deepStrictEqual(first, second);
+      assert.ok(Math.abs(cosineSimilarity(first, first) - 1) < 1e-9);
+    }
+  },
+  {
+    name: 'embedding dimensions follow the model, not a global default',
+    run: async () => {
+      assert.strictEqual(resolveEmbeddingDimensions('openai', 'text-embedding-3-large'), 768);
+      assert.strictEqual(resolveEmbeddingDimensions('openai', 'text-embedding-3-large', 3072), 3072);
+      assert.strictEqual(resolveEmbeddingDimensions('openai', 'text-embedding-3-small', 3072), 1536);
+      assert.strictEqual(resolveEmbeddingDimensions('openai', 'text-embedding-ada-002', 768), 1536);
+      assert.strictEqual(resolveEmbeddingDimensions('gemini', 'embedding-001'), 768);
+      assert.strictEqual(resolveEmbeddingDimensions('openai', 'nomic-embed-text', 768), 768);
+      assert.throws(() => resolveEmbeddingDimensions('openai', 'nomic-embed-text'), /set EMBEDDING_DIMENSIONS/);
+    }
+  },
+  {
+    name: 'Gemini embedding requests ask the SDK for the configured dimension',
+    run: async () => {
+      const originalFetch = global.fetch;
+      const originalKey = process.env.GEMINI_API_KEY;
+      const bodies = [];
+      process.env.GEMINI_API_KEY = 'test-key-0001';
+      global.fetch = async (url, init) => {
+        bodies.push(JSON.parse(init.body));
+        return new Response(JSON.stringify({ embeddings: [{ values: new Array(768).fill(0.1) }] }), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      };
+
+      try {
+        const provider = createGeminiProvider({ dimensions: null });
+        const vector = await provider.embed('Monsoon reaches Kerala');
+
+        assert.strictEqual(provider.dimensions, 768);
+        assert.strictEqual(vector.length, 768);
+        assert.strictEqual(bodies.length, 1);
+        assert.strictEqual(bodies[0].requests[0].outputDimensionality, 768);
+      } finally {
+        global.fetch = originalFetch;
+        if (originalKey === undefined) {
+          delete process.env.GEMINI_API_KEY;
+        } else {
+          process.env.GEMINI_API_KEY = originalKey;
+        }
+      }
+    }
+  },
+  {
+    name: 'texts that share words embed closer than unrelated texts',
+    run: async () => {
+      const base = await generateEmbedding('Monsoon rainfall reaches Kerala coast early this year');
+      const related = await generateEmbedding('Early monsoon rainfall lashes the Kerala coast');
+      const unrelated = await generateEmbedding('Stock markets rally as technology shares climb');
+
+      assert.ok(cosineSimilarity(base, related) > cosineSimilarity(base, unrelated));
+    }
+  },
+  {
+    name: 'empty text still embeds to a non-zero vector',
+    run: async () => {
+      const vector = await generateEmbedding('');
+      assert.ok(vector.some(value => value !== 0));
+    }
+  },
+  {
+    name: 'summarizeStory cites only the given article ids',
+    run: async () => {
+      const articles = [
+        { id: 'a1', title: 'Monsoon reaches Kerala', source: 'Example News', text: 'The monsoon reached Kerala on Thursday. Rainfall was heavy in Kochi.' },
+        { id: 'a2', title: 'Kerala gets early monsoon', source: 'Daily Post', text: 'Monsoon rainfall arrived in Kerala early. Farmers began sowing paddy.' }
+      ];
+      const result = await summarizeStory(articles);
+
+      assert.ok(result.summary.length > 0);
+      const cited = [...result.agreements, ...result.differences].flatMap(point => point.articleIds);
+      assert.ok(cited.length > 0);
+      assert.ok(cited.every(id => id === 'a1' || id === 'a2'));
+    }
+  },
+  {
+    name: 'key pool backs off a key after a 429 and uses the next one',
+    run: async () => {
+      const pool = createKeyPool('test', ['key-one-0001', 'key-two-0002'], { requestsPerMinute: 5, requestsPerDay: 100 });
+      const quotaError = Object.assign(new Error('Too Many Requests'), { response: { status: 429, headers: { 'retry-after': '30' } } });
+
+      await assert.rejects(pool.run(async key => {
+        assert.strictEqual(key, 'key-one-0001');
+        throw quotaError;
+      }));
+      assert.strictEqual(await pool.run(async key => key), 'key-two-0002');
+
+      const [first, second] = pool.getState().keys;
+      assert.strictEqual(first.available, false);
+      assert.strictEqual(first.rateLimitErrors, 1);
+      assert.ok(first.backoffUntil);
+      assert.strictEqual(second.key, '…0002');
+      assert.strictEqual(second.minuteTokens, 4);
+      assert.strictEqual(second.dayTokens, 99);
+    }
+  },
+  {
+    name: 'extractKeywords returns up to eight keywords',
+    run: async () => {
+      const keywords = await extractKeywords(ARTICLE.title, '', ARTICLE.content);
+      assert.ok(keywords.length > 0 && keywords.length <= 8);
+      assert.ok(keywords.every(keyword => typeof keyword === 'string'));
+    }
+  }
+];
+
+async function testLlmProviders() {
+  console.log('🧪 Testing the offline LLM provider...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      await testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  testLlmProviders().then(passed => {
+    process.exitCode = passed ? 0 : 1;
+  });
+}
+
+module.exports = { testLlmProviders };
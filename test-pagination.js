@@ -0,0 +1,133 @@
+// Checks page and cursor pagination parameters, sort orders, links and date ranges; needs no Redis
+const assert = require('assert');
+const { getPaginationParams, createPaginatedResponse } = require('./src/utils/pagination');
+const { getSortParam, isKeysetSort } = require('./src/utils/sort');
+const { getDateRangeParams } = require('./src/utils/dateRange');
+
+function request(query) {
+  return { query, protocol: 'http', path: '/api/news', get: () => 'localhost:3001' };
+}
+
+function isBadRequest(error) {
+  return error.statusCode === 400;
+}
+
+const cases = [
+  {
+    name: 'page parameters work as before',
+    run: () => {
+      assert.deepStrictEqual(getPaginationParams(request({ page: '3', limit: '20' })), { page: 3, limit: 20, offset: 40, cursor: null });
+      assert.deepStrictEqual(getPaginationParams(request({})), { page: 1, limit: 10, offset: 0, cursor: null });
+
+      const { pagination } = createPaginatedResponse([], 45, 2, 20, request({ page: '2', limit: '20', q: 'rates' }));
+      assert.strictEqual(pagination.links.next, 'http://localhost:3001/api/news?limit=20&q=rates&page=3');
+      assert.strictEqual(pagination.nextPage, 3);
+    }
+  },
+  {
+    name: 'a keyset list continues after the last article by cursor',
+    run: () => {
+      const last = { publishedAtTs: 1760860800000, id: 'abc123' };
+      const first = createPaginatedResponse([{ id: 'abc123' }], 45, 1, 20, request({ limit: '20' }), { last });
+
+      const params = getPaginationParams(request({ limit: '20', cursor: first.pagination.nextCursor }), { keyset: 'newest' });
+      assert.deepStrictEqual(params, { page: null, limit: 20, offset: 0, cursor: { sort: 'newest', ...last } });
+      assert.strictEqual(first.pagination.links.nextCursor, `http://localhost:3001/api/news?limit=20&cursor=${first.pagination.nextCursor}`);
+
+      const next = createPaginatedResponse([], 45, null, 20, request({ limit: '20', cursor: first.pagination.nextCursor }),
+        { cursor: params.cursor, hasMore: false, last: null });
+      assert.strictEqual(next.pagination.currentPage, null);
+      assert.strictEqual(next.pagination.hasNext, false);
+      assert.strictEqual(next.pagination.nextCursor, null);
+      assert.strictEqual(next.pagination.links.next, null);
+    }
+  },
+  {
+    name: 'ranked lists get page cursors and reject keyset cursors',
+    run: () => {
+      const first = createPaginatedResponse([{ id: 'a' }], 45, 1, 20, request({ limit: '20' }));
+      assert.deepStrictEqual(getPaginationParams(request({ limit: '20', cursor: first.pagination.nextCursor })),
+        { page: 2, limit: 20, offset: 20, cursor: null });
+
+      const keyset = createPaginatedResponse([{ id: 'a' }], 45, 1, 20, request({}), { last: { publishedAtTs: 1, id: 'a' } });
+      assert.throws(() => getPaginationParams(request({ cursor: keyset.pagination.nextCursor })), isBadRequest);
+    }
+  },
+  {
+    name: 'sort is validated per list, kept in the links and bound to its cursors',
+    run: () => {
+      const allowed = ['newest', 'oldest', 'views', 'trending'];
+      assert.strictEqual(getSortParam(request({}), allowed), 'newest');
+      assert.strictEqual(getSortParam(request({ sort: 'latest' }), allowed), 'newest');
+      assert.strictEqual(getSortParam(request({ sort: 'views' }), allowed), 'views');
+      for (const sort of ['relevance', 'popular', ['views', 'oldest']]) {
+        assert.throws(() => getSortParam(request({ sort }), allowed), isBadRequest, String(sort));
+      }
+      assert.strictEqual(isKeysetSort('oldest'), true);
+      assert.strictEqual(isKeysetSort('views'), false);
+
+      const last = { publishedAtTs: 1760860800000, id: 'abc123' };
+      const oldest = createPaginatedResponse([{ id: 'abc123' }], 45, 1, 20, request({ sort: 'latest' }), { sort: 'oldest', last });
+      assert.strictEqual(oldest.pagination.sort, 'oldest');
+      assert.strictEqual(oldest.pagination.links.next, 'http://localhost:3001/api/news?sort=oldest&page=2');
+      assert.deepStrictEqual(getPaginationParams(request({ cursor: oldest.pagination.nextCursor }), { keyset: 'oldest' }).cursor,
+        { sort: 'oldest', ...last });
+      assert.throws(() => getPaginationParams(request({ cursor: oldest.pagination.nextCursor }), { keyset: 'newest' }), isBadRequest);
+
+      const views = createPaginatedResponse([{ id: 'a' }], 45, 1, 20, request({ sort: 'views' }), { sort: 'views' });
+      assert.deepStrictEqual(getPaginationParams(request({ sort: 'views', cursor: views.pagination.nextCursor })),
+        { page: 2, limit: 10, offset: 10, cursor: null });
+    }
+  },
+  {
+    name: 'malformed cursors and page with cursor are rejected with 400',
+    run: () => {
+      const forged = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+      for (const cursor of ['not-a-cursor', forged({ ts: 'x', id: 'a' }), forged({ ts: 1, id: '' }), forged({ p: 0 }), forged(null)]) {
+        assert.throws(() => getPaginationParams(request({ cursor }), { keyset: 'newest' }), isBadRequest, cursor);
+      }
+      assert.throws(() => getPaginationParams(request({ page: '2', cursor: forged({ p: 2 }) })), isBadRequest);
+    }
+  },
+  {
+    name: 'date ranges take ISO dates, years and epoch milliseconds',
+    run: () => {
+      assert.deepStrictEqual(getDateRangeParams(request({ from: '2026-10-01', to: '2026-10-15' })),
+        { from: Date.UTC(2026, 9, 1), to: Date.UTC(2026, 9, 16) - 1 });
+      assert.deepStrictEqual(getDateRangeParams(request({ from: '2024', to: '2024' })),
+        { from: Date.UTC(2024, 0, 1), to: Date.UTC(2025, 0, 1) - 1 }, 'a four-digit value is a year, not 2024 ms after 1970');
+      assert.deepStrictEqual(getDateRangeParams(request({ from: '1760860800000' })), { from: 1760860800000, to: null });
+
+      for (const value of ['20240115', '123', '2024-13-01']) {
+        assert.throws(() => getDateRangeParams(request({ from: value })), isBadRequest, value);
+      }
+      assert.throws(() => getDateRangeParams(request({ from: '2025', to: '2024' })), isBadRequest);
+    }
+  }
+];
+
+function testPagination() {
+  console.log('🧪 Testing page and cursor pagination...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  process.exitCode = testPagination() ? 0 : 1;
+}
+
+module.exports = { testPagination };
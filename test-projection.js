@@ -0,0 +1,101 @@
+// Checks the article response views and fields= selection; needs no Redis
+const assert = require('assert');
+const {
+  VIEWS,
+  parseFields,
+  getProjectionParams,
+  projectArticle,
+  projectArticles
+} = require('./src/utils/projection');
+
+const article = {
+  id: 'a1',
+  title: 'Central bank holds rates',
+  summary: 'Rates unchanged.',
+  content: 'The bank kept rates unchanged...',
+  fullContent: 'The bank kept rates unchanged for a third meeting.',
+  source: { id: null, name: 'Reuters' },
+  publishedAt: '2026-10-19T08:00:00Z',
+  vector: new Array(768).fill(0.1),
+  embedding: { provider: 'gemini', model: 'gemini-embedding-001', dimensions: 768 }
+};
+
+function request(query) {
+  return { query };
+}
+
+const cases = [
+  {
+    name: 'lists default to the card view, without vector or body text',
+    run: () => {
+      const card = projectArticle(article, getProjectionParams(request({})));
+      assert.deepStrictEqual(Object.keys(card), ['id', 'title', 'summary', 'source', 'publishedAt']);
+    }
+  },
+  {
+    name: 'detail drops only the vector, full keeps everything',
+    run: () => {
+      const detail = projectArticle(article, getProjectionParams(request({}), 'detail'));
+      assert.strictEqual(detail.vector, undefined);
+      assert.strictEqual(detail.fullContent, article.fullContent);
+      assert.deepStrictEqual(detail.embedding, article.embedding);
+
+      const full = projectArticle(article, getProjectionParams(request({ view: 'full' }), 'detail'));
+      assert.deepStrictEqual(full, article);
+    }
+  },
+  {
+    name: 'fields takes precedence over view and always includes id',
+    run: () => {
+      const fields = getProjectionParams(request({ fields: 'title, vector,title', view: 'card' }));
+      assert.deepStrictEqual(fields, ['id', 'title', 'vector']);
+      assert.deepStrictEqual(Object.keys(projectArticle(article, fields)), ['id', 'title', 'vector']);
+      assert.strictEqual(parseFields(''), null);
+    }
+  },
+  {
+    name: 'ranking metadata survives every projection',
+    run: () => {
+      const ranked = { ...article, similarity_score: 0.91, story: { id: 'story_1', articleCount: 3 } };
+      const [card] = projectArticles([ranked], VIEWS.card);
+      assert.strictEqual(card.similarity_score, 0.91);
+      assert.deepStrictEqual(card.story, ranked.story);
+      assert.deepStrictEqual(projectArticles(null, VIEWS.card), []);
+      assert.strictEqual(projectArticle(null, VIEWS.card), null);
+    }
+  },
+  {
+    name: 'unknown views and fields are rejected with 400',
+    run: () => {
+      for (const query of [{ view: 'compact' }, { view: 'constructor' }, { fields: 'title,password' }, { fields: ['title', 'id'] }]) {
+        assert.throws(() => getProjectionParams(request(query)), error => error.statusCode === 400);
+      }
+    }
+  }
+];
+
+function testProjection() {
+  console.log('🧪 Testing article response projection...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  process.exitCode = testProjection() ? 0 : 1;
+}
+
+module.exports = { testProjection };
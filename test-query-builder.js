@@ -0,0 +1,145 @@
+// Checks the RediSearch query builder against hostile input; needs no Redis
+const assert = require('assert');
+const {
+  tokenize,
+  escapeTag,
+  matchText,
+  matchTags,
+  matchRange,
+  and,
+  or,
+  not,
+  toQuery,
+  knnQuery
+} = require('./src/utils/queryBuilder');
+
+// Query syntax characters that must never reach a query unescaped
+const OPERATORS = /[|\-@{}()[\]~*%$:"']/;
+
+const cases = [
+  {
+    name: 'text is reduced to words, dropping query operators',
+    run: () => {
+      assert.deepStrictEqual(tokenize('climate | -@source:{BBC} (change)*'), ['climate', 'source', 'BBC', 'change']);
+      assert.deepStrictEqual(tokenize('  '), []);
+      assert.deepStrictEqual(tokenize(null), []);
+      assert.deepStrictEqual(tokenize('São Paulo 2026'), ['São', 'Paulo', '2026']);
+
+      for (const term of tokenize('"quoted" ~optional %fuzzy% $param [1 2] a:b\\c')) {
+        assert.ok(!OPERATORS.test(term), `unescaped operator in ${term}`);
+      }
+    }
+  },
+  {
+    name: 'matchText matches all words, or any with { any: true }',
+    run: () => {
+      assert.strictEqual(matchText(['title', 'summary'], 'rate cut'), '@title|summary:(rate cut)');
+      assert.strictEqual(matchText('title', 'rate | cut', { any: true }), '@title:(rate | cut)');
+      assert.strictEqual(matchText(['title'], '-| @{}'), '');
+      assert.strictEqual(matchText(['title'], undefined), '');
+    }
+  },
+  {
+    name: 'tag values are escaped and matched whole',
+    run: () => {
+      assert.strictEqual(matchTags('source', 'The New York Times'), '@source:{The\\ New\\ York\\ Times}');
+      assert.strictEqual(matchTags('source', 'a} | @title:{x'), '@source:{a\\}\\ \\|\\ \\@title\\:\\{x}');
+      assert.strictEqual(matchTags('article_id', 'abc-123'), '@article_id:{abc\\-123}');
+      assert.strictEqual(escapeTag('back\\slash'), 'back\\\\slash');
+      assert.strictEqual(matchTags('keywords', ['ai', 'machine learning', '', null]), '@keywords:{ai | machine\\ learning}');
+      assert.strictEqual(matchTags('sentiment', undefined), '');
+      assert.strictEqual(matchTags('sentiment', '   '), '');
+    }
+  },
+  {
+    name: 'ranges accept numbers only',
+    run: () => {
+      assert.strictEqual(matchRange('publishedAtTs', 1, 2), '@publishedAtTs:[1 2]');
+      assert.strictEqual(matchRange('publishedAtTs', null, 5), '@publishedAtTs:[-inf 5]');
+      assert.strictEqual(matchRange('publishedAtTs', '10', undefined), '@publishedAtTs:[10 +inf]');
+      assert.strictEqual(matchRange('publishedAtTs'), '');
+      assert.throws(() => matchRange('publishedAtTs', '1] | @title:(x'));
+      assert.throws(() => matchRange('publishedAtTs', NaN, 1));
+      assert.throws(() => matchRange('publishedAtTs', true, 1));
+    }
+  },
+  {
+    name: 'field names are never taken from input',
+    run: () => {
+      assert.throws(() => matchText(['title:(x) | @summary'], 'y'));
+      assert.throws(() => matchTags('source} | @title', 'y'));
+      assert.throws(() => matchRange('ts]', 1, 2));
+    }
+  },
+  {
+    name: 'and/or/not compose clauses and skip empty ones',
+    run: () => {
+      const source = matchTags('source', 'BBC');
+      const sentiment = matchTags('sentiment', 'positive');
+
+      assert.strictEqual(and(source, sentiment), '(@source:{BBC} @sentiment:{positive})');
+      assert.strictEqual(or(source, sentiment), '(@source:{BBC} | @sentiment:{positive})');
+      assert.strictEqual(and('', source, ''), source);
+      assert.strictEqual(and(), '');
+      assert.strictEqual(or([source, sentiment]), '(@source:{BBC} | @sentiment:{positive})');
+      assert.strictEqual(not(source), '-@source:{BBC}');
+      assert.strictEqual(not(''), '');
+      assert.strictEqual(and(or(source, sentiment), not(matchTags('article_id', 'x'))),
+        '((@source:{BBC} | @sentiment:{positive}) -@article_id:{x})');
+    }
+  },
+  {
+    name: 'toQuery and knnQuery produce complete queries',
+    run: () => {
+      assert.strictEqual(toQuery(''), '*');
+      assert.strictEqual(toQuery(not(matchTags('article_id', 'x'))), '* -@article_id:{x}');
+      assert.strictEqual(toQuery(matchTags('source', 'BBC')), '@source:{BBC}');
+
+      assert.strictEqual(knnQuery('', 5), '*=>[KNN 5 @vector $BLOB AS vector_score]');
+      assert.strictEqual(knnQuery(not(matchTags('article_id', 'x')), 10),
+        '(* -@article_id:{x})=>[KNN 10 @vector $BLOB AS vector_score]');
+      assert.throws(() => knnQuery('', '5] @vector'));
+      assert.throws(() => knnQuery('', 0));
+    }
+  },
+  {
+    name: 'hostile search input stays inside its clause',
+    run: () => {
+      const hostile = 'x) | -@sentiment:{negative} | @source:{';
+      const query = toQuery(and(
+        or(matchText(['title', 'summary'], hostile), matchTags('keywords', hostile)),
+        matchTags('source', 'Reuters')
+      ));
+
+      assert.strictEqual(query,
+        '((@title|summary:(x sentiment negative source) | ' +
+        '@keywords:{x\\)\\ \\|\\ \\-\\@sentiment\\:\\{negative\\}\\ \\|\\ \\@source\\:\\{}) @source:{Reuters})');
+    }
+  }
+];
+
+function testQueryBuilder() {
+  console.log('🧪 Testing the RediSearch query builder...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  process.exitCode = testQueryBuilder() ? 0 : 1;
+}
+
+module.exports = { testQueryBuilder };
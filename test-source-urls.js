@@ -0,0 +1,84 @@
+// Checks which news source configs the topic API accepts; needs no Redis or network
+const assert = require('assert');
+const { validateSource } = require('./src/services/sources');
+const { checkSourceUrl, isPrivateAddress } = require('./src/services/sources/sourceUrl');
+
+const cases = [
+  {
+    name: 'public http(s) feed URLs are accepted',
+    run: () => {
+      assert.strictEqual(checkSourceUrl('https://example.com/search.rss?q={query}'), null);
+      assert.strictEqual(checkSourceUrl('http://8.8.8.8/feed.json'), null);
+      assert.deepStrictEqual(validateSource({ type: 'rss', url: 'https://example.com/tech.rss' }), []);
+      assert.deepStrictEqual(validateSource({ type: 'newsapi' }), []);
+    }
+  },
+  {
+    name: 'loopback, private and link-local hosts are refused in any notation',
+    run: () => {
+      const urls = [
+        'http://localhost:6379/', 'http://api.localhost/', 'http://127.0.0.1/', 'http://2130706433/', 'http://0x7f.1/',
+        'http://10.0.0.5/', 'http://172.20.1.1/', 'http://192.168.1.1/', 'http://169.254.169.254/latest/meta-data',
+        'http://[::1]/', 'http://[::ffff:127.0.0.1]/', 'http://[fd12::1]/', 'http://[fe80::1]/'
+      ];
+      for (const url of urls) {
+        assert.ok(checkSourceUrl(url), url);
+      }
+      assert.strictEqual(isPrivateAddress('172.32.0.1'), false);
+      assert.strictEqual(isPrivateAddress('2001:4860:4860::8888'), false);
+    }
+  },
+  {
+    name: 'non-http URLs and sources without a usable url are rejected',
+    run: () => {
+      assert.ok(checkSourceUrl('file:///etc/passwd'));
+      assert.ok(checkSourceUrl('not a url'));
+      assert.strictEqual(validateSource({ type: 'json' }).length, 1);
+      assert.strictEqual(validateSource({ type: 'rss', url: 42 }).length, 1);
+      assert.strictEqual(validateSource({ type: 'newsapi', url: 'http://127.0.0.1:8080/' }).length, 1);
+      assert.strictEqual(validateSource({ type: 'ftp' }).length, 1);
+      assert.strictEqual(validateSource(null).length, 1);
+    }
+  },
+  {
+    name: 'fixture sources are only accepted in development and test',
+    run: () => {
+      const nodeEnv = process.env.NODE_ENV;
+      try {
+        process.env.NODE_ENV = 'production';
+        assert.strictEqual(validateSource({ type: 'fixture', dir: '/etc' }).length, 1);
+        process.env.NODE_ENV = 'development';
+        assert.deepStrictEqual(validateSource({ type: 'fixture', dir: 'fixtures/news' }), []);
+      } finally {
+        if (nodeEnv === undefined) delete process.env.NODE_ENV;
+        else process.env.NODE_ENV = nodeEnv;
+      }
+    }
+  }
+];
+
+function testSourceUrls() {
+  console.log('🧪 Testing news source validation...\n');
+
+  let failed = 0;
+
+  for (const testCase of cases) {
+    try {
+      testCase.run();
+      console.log(`✅ ${testCase.name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${testCase.name}: ${error.message}`);
+    }
+  }
+
+  console.log(`\n${cases.length - failed}/${cases.length} passed`);
+  return failed === 0;
+}
+
+// Run the test if this file is executed directly
+if (require.main === module) {
+  process.exitCode = testSourceUrls() ? 0 : 1;
+}
+
+module.exports = { testSourceUrls };